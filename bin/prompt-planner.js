@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+const PlannerCli = require('../src/cli');
+
+try {
+    process.exitCode = PlannerCli.run(process.argv.slice(2));
+} catch (error) {
+    process.stderr.write(`prompt-planner: ${error.message}\n`);
+    process.exitCode = 1;
+}
@@ -1,8 +1,26 @@
-const { app, BrowserWindow, Menu, ipcMain, dialog } = require('electron');
+const { app, BrowserWindow, Menu, ipcMain, dialog, shell } = require('electron');
 const fs = require('fs');
 const path = require('path');
+const PlanStore = require('./src/plan-store');
+const SnapshotStore = require('./src/snapshot-store');
+const BackupStore = require('./src/backup-store');
+const SnippetStore = require('./src/snippet-store');
+const TemplateStore = require('./src/template-store');
+const TrashStore = require('./src/trash-store');
+const GitStore = require('./src/git-store');
+const LlmClient = require('./src/llm-client');
+const McpServer = require('./src/mcp-server');
 
 let mainWindow;
+let stopWatchingSaveDirectory = null;
+let saveDirectoryChangeTimeout = null;
+let mcpServer = null;
+let mcpServerUrl = null;
+let mcpServerError = null;
+let gitCommitTimeout = null;
+let backupTimeout = null;
+let gitCommitNotes = []; // Lines leading the next commit message, e.g. reverts
+const activeRuns = new Map(); // runId -> AbortController for model requests in progress
 
 function createWindow() {
   mainWindow = new BrowserWindow({
@@ -10,8 +28,9 @@ function createWindow() {
     height: 800,
     icon: path.join(__dirname, 'build', 'icon.png'),
     webPreferences: {
-      nodeIntegration: true,
-      contextIsolation: false,
+      nodeIntegration: false,
+      contextIsolation: true,
+      sandbox: true,
       preload: path.join(__dirname, 'preload.js')
     },
     autoHideMenuBar: true
@@ -22,12 +41,28 @@ function createWindow() {
 
   mainWindow.loadFile('index.html');
 
+  // Links in Markdown previews open in the browser, never in the app window
+  mainWindow.webContents.setWindowOpenHandler(({ url }) => {
+    openExternalLink(url);
+    return { action: 'deny' };
+  });
+  mainWindow.webContents.on('will-navigate', (event, url) => {
+    event.preventDefault();
+    openExternalLink(url);
+  });
+
   // Log console messages from renderer
   mainWindow.webContents.on('console-message', (event, level, message, line, sourceId) => {
     console.log(`[Renderer]: ${message}`);
   });
 }
 
+function openExternalLink(url) {
+  if (/^(https?|mailto):/i.test(url)) {
+    shell.openExternal(url);
+  }
+}
+
 // Get default save directory
 function getDefaultSaveDirectory() {
   const documentsPath = app.getPath('documents');
@@ -41,12 +76,38 @@ function getDefaultSaveDirectory() {
   return savePath;
 }
 
-// IPC Handlers
-ipcMain.handle('get-default-save-directory', () => {
-  return getDefaultSaveDirectory();
-});
+function getConfigPath() {
+  return path.join(app.getPath('userData'), 'config.json');
+}
 
-ipcMain.handle('get-save-directory', () => {
+function readConfig() {
+  const configPath = getConfigPath();
+  return fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf-8')) : {};
+}
+
+function writeConfig(config) {
+  fs.writeFileSync(getConfigPath(), JSON.stringify(config, null, 2));
+}
+
+// Notify the renderer when plan files change on disk. Events are debounced
+// because a single save touches several files.
+function watchSaveDirectory(directory) {
+  if (stopWatchingSaveDirectory) {
+    stopWatchingSaveDirectory();
+    stopWatchingSaveDirectory = null;
+  }
+
+  stopWatchingSaveDirectory = new PlanStore(directory).watch(() => {
+    clearTimeout(saveDirectoryChangeTimeout);
+    saveDirectoryChangeTimeout = setTimeout(() => {
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('save-directory-changed', directory);
+      }
+    }, 300);
+  });
+}
+
+function getSaveDirectory() {
   const configPath = path.join(app.getPath('userData'), 'config.json');
 
   if (fs.existsSync(configPath)) {
@@ -60,72 +121,567 @@ ipcMain.handle('get-save-directory', () => {
   }
 
   return getDefaultSaveDirectory();
+}
+
+// Agent access over MCP, served on localhost while the app runs. Reads the save
+// directory per request, and its writes come back through the directory watcher.
+function getMcpSettings() {
+  return { enabled: false, port: McpServer.defaultPort, ...readConfig().mcpServer };
+}
+
+async function startMcpServer() {
+  stopMcpServer();
+  const { enabled, port } = getMcpSettings();
+  if (!enabled) return;
+
+  const server = new McpServer(getSaveDirectory);
+  try {
+    mcpServerUrl = await server.listen(port);
+    mcpServer = server;
+  } catch (error) {
+    console.error('Error starting MCP server:', error);
+    mcpServerError = error.code === 'EADDRINUSE' ? `Port ${port} is already in use` : error.message;
+  }
+}
+
+function stopMcpServer() {
+  if (mcpServer) {
+    mcpServer.close();
+  }
+  mcpServer = null;
+  mcpServerUrl = null;
+  mcpServerError = null;
+}
+
+// Rotating backups of the save directory. Taking one re-reads every plan file,
+// so saves only schedule it: one backup per interval however often they come.
+function scheduleBackup() {
+  if (backupTimeout) return;
+  backupTimeout = setTimeout(backUpSaveDirectory, BackupStore.interval);
+}
+
+// Back up now instead of waiting, e.g. before quitting or switching directories.
+// The saves themselves went through; a failed backup is only logged.
+function backUpSaveDirectory() {
+  clearTimeout(backupTimeout);
+  backupTimeout = null;
+
+  try {
+    new BackupStore(getSaveDirectory()).backUp();
+  } catch (error) {
+    console.error('Error backing up plans:', error);
+  }
+}
+
+function backUpPendingChanges() {
+  if (backupTimeout) {
+    backUpSaveDirectory();
+  }
+}
+
+// Git history of the save directory. Saves arrive in bursts while typing, so
+// they are committed together once things have been quiet for a while.
+const GIT_COMMIT_DELAY = 30 * 1000;
+
+function getGitSettings() {
+  return { enabled: false, ...readConfig().git };
+}
+
+function scheduleGitCommit() {
+  if (!getGitSettings().enabled) return;
+
+  clearTimeout(gitCommitTimeout);
+  gitCommitTimeout = setTimeout(() => {
+    commitSaveDirectory().catch(error => console.error('Error committing plans:', error));
+  }, GIT_COMMIT_DELAY);
+}
+
+// Commit now instead of waiting, e.g. before quitting or switching directories
+async function commitSaveDirectory() {
+  clearTimeout(gitCommitTimeout);
+  gitCommitTimeout = null;
+
+  const notes = gitCommitNotes;
+  gitCommitNotes = [];
+  return new GitStore(getSaveDirectory()).commit(notes);
+}
+
+async function commitPendingChanges() {
+  if (!gitCommitTimeout) return;
+
+  try {
+    await commitSaveDirectory();
+  } catch (error) {
+    console.error('Error committing plans:', error);
+  }
+}
+
+function setSaveDirectory(directory) {
+  const config = readConfig();
+  config.saveDirectory = directory;
+  writeConfig(config);
+
+  // Create directory if it doesn't exist
+  if (!fs.existsSync(directory)) {
+    fs.mkdirSync(directory, { recursive: true });
+  }
+}
+
+// IPC Handlers. The save directory is only ever chosen here, in a dialog; the
+// renderer never passes a file system path.
+ipcMain.handle('get-save-directory', () => {
+  return getSaveDirectory();
 });
 
-ipcMain.handle('set-save-directory', (event, directory) => {
-  const configPath = path.join(app.getPath('userData'), 'config.json');
+ipcMain.handle('choose-save-directory', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    properties: ['openDirectory', 'createDirectory']
+  });
+
+  if (result.canceled || result.filePaths.length === 0) {
+    return null;
+  }
+
+  backUpPendingChanges();
+  await commitPendingChanges();
+  setSaveDirectory(result.filePaths[0]);
+  return result.filePaths[0];
+});
 
+ipcMain.handle('reset-save-directory', async () => {
+  backUpPendingChanges();
+  await commitPendingChanges();
+  const directory = getDefaultSaveDirectory();
+  setSaveDirectory(directory);
+  return directory;
+});
+
+ipcMain.handle('export-workspace', async (event, archive, defaultFileName) => {
   try {
-    let config = {};
-    if (fs.existsSync(configPath)) {
-      config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    const result = await dialog.showSaveDialog(mainWindow, {
+      title: 'Back Up Workspace',
+      defaultPath: path.join(app.getPath('documents'), path.basename(defaultFileName)),
+      filters: [{ name: 'Workspace Backup', extensions: ['json'] }]
+    });
+
+    if (result.canceled || !result.filePath) {
+      return { success: true, canceled: true };
     }
 
-    config.saveDirectory = directory;
-    fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+    PlanStore.writeFileAtomic(result.filePath, archive);
+    return { success: true, filePath: result.filePath };
+  } catch (error) {
+    console.error('Error exporting workspace:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('open-workspace-archive', async () => {
+  try {
+    const result = await dialog.showOpenDialog(mainWindow, {
+      title: 'Restore Workspace Backup',
+      properties: ['openFile'],
+      filters: [{ name: 'Workspace Backup', extensions: ['json'] }]
+    });
 
-    // Create directory if it doesn't exist
-    if (!fs.existsSync(directory)) {
-      fs.mkdirSync(directory, { recursive: true });
+    if (result.canceled || result.filePaths.length === 0) {
+      return { success: true, canceled: true };
     }
 
+    return { success: true, content: fs.readFileSync(result.filePaths[0], 'utf-8') };
+  } catch (error) {
+    console.error('Error opening workspace backup:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('save-plans', async (event, changes) => {
+  try {
+    new PlanStore(getSaveDirectory()).savePlans(changes);
+  } catch (error) {
+    console.error('Error saving plans:', error);
+    return { success: false, error: error.message };
+  }
+
+  scheduleBackup();
+  scheduleGitCommit();
+  return { success: true };
+});
+
+// Damaged files come back in damaged, each with the date of the backup that
+// could replace it (or null), for the renderer's recovery screen
+ipcMain.handle('load-plans', async () => {
+  try {
+    const { plans, damaged } = new PlanStore(getSaveDirectory()).inspect();
+    const backups = new BackupStore(getSaveDirectory());
+    return {
+      success: true,
+      plans,
+      damaged: damaged.map(entry => {
+        const backup = backups.restoreSource(entry.file);
+        return { ...entry, backupCreatedAt: backup ? backup.createdAt : null };
+      })
+    };
+  } catch (error) {
+    console.error('Error loading plans:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// action is 'restore' (from backups, where one exists) or 'set-aside'. Works on
+// what is damaged now, so the renderer never names the files to touch.
+ipcMain.handle('recover-plans', async (event, action) => {
+  try {
+    const store = new PlanStore(getSaveDirectory());
+    const { damaged } = store.inspect();
+
+    if (action === 'restore') {
+      return { success: true, restored: new BackupStore(getSaveDirectory()).restore(damaged) };
+    }
+    damaged.forEach(({ file }) => store.setAside(file));
+    return { success: true, restored: [] };
+  } catch (error) {
+    console.error('Error recovering plans:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('open-damaged-file', async (event, file) => {
+  try {
+    const store = new PlanStore(getSaveDirectory());
+    if (!store.inspect().damaged.some(entry => entry.file === file)) {
+      return { success: false, error: `${file} is not a damaged file` };
+    }
+
+    const error = await shell.openPath(store.resolve(file));
+    return error ? { success: false, error } : { success: true };
+  } catch (error) {
+    console.error('Error opening damaged file:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('create-snapshot', async (event, plan, reason, skipIfUnchanged) => {
+  try {
+    const snapshot = new SnapshotStore(getSaveDirectory()).createSnapshot(plan, reason, skipIfUnchanged);
+    return { success: true, snapshot };
+  } catch (error) {
+    console.error('Error creating snapshot:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('list-snapshots', async (event, planId) => {
+  try {
+    return { success: true, snapshots: new SnapshotStore(getSaveDirectory()).listSnapshots(planId) };
+  } catch (error) {
+    console.error('Error listing snapshots:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('load-snapshot', async (event, planId, snapshotId) => {
+  try {
+    return { success: true, snapshot: new SnapshotStore(getSaveDirectory()).readSnapshot(planId, snapshotId) };
+  } catch (error) {
+    console.error('Error loading snapshot:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('load-snippets', async () => {
+  try {
+    return { success: true, snippets: new SnippetStore(getSaveDirectory()).loadSnippets() };
+  } catch (error) {
+    console.error('Error loading snippets:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('save-snippet', async (event, name, content) => {
+  try {
+    new SnippetStore(getSaveDirectory()).saveSnippet(name, content);
     return { success: true };
   } catch (error) {
-    console.error('Error saving config:', error);
+    console.error('Error saving snippet:', error);
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('choose-directory', async () => {
-  const result = await dialog.showOpenDialog(mainWindow, {
-    properties: ['openDirectory', 'createDirectory']
-  });
+ipcMain.handle('rename-snippet', async (event, oldName, newName) => {
+  try {
+    new SnippetStore(getSaveDirectory()).renameSnippet(oldName, newName);
+    return { success: true };
+  } catch (error) {
+    console.error('Error renaming snippet:', error);
+    return { success: false, error: error.message };
+  }
+});
 
-  if (!result.canceled && result.filePaths.length > 0) {
-    return result.filePaths[0];
+ipcMain.handle('delete-snippet', async (event, name) => {
+  try {
+    new SnippetStore(getSaveDirectory()).deleteSnippet(name);
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting snippet:', error);
+    return { success: false, error: error.message };
   }
+});
 
-  return null;
+ipcMain.handle('load-templates', async () => {
+  try {
+    return { success: true, templates: new TemplateStore(getSaveDirectory()).loadTemplates() };
+  } catch (error) {
+    console.error('Error loading templates:', error);
+    return { success: false, error: error.message };
+  }
 });
 
-ipcMain.handle('save-plans', async (event, plans, saveDirectory) => {
+ipcMain.handle('save-template', async (event, template) => {
   try {
-    const filePath = path.join(saveDirectory, 'plans.json');
-    fs.writeFileSync(filePath, JSON.stringify(plans, null, 2));
+    new TemplateStore(getSaveDirectory()).saveTemplate(template);
     return { success: true };
   } catch (error) {
-    console.error('Error saving plans:', error);
+    console.error('Error saving template:', error);
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('load-plans', async (event, saveDirectory) => {
+ipcMain.handle('delete-template', async (event, templateId) => {
   try {
-    const filePath = path.join(saveDirectory, 'plans.json');
+    new TemplateStore(getSaveDirectory()).deleteTemplate(templateId);
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting template:', error);
+    return { success: false, error: error.message };
+  }
+});
 
-    if (fs.existsSync(filePath)) {
-      const data = fs.readFileSync(filePath, 'utf-8');
-      return { success: true, plans: JSON.parse(data) };
+ipcMain.handle('load-trash', async () => {
+  try {
+    return { success: true, items: new TrashStore(getSaveDirectory()).loadTrash() };
+  } catch (error) {
+    console.error('Error loading trash:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('save-trash-item', async (event, item) => {
+  try {
+    new TrashStore(getSaveDirectory()).saveItem(item);
+    return { success: true };
+  } catch (error) {
+    console.error('Error saving trash item:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('delete-trash-item', async (event, itemId) => {
+  try {
+    new TrashStore(getSaveDirectory()).deleteItem(itemId);
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting trash item:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('purge-trash', async (event, days) => {
+  try {
+    if (!Number.isInteger(days) || days < 1) {
+      throw new Error(`Invalid number of days: ${days}`);
     }
+    return { success: true, purged: new TrashStore(getSaveDirectory()).purge(days) };
+  } catch (error) {
+    console.error('Error purging trash:', error);
+    return { success: false, error: error.message };
+  }
+});
 
-    return { success: true, plans: null };
+// Model endpoint settings. The API key is write-only from the renderer's side.
+ipcMain.handle('get-llm-settings', () => {
+  try {
+    const { apiKey, ...settings } = readConfig().llm || {};
+    return {
+      success: true,
+      settings: { api: 'openai', url: '', model: '', includeContext: false, ...settings, hasApiKey: Boolean(apiKey) },
+      defaultUrls: LlmClient.defaultUrls
+    };
   } catch (error) {
-    console.error('Error loading plans:', error);
+    console.error('Error reading model settings:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('set-llm-settings', (event, settings) => {
+  try {
+    const config = readConfig();
+    const { apiKey, clearApiKey, ...rest } = settings;
+    const currentKey = (config.llm && config.llm.apiKey) || '';
+
+    config.llm = { ...rest, apiKey: clearApiKey ? '' : (apiKey || currentKey) };
+    writeConfig(config);
+    return { success: true };
+  } catch (error) {
+    console.error('Error saving model settings:', error);
     return { success: false, error: error.message };
   }
 });
 
-app.whenReady().then(createWindow);
+// Stream a chat request; chunks are sent to the renderer as 'run-prompt-chunk'
+ipcMain.handle('run-prompt', async (event, runId, messages) => {
+  const controller = new AbortController();
+  activeRuns.set(runId, controller);
+
+  try {
+    const client = new LlmClient(readConfig().llm);
+    const output = await client.chat(messages, chunk => {
+      event.sender.send('run-prompt-chunk', runId, chunk);
+    }, controller.signal);
+    return { success: true, output, model: client.model };
+  } catch (error) {
+    if (controller.signal.aborted) {
+      return { success: true, canceled: true };
+    }
+    console.error('Error running prompt:', error);
+    return { success: false, error: error.message };
+  } finally {
+    activeRuns.delete(runId);
+  }
+});
+
+ipcMain.handle('cancel-prompt', (event, runId) => {
+  const controller = activeRuns.get(runId);
+  if (controller) {
+    controller.abort();
+  }
+  return { success: true };
+});
+
+ipcMain.handle('get-mcp-settings', () => {
+  try {
+    return {
+      success: true,
+      settings: getMcpSettings(),
+      running: Boolean(mcpServer),
+      url: mcpServerUrl,
+      error: mcpServerError
+    };
+  } catch (error) {
+    console.error('Error reading MCP settings:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('set-mcp-settings', async (event, settings) => {
+  try {
+    const config = readConfig();
+    config.mcpServer = { enabled: Boolean(settings.enabled), port: settings.port };
+    writeConfig(config);
+
+    await startMcpServer();
+    return { success: true, running: Boolean(mcpServer), url: mcpServerUrl, error: mcpServerError };
+  } catch (error) {
+    console.error('Error saving MCP settings:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('get-git-settings', async () => {
+  try {
+    const gitStore = new GitStore(getSaveDirectory());
+    let version = null;
+    let error = null;
+    try {
+      version = await gitStore.version();
+    } catch (versionError) {
+      error = versionError.message;
+    }
+    return { success: true, settings: getGitSettings(), version, error };
+  } catch (error) {
+    console.error('Error reading git settings:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Turning history on commits the save directory straight away, so a missing
+// git binary is reported before the setting is kept
+ipcMain.handle('set-git-settings', async (event, settings) => {
+  try {
+    const enabled = Boolean(settings.enabled);
+    if (enabled) {
+      gitCommitNotes.unshift('Start keeping a history of plans');
+      await commitSaveDirectory();
+    } else {
+      await commitPendingChanges();
+    }
+
+    const config = readConfig();
+    config.git = { enabled };
+    writeConfig(config);
+    return { success: true };
+  } catch (error) {
+    console.error('Error saving git settings:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('list-plan-commits', async (event, planId) => {
+  try {
+    return { success: true, commits: await new GitStore(getSaveDirectory()).planHistory(planId) };
+  } catch (error) {
+    console.error('Error listing plan commits:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// The plan at a commit and just before it; either is null where the plan did not exist
+ipcMain.handle('load-plan-commit', async (event, planId, hash) => {
+  try {
+    const gitStore = new GitStore(getSaveDirectory());
+    return {
+      success: true,
+      plan: await gitStore.planAt(planId, hash),
+      parent: await gitStore.planAt(planId, `${hash}^`)
+    };
+  } catch (error) {
+    console.error('Error loading plan commit:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// The renderer puts the old version in place and saves it as usual; this only
+// names the revert in the next commit
+ipcMain.handle('note-plan-revert', (event, title, shortHash) => {
+  if (getGitSettings().enabled) {
+    gitCommitNotes.push(`Revert "${title}" to ${shortHash}`);
+  }
+  return { success: true };
+});
+
+ipcMain.handle('watch-save-directory', () => {
+  try {
+    watchSaveDirectory(getSaveDirectory());
+    return { success: true };
+  } catch (error) {
+    console.error('Error watching save directory:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+app.whenReady().then(() => {
+  createWindow();
+  startMcpServer().catch(error => console.error('Error starting MCP server:', error));
+});
+
+// Back up and commit any batched saves before the app goes away
+app.on('before-quit', event => {
+  backUpPendingChanges();
+  if (!gitCommitTimeout) return;
+
+  event.preventDefault();
+  commitPendingChanges().finally(() => app.quit());
+});
 
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') {
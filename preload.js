@@ -1,8 +1,216 @@
-const path = require('path');
+const { contextBridge, ipcRenderer } = require('electron');
 
-// Load StorageManager using Node.js module resolution
-// This works correctly in both dev and production
-const StorageManager = require(path.join(__dirname, 'src', 'storage.js'));
+// The renderer runs with context isolation and no Node access. This is its only
+// way out: one function per IPC channel, each checking its arguments before they
+// reach the main process. The save directory is owned by the main process, so no
+// file system path ever comes from the page.
 
-// Make it available globally so app.js can access it
-window.StorageManager = StorageManager;
+function assertString(value, name) {
+    if (typeof value !== 'string') {
+        throw new TypeError(`${name} must be a string`);
+    }
+}
+
+function assertObject(value, name) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new TypeError(`${name} must be an object`);
+    }
+}
+
+function assertArray(value, name) {
+    if (!Array.isArray(value)) {
+        throw new TypeError(`${name} must be an array`);
+    }
+}
+
+function assertFunction(value, name) {
+    if (typeof value !== 'function') {
+        throw new TypeError(`${name} must be a function`);
+    }
+}
+
+// Older plans may carry numeric ids
+function assertPlan(plan) {
+    assertObject(plan, 'plan');
+    if (typeof plan.id !== 'string' && typeof plan.id !== 'number') {
+        throw new TypeError('plan.id must be a string or number');
+    }
+    assertArray(plan.blocks, 'plan.blocks');
+}
+
+// Subscribe to a main-process event; returns the unsubscribe function
+function subscribe(channel, callback) {
+    assertFunction(callback, 'callback');
+    const listener = (event, ...args) => callback(...args);
+    ipcRenderer.on(channel, listener);
+    return () => ipcRenderer.removeListener(channel, listener);
+}
+
+const plannerApi = {
+    // Save directory
+    getSaveDirectory: () => ipcRenderer.invoke('get-save-directory'),
+    // Shows a folder picker and switches to the choice; null when cancelled
+    chooseSaveDirectory: () => ipcRenderer.invoke('choose-save-directory'),
+    resetSaveDirectory: () => ipcRenderer.invoke('reset-save-directory'),
+    watchSaveDirectory: () => ipcRenderer.invoke('watch-save-directory'),
+    onSaveDirectoryChanged: callback => subscribe('save-directory-changed', callback),
+
+    // Plans
+    // Resolves to { success, plans, damaged }; damaged lists the files that did not read back
+    loadPlans: () => ipcRenderer.invoke('load-plans'),
+    savePlans: changes => {
+        assertObject(changes, 'changes');
+        assertArray(changes.plans, 'changes.plans');
+        assertArray(changes.order, 'changes.order');
+        assertArray(changes.deleted, 'changes.deleted');
+        changes.plans.forEach(assertPlan);
+        return ipcRenderer.invoke('save-plans', changes);
+    },
+    recoverPlans: action => {
+        if (!['restore', 'set-aside'].includes(action)) {
+            throw new TypeError('action must be "restore" or "set-aside"');
+        }
+        return ipcRenderer.invoke('recover-plans', action);
+    },
+    // file is one of the damaged files, relative to the save directory
+    openDamagedFile: file => {
+        assertString(file, 'file');
+        return ipcRenderer.invoke('open-damaged-file', file);
+    },
+
+    // Snapshots
+    createSnapshot: (plan, reason, skipIfUnchanged) => {
+        assertPlan(plan);
+        assertString(reason, 'reason');
+        return ipcRenderer.invoke('create-snapshot', plan, reason, Boolean(skipIfUnchanged));
+    },
+    listSnapshots: planId => {
+        assertString(planId, 'planId');
+        return ipcRenderer.invoke('list-snapshots', planId);
+    },
+    loadSnapshot: (planId, snapshotId) => {
+        assertString(planId, 'planId');
+        assertString(snapshotId, 'snapshotId');
+        return ipcRenderer.invoke('load-snapshot', planId, snapshotId);
+    },
+
+    // Snippets
+    loadSnippets: () => ipcRenderer.invoke('load-snippets'),
+    saveSnippet: (name, content) => {
+        assertString(name, 'name');
+        assertString(content, 'content');
+        return ipcRenderer.invoke('save-snippet', name, content);
+    },
+    renameSnippet: (oldName, newName) => {
+        assertString(oldName, 'oldName');
+        assertString(newName, 'newName');
+        return ipcRenderer.invoke('rename-snippet', oldName, newName);
+    },
+    deleteSnippet: name => {
+        assertString(name, 'name');
+        return ipcRenderer.invoke('delete-snippet', name);
+    },
+
+    // Templates
+    loadTemplates: () => ipcRenderer.invoke('load-templates'),
+    saveTemplate: template => {
+        assertObject(template, 'template');
+        assertString(template.id, 'template.id');
+        assertString(template.name, 'template.name');
+        assertArray(template.blocks, 'template.blocks');
+        return ipcRenderer.invoke('save-template', template);
+    },
+    deleteTemplate: templateId => {
+        assertString(templateId, 'templateId');
+        return ipcRenderer.invoke('delete-template', templateId);
+    },
+
+    // Trash
+    loadTrash: () => ipcRenderer.invoke('load-trash'),
+    saveTrashItem: item => {
+        assertObject(item, 'item');
+        assertString(item.id, 'item.id');
+        assertString(item.kind, 'item.kind');
+        assertString(item.deletedAt, 'item.deletedAt');
+        return ipcRenderer.invoke('save-trash-item', item);
+    },
+    deleteTrashItem: itemId => {
+        assertString(itemId, 'itemId');
+        return ipcRenderer.invoke('delete-trash-item', itemId);
+    },
+    // Deletes items trashed more than the given number of days ago
+    purgeTrash: days => {
+        if (!Number.isInteger(days) || days < 1) {
+            throw new TypeError('days must be a positive whole number');
+        }
+        return ipcRenderer.invoke('purge-trash', days);
+    },
+
+    // Git history of the save directory
+    getGitSettings: () => ipcRenderer.invoke('get-git-settings'),
+    saveGitSettings: settings => {
+        assertObject(settings, 'settings');
+        return ipcRenderer.invoke('set-git-settings', { enabled: Boolean(settings.enabled) });
+    },
+    listPlanCommits: planId => {
+        assertString(planId, 'planId');
+        return ipcRenderer.invoke('list-plan-commits', planId);
+    },
+    loadPlanCommit: (planId, hash) => {
+        assertString(planId, 'planId');
+        assertString(hash, 'hash');
+        return ipcRenderer.invoke('load-plan-commit', planId, hash);
+    },
+    notePlanRevert: (title, shortHash) => {
+        assertString(title, 'title');
+        assertString(shortHash, 'shortHash');
+        return ipcRenderer.invoke('note-plan-revert', title, shortHash);
+    },
+
+    // Workspace backup. Files are picked in a dialog shown by the main process.
+    // archive is the JSON text to write
+    exportWorkspace: (archive, defaultFileName) => {
+        assertString(archive, 'archive');
+        assertString(defaultFileName, 'defaultFileName');
+        return ipcRenderer.invoke('export-workspace', archive, defaultFileName);
+    },
+    openWorkspaceArchive: () => ipcRenderer.invoke('open-workspace-archive'),
+
+    // Model runs
+    getLlmSettings: () => ipcRenderer.invoke('get-llm-settings'),
+    saveLlmSettings: settings => {
+        assertObject(settings, 'settings');
+        ['api', 'url', 'model', 'apiKey'].forEach(key => assertString(settings[key], `settings.${key}`));
+        const { api, url, model, apiKey, includeContext, clearApiKey } = settings;
+        return ipcRenderer.invoke('set-llm-settings', {
+            api, url, model, apiKey, includeContext: Boolean(includeContext), clearApiKey: Boolean(clearApiKey)
+        });
+    },
+    runPrompt: (runId, messages) => {
+        assertString(runId, 'runId');
+        assertArray(messages, 'messages');
+        messages.forEach(message => {
+            assertObject(message, 'message');
+            assertString(message.role, 'message.role');
+            assertString(message.content, 'message.content');
+        });
+        return ipcRenderer.invoke('run-prompt', runId, messages);
+    },
+    cancelPrompt: runId => {
+        assertString(runId, 'runId');
+        return ipcRenderer.invoke('cancel-prompt', runId);
+    },
+    onRunPromptChunk: callback => subscribe('run-prompt-chunk', callback),
+
+    // Agent access
+    getMcpSettings: () => ipcRenderer.invoke('get-mcp-settings'),
+    saveMcpSettings: settings => {
+        assertObject(settings, 'settings');
+        if (!Number.isInteger(settings.port) || settings.port < 1024 || settings.port > 65535) {
+            throw new TypeError('settings.port must be a port number from 1024 to 65535');
+        }
+        return ipcRenderer.invoke('set-mcp-settings', { enabled: Boolean(settings.enabled), port: settings.port });
+    }
+};
+
+contextBridge.exposeInMainWorld('plannerApi', plannerApi);
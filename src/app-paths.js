@@ -0,0 +1,68 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Where the app keeps its files, worked out without Electron so tools like the
+// CLI find the same save directory as main.js. Electron's userData directory
+// is <appData>/<app name>, and config.json there may override the default
+// save directory (Documents/PromptManager). The app name is build.productName
+// in packaged builds, which electron-builder copies into their package.json,
+// and the package name when run from a checkout with `electron .`.
+const PACKAGE = require('../package.json');
+const APP_NAMES = [PACKAGE.productName || (PACKAGE.build && PACKAGE.build.productName), PACKAGE.name].filter(Boolean);
+
+class AppPaths {
+    static appDataDirectory() {
+        switch (process.platform) {
+            case 'win32':
+                return process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming');
+            case 'darwin':
+                return path.join(os.homedir(), 'Library', 'Application Support');
+            default:
+                return process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+        }
+    }
+
+    // The first userData directory holding a config.json, packaged builds first
+    static get configPath() {
+        const candidates = APP_NAMES.map(name => path.join(AppPaths.appDataDirectory(), name, 'config.json'));
+        return candidates.find(candidate => fs.existsSync(candidate)) || candidates[0];
+    }
+
+    static readConfig() {
+        const configPath = AppPaths.configPath;
+        return fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf-8')) : {};
+    }
+
+    // Electron's documents path: on Linux the XDG documents directory, which
+    // may be localized (e.g. ~/Dokumente), set in user-dirs.dirs
+    static documentsDirectory() {
+        if (process.platform !== 'win32' && process.platform !== 'darwin') {
+            const userDirs = path.join(AppPaths.appDataDirectory(), 'user-dirs.dirs');
+            try {
+                const match = fs.readFileSync(userDirs, 'utf-8').match(/^XDG_DOCUMENTS_DIR="([^"]*)"/m);
+                const directory = match ? match[1].replace(/^\$HOME(?=\/|$)/, os.homedir()) : '';
+                if (path.isAbsolute(directory) && directory !== os.homedir()) {
+                    return directory;
+                }
+            } catch (error) {
+                // No user-dirs.dirs: fall back to ~/Documents like Electron does
+            }
+        }
+        return path.join(os.homedir(), 'Documents');
+    }
+
+    static get defaultSaveDirectory() {
+        return path.join(AppPaths.documentsDirectory(), 'PromptManager');
+    }
+
+    static saveDirectory() {
+        try {
+            return AppPaths.readConfig().saveDirectory || AppPaths.defaultSaveDirectory;
+        } catch (error) {
+            throw new Error(`Could not read ${AppPaths.configPath}: ${error.message}`);
+        }
+    }
+}
+
+module.exports = AppPaths;
@@ -1,32 +1,85 @@
-const { marked } = require('marked');
+// StorageManager and the other modules are loaded by index.html as globals.
+// The page has no Node access: files and models go through window.plannerApi (preload.js).
 
-// StorageManager is loaded via preload.js and available as a global
-const StorageManager = window.StorageManager;
+// How often changed plans get an automatic snapshot
+const SNAPSHOT_INTERVAL = 5 * 60 * 1000;
 
 class PromptManager {
     constructor() {
         this.plans = [];
-        this.currentPlanId = null;
+        this.panes = [{ tabs: [], planId: null }]; // Editor panes, left to right: open plan ids and the one shown
+        this.activePane = 0;
+        this.draggedTab = null; // Plan id of the tab being dragged to the other pane
         this.saveTimeout = null;
         this.fontSize = 14;
         this.darkMode = false;
-        this.lastEnterPress = 0;
         this.draggedBlock = null;
         this.viewMode = 'source'; // 'source' or 'preview'
         this.blockToDelete = null; // Track block pending deletion confirmation
+        this.conflictQueue = []; // Plans changed both here and on disk, awaiting a decision
+        this.activeConflict = null;
+        this.placeholderRequest = null; // Pending fill-in form: { names, resolve, warned }
+        this.searchQuery = '';
+        this.searchFilter = 'all'; // 'all', 'active' or 'done'
+        this.searchHighlightBlockId = null; // Block to reveal on the next editor render
+        this.tagFilter = null;
+        this.collapsedFolders = new Set();
+        this.draggedPlanId = null;
+        this.snapshotState = new Map(); // planId -> plan JSON at its last automatic snapshot
+        this.snapshotPanel = null; // Open history modal: { planId, snapshots, selectedId, snapshot }
+        this.restoreRequest = null; // Backup chosen for restore: { archive }
+        this.gitEnabled = false; // Save directory is committed to git after saves
+        this.commitPanel = null; // Open commits modal: { planId, commits, selectedHash, version: { plan, parent } }
+        this.keybindings = Keybindings.defaults;
+        this.activeBlockId = null; // Last focused block, target of block commands
+        this.paletteItems = [];
+        this.paletteSelection = 0;
+        this.recordingCommandId = null; // Command waiting for a new shortcut in the editor
+        this.runningBlocks = new Map(); // blockId -> { runId, text } for model runs in progress
+        this.llmDefaultUrls = {};
+        this.tokenizer = 'heuristic';
+        this.copyPresets = []; // User-defined copy presets
+        this.copyMenu = null; // Open copy options menu: { presetId, options }
+        this.blockSelection = { planId: null, blockIds: new Set() }; // Blocks picked for "only selected blocks"
+        this.snippets = []; // Snippet library: [{ name, content, updatedAt }]
+        this.snippetsCollapsed = false;
+        this.snippetEditor = null; // Open snippet form: { name }, name is null for a new snippet
+        this.templates = []; // Saved plan templates; the built-in starters are in PlanTemplates
+        this.templateSavePlanId = null; // Plan being saved from the template modal
+        this.trash = []; // Deleted plans and blocks, newest first; see trash-store.js
+        this.showingTrash = false; // Sidebar shows the trash instead of the plans
+        this.trashDays = 30; // Days before trashed items are purged
+        this.splitTipSeen = false;
+        this.stepMode = null; // Plan being worked through step by step: { planId, blockId of the step copied last }
+        this.isCheckingExternalChanges = false;
+        this.externalChangePending = false;
 
         this.storage = new StorageManager();
+        this.history = new HistoryManager();
         this.init();
     }
 
     async init() {
         await this.storage.initSaveDirectory();
         await this.loadPlans();
+        this.restoreOpenTabs();
+        await this.loadSnippets();
+        await this.loadTemplates();
         this.loadSettings();
+        await this.loadTrash();
         this.setupEventListeners();
         this.setupGlobalEventListeners();
         this.applySettings();
         this.render();
+        if (this.storage.damaged.length > 0) {
+            this.showRecoveryScreen();
+        }
+
+        this.storage.onExternalChange(() => this.handleExternalChange());
+        await this.storage.watchSaveDirectory();
+        this.loadGitSettingsForm();
+
+        setInterval(() => this.takeAutomaticSnapshots(), SNAPSHOT_INTERVAL);
     }
 
     // Settings Management
@@ -34,6 +87,13 @@ class PromptManager {
         const settings = this.storage.loadSettings();
         this.fontSize = settings.fontSize;
         this.darkMode = settings.darkMode;
+        this.tokenizer = settings.tokenizer;
+        this.collapsedFolders = new Set(this.storage.loadCollapsedFolders());
+        this.keybindings = Keybindings.resolve(this.storage.loadKeybindings());
+        this.copyPresets = this.storage.loadCopyPresets();
+        this.snippetsCollapsed = this.storage.loadSnippetsCollapsed();
+        this.trashDays = this.storage.loadTrashDays();
+        this.splitTipSeen = this.storage.loadSplitTipSeen();
     }
 
     saveSettings() {
@@ -45,6 +105,13 @@ class PromptManager {
         document.getElementById('fontSizeValue').textContent = `${this.fontSize}px`;
         document.getElementById('darkModeToggle').checked = this.darkMode;
 
+        const tokenizerSelect = document.getElementById('tokenizerSelect');
+        tokenizerSelect.innerHTML = TokenCounter.tokenizers
+            .map(tokenizer => `<option value="${tokenizer.name}">${tokenizer.label}</option>`)
+            .join('');
+        tokenizerSelect.value = this.tokenizer;
+        document.getElementById('trashDaysInput').value = this.trashDays;
+
         if (this.darkMode) {
             document.body.classList.add('dark-mode');
         } else {
@@ -84,10 +151,12 @@ class PromptManager {
     }
 
     createNewPlan() {
-        const newPlan = {
+        this.addNewPlan({
             id: Date.now().toString(),
             title: 'New Prompt Plan',
             createdAt: new Date().toISOString(),
+            tags: [],
+            folder: '',
             blocks: [
                 {
                     id: Date.now().toString(),
@@ -96,22 +165,29 @@ class PromptManager {
                     collapsed: false
                 }
             ]
-        };
+        });
+    }
 
+    // Add a plan to the top of the list, open it and put the cursor in the title
+    addNewPlan(newPlan) {
         this.plans.unshift(newPlan);
         this.currentPlanId = newPlan.id;
         this.savePlans();
         this.render();
 
         setTimeout(() => {
-            const titleInput = document.querySelector('.prompt-title');
+            const titleInput = document.querySelector(`.prompt-title[data-plan-id="${newPlan.id}"]`);
             if (titleInput) {
                 titleInput.focus();
                 titleInput.select();
             }
         }, 100);
 
-        this.showToast('Tip: Double tap Enter to add a new block');
+        if (this.keybindings.splitBlock && !this.splitTipSeen) {
+            this.showToast(`Tip: Press ${Keybindings.format(this.keybindings.splitBlock)} to split a block at the cursor`);
+            this.splitTipSeen = true;
+            this.storage.saveSplitTipSeen();
+        }
     }
 
     selectPlan(planId) {
@@ -119,23 +195,248 @@ class PromptManager {
         this.render();
 
         setTimeout(() => {
-            const blocks = document.querySelectorAll('.block-content');
+            const blocks = document.querySelectorAll(`.prompt-editor[data-plan-id="${planId}"] .block-content`);
             if (blocks.length > 0) {
                 const lastBlock = blocks[blocks.length - 1];
                 lastBlock.focus();
-
-                const range = document.createRange();
-                const selection = window.getSelection();
-                range.selectNodeContents(lastBlock);
-                range.collapse(false);
-                selection.removeAllRanges();
-                selection.addRange(range);
+                this.setCaretOffset(lastBlock);
             }
         }, 100);
     }
 
+    openSearchResult(planId, blockId) {
+        const plan = this.plans.find(p => p.id === planId);
+        if (!plan) return;
+
+        const block = blockId ? plan.blocks.find(b => b.id === blockId) : null;
+        if (block && block.collapsed) {
+            block.collapsed = false;
+            this.autoSave();
+        }
+
+        this.currentPlanId = planId;
+        this.searchHighlightBlockId = block ? block.id : null;
+        this.render();
+    }
+
+    setSearchQuery(query) {
+        this.searchQuery = query;
+        this.renderSidebar();
+    }
+
+    setSearchFilter(filter) {
+        this.searchFilter = filter;
+        document.querySelectorAll('.search-filter-btn').forEach(button => {
+            button.classList.toggle('active', button.dataset.filter === filter);
+        });
+        this.renderSidebar();
+    }
+
     closePlan() {
-        this.currentPlanId = null;
+        if (this.currentPlanId) {
+            this.closeTab(this.activePane, this.currentPlanId);
+        }
+    }
+
+    // Tabs and Panes. Each pane has its own tabs and a plan is open in at most
+    // one pane, so block ids stay unique on screen. currentPlanId is the plan
+    // shown in the focused pane, which every plan command acts on.
+    get currentPlanId() {
+        const pane = this.panes[this.activePane];
+        return pane ? pane.planId : null;
+    }
+
+    set currentPlanId(planId) {
+        this.openPlan(planId);
+    }
+
+    // Show a plan in the focused pane, opening a tab next to the current one.
+    // A plan that already has a tab is shown where that tab is.
+    openPlan(planId) {
+        const paneIndex = this.panes.findIndex(pane => pane.tabs.includes(planId));
+        if (paneIndex !== -1) {
+            this.activePane = paneIndex;
+        } else if (planId) {
+            const pane = this.panes[this.activePane];
+            pane.tabs.splice(pane.tabs.indexOf(pane.planId) + 1, 0, planId);
+        }
+
+        this.panes[this.activePane].planId = planId;
+        this.saveOpenTabs();
+    }
+
+    saveOpenTabs() {
+        this.storage.saveOpenTabs({ panes: this.panes, activePane: this.activePane });
+    }
+
+    restoreOpenTabs() {
+        const saved = this.storage.loadOpenTabs();
+        if (saved) {
+            this.panes = saved.panes.map(pane => ({ tabs: [...pane.tabs], planId: pane.planId }));
+            this.activePane = Math.min(saved.activePane || 0, this.panes.length - 1);
+        }
+
+        this.pruneTabs();
+        for (let index = this.panes.length - 1; index >= 0; index--) {
+            this.closePaneIfEmpty(index);
+        }
+    }
+
+    // Drop tabs whose plans are gone: deleted, undone or removed on disk
+    pruneTabs() {
+        let changed = false;
+        this.panes.forEach(pane => {
+            pane.tabs
+                .filter(planId => !this.plans.some(plan => plan.id === planId))
+                .forEach(planId => {
+                    this.removeTab(pane, planId);
+                    changed = true;
+                });
+        });
+
+        if (changed) {
+            this.saveOpenTabs();
+        }
+    }
+
+    // Take a tab out of a pane; if it was showing, its neighbour takes over
+    removeTab(pane, planId) {
+        const index = pane.tabs.indexOf(planId);
+        if (index === -1) return;
+
+        pane.tabs.splice(index, 1);
+        if (pane.planId === planId) {
+            pane.planId = pane.tabs[Math.min(index, pane.tabs.length - 1)] || null;
+        }
+    }
+
+    // A split closes when one of its panes runs out of tabs
+    closePaneIfEmpty(paneIndex) {
+        if (this.panes.length < 2 || this.panes[paneIndex].tabs.length > 0) return;
+
+        const activePane = this.panes[this.activePane];
+        this.panes.splice(paneIndex, 1);
+        this.activePane = Math.max(0, this.panes.indexOf(activePane));
+    }
+
+    selectTab(paneIndex, planId) {
+        this.activePane = paneIndex;
+        this.panes[paneIndex].planId = planId;
+        this.saveOpenTabs();
+        this.render();
+    }
+
+    closeTab(paneIndex, planId) {
+        this.removeTab(this.panes[paneIndex], planId);
+        this.closePaneIfEmpty(paneIndex);
+        this.saveOpenTabs();
+        this.render();
+    }
+
+    cycleTab(step) {
+        const pane = this.panes[this.activePane];
+        if (pane.tabs.length < 2) return;
+
+        const index = (pane.tabs.indexOf(pane.planId) + step + pane.tabs.length) % pane.tabs.length;
+        this.selectTab(this.activePane, pane.tabs[index]);
+    }
+
+    moveTab(planId, paneIndex) {
+        const sourceIndex = this.panes.findIndex(pane => pane.tabs.includes(planId));
+        if (sourceIndex === -1 || sourceIndex === paneIndex) return;
+
+        const target = this.panes[paneIndex];
+        this.removeTab(this.panes[sourceIndex], planId);
+        target.tabs.push(planId);
+        target.planId = planId;
+        this.activePane = paneIndex;
+
+        this.closePaneIfEmpty(sourceIndex);
+        this.saveOpenTabs();
+        this.render();
+    }
+
+    // Splitting moves the current plan into a new pane on the right, leaving the
+    // left pane for the plan to compare with. Closing the split merges the tabs.
+    toggleSplit() {
+        if (this.panes.length > 1) {
+            const planId = this.currentPlanId;
+            const [left, right] = this.panes;
+            left.tabs.push(...right.tabs);
+            left.planId = planId || left.planId || right.planId;
+            this.panes = [left];
+            this.activePane = 0;
+        } else {
+            const pane = this.panes[0];
+            const planId = pane.planId;
+            if (!planId) {
+                this.showToast('Open a plan to split the editor');
+                return;
+            }
+
+            this.removeTab(pane, planId);
+            this.panes.push({ tabs: [planId], planId });
+            // With nothing left on the left, focus it so the next plan picked opens there
+            this.activePane = pane.planId ? 1 : 0;
+        }
+
+        this.saveOpenTabs();
+        this.render();
+    }
+
+    // Clicking or tabbing into a pane only moves the highlight and the action bar,
+    // so the click that did it still lands on what was clicked
+    setActivePane(paneIndex) {
+        if (paneIndex === this.activePane || !this.panes[paneIndex]) return;
+
+        this.activePane = paneIndex;
+        this.saveOpenTabs();
+        document.querySelectorAll('.editor-pane').forEach(element => {
+            element.classList.toggle('active', Number(element.dataset.pane) === paneIndex);
+        });
+
+        if (this.copyMenu) {
+            this.closeCopyMenu();
+        }
+        this.renderSidebar();
+        this.updateFloatingActionBar();
+        this.updateTokenMeter();
+        this.updateStepModeBar();
+    }
+
+    updateTabTitle(planId, title) {
+        document.querySelectorAll(`.editor-tab[data-plan-id="${planId}"]`).forEach(tab => {
+            tab.title = title;
+            tab.querySelector('.editor-tab-title').textContent = title || 'Untitled';
+        });
+    }
+
+    // Move a block dropped into the other pane's plan. Both plans change in one
+    // history step, so a single undo puts the block back.
+    moveBlockToPlan(sourcePlanId, targetPlanId, blockId, index) {
+        const source = this.plans.find(p => p.id === sourcePlanId);
+        const target = this.plans.find(p => p.id === targetPlanId);
+        const block = source ? source.blocks.find(b => b.id === blockId) : null;
+        if (!target || !block) return;
+
+        const sourceBefore = HistoryManager.clone(source);
+        const before = HistoryManager.clone(target);
+        source.blocks = source.blocks.filter(b => b !== block);
+        target.blocks.splice(index === -1 ? target.blocks.length : index, 0, block);
+
+        this.history.record({
+            type: 'move-block',
+            planId: target.id,
+            sourcePlanId: source.id,
+            label: 'Move block to another plan',
+            before,
+            after: HistoryManager.clone(target),
+            sourceBefore,
+            sourceAfter: HistoryManager.clone(source),
+            blockId
+        });
+
+        this.savePlans(false);
         this.render();
     }
 
@@ -152,15 +453,25 @@ class PromptManager {
         }
     }
 
+    // Deleted plans go to the trash, so there is nothing to confirm
     deletePlan(planId) {
         const plan = this.plans.find(p => p.id === planId);
-        if (plan && confirm(`Delete "${plan.title}"?`)) {
+        if (plan) {
+            const index = this.plans.indexOf(plan);
+            const trashItem = this.createTrashItem('plan', { plan: HistoryManager.clone(plan), index });
+            this.history.record({
+                type: 'delete-plan',
+                planId: plan.id,
+                label: 'Delete plan',
+                plan: HistoryManager.clone(plan),
+                index,
+                trashItem
+            });
             this.plans = this.plans.filter(p => p.id !== planId);
-            if (this.currentPlanId === planId) {
-                this.currentPlanId = this.plans.length > 0 ? this.plans[0].id : null;
-            }
+            this.putInTrash(trashItem);
             this.savePlans();
             this.render();
+            this.showToast(`Moved "${plan.title}" to the trash`);
         }
     }
 
@@ -171,11 +482,11 @@ class PromptManager {
                 id: Date.now().toString(),
                 title: `${originalPlan.title} (Copy)`,
                 createdAt: new Date().toISOString(),
+                tags: [...(originalPlan.tags || [])],
+                folder: originalPlan.folder || '',
                 blocks: originalPlan.blocks.map(block => ({
-                    id: Date.now().toString() + Math.random(),
-                    content: block.content,
-                    done: block.done,
-                    collapsed: block.collapsed
+                    ...HistoryManager.clone(block),
+                    id: Date.now().toString() + Math.random()
                 }))
             };
 
@@ -187,16 +498,131 @@ class PromptManager {
 
     updatePlanTitle(planId, newTitle) {
         const plan = this.plans.find(p => p.id === planId);
-        if (plan) {
+        if (plan && plan.title !== newTitle) {
+            const before = HistoryManager.clone(plan);
             plan.title = newTitle;
+            this.recordPlanChange(plan, before, 'Rename plan', { coalesceKey: `title:${planId}` });
             this.autoSave();
         }
     }
 
+    // Tags and Folders
+    normalizeTag(tag) {
+        return tag
+            .trim()
+            .replace(/^#+/, '')
+            .replace(/\s+/g, '-')
+            .replace(/[^\p{L}\p{N}_-]/gu, '')
+            .toLowerCase();
+    }
+
+    // Folders are '/'-separated paths, e.g. "Client A/Backend"
+    getFolderSegments(folder) {
+        return (folder || '')
+            .split('/')
+            .map(segment => segment.trim())
+            .filter(Boolean);
+    }
+
+    getAllFolders() {
+        const folders = new Set();
+        this.plans.forEach(plan => {
+            const segments = this.getFolderSegments(plan.folder);
+            segments.forEach((segment, index) => {
+                folders.add(segments.slice(0, index + 1).join('/'));
+            });
+        });
+        return [...folders].sort((a, b) => a.localeCompare(b));
+    }
+
+    buildFolderTree(plans) {
+        const root = { name: '', path: '', folders: new Map(), plans: [] };
+
+        plans.forEach(plan => {
+            let node = root;
+            this.getFolderSegments(plan.folder).forEach(segment => {
+                if (!node.folders.has(segment)) {
+                    const path = node.path ? `${node.path}/${segment}` : segment;
+                    node.folders.set(segment, { name: segment, path, folders: new Map(), plans: [] });
+                }
+                node = node.folders.get(segment);
+            });
+            node.plans.push(plan);
+        });
+
+        return root;
+    }
+
+    countFolderPlans(node) {
+        let count = node.plans.length;
+        node.folders.forEach(child => {
+            count += this.countFolderPlans(child);
+        });
+        return count;
+    }
+
+    setPlanFolder(planId, folder) {
+        const plan = this.plans.find(p => p.id === planId);
+        const normalized = this.getFolderSegments(folder).join('/');
+        if (!plan || (plan.folder || '') === normalized) return;
+
+        const before = HistoryManager.clone(plan);
+        plan.folder = normalized;
+        this.recordPlanChange(plan, before, normalized ? 'Move to folder' : 'Remove from folder');
+
+        // Make sure the plan is visible in its new home
+        this.getFolderSegments(normalized).forEach((segment, index, segments) => {
+            this.collapsedFolders.delete(segments.slice(0, index + 1).join('/'));
+        });
+        this.storage.saveCollapsedFolders([...this.collapsedFolders]);
+
+        this.savePlans(false);
+        this.render();
+    }
+
+    addPlanTag(planId, tag) {
+        const plan = this.plans.find(p => p.id === planId);
+        const normalized = this.normalizeTag(tag);
+        if (!plan || !normalized || (plan.tags || []).includes(normalized)) return false;
+
+        const before = HistoryManager.clone(plan);
+        plan.tags = [...(plan.tags || []), normalized];
+        this.recordPlanChange(plan, before, 'Add tag');
+        this.savePlans(false);
+        return true;
+    }
+
+    removePlanTag(planId, tag) {
+        const plan = this.plans.find(p => p.id === planId);
+        if (!plan || !(plan.tags || []).includes(tag)) return;
+
+        const before = HistoryManager.clone(plan);
+        plan.tags = plan.tags.filter(t => t !== tag);
+        this.recordPlanChange(plan, before, 'Remove tag');
+        this.savePlans(false);
+        this.render();
+    }
+
+    setTagFilter(tag) {
+        this.tagFilter = tag;
+        this.renderSidebar();
+    }
+
+    toggleFolderCollapsed(folderPath) {
+        if (this.collapsedFolders.has(folderPath)) {
+            this.collapsedFolders.delete(folderPath);
+        } else {
+            this.collapsedFolders.add(folderPath);
+        }
+        this.storage.saveCollapsedFolders([...this.collapsedFolders]);
+        this.renderSidebar();
+    }
+
     // Block Management
     addBlock(planId) {
         const plan = this.plans.find(p => p.id === planId);
         if (plan) {
+            const before = HistoryManager.clone(plan);
             const newBlock = {
                 id: Date.now().toString(),
                 content: '',
@@ -204,6 +630,7 @@ class PromptManager {
                 collapsed: false
             };
             plan.blocks.push(newBlock);
+            this.recordPlanChange(plan, before, 'Add block', { blockId: newBlock.id });
             this.savePlans();
             this.render();
 
@@ -216,12 +643,47 @@ class PromptManager {
         }
     }
 
+    // Split the focused block at the caret; the text after it moves to a new
+    // block of the same type, and one line break at the split point is dropped
+    splitBlockAtCursor(textarea) {
+        const plan = this.plans.find(p => p.id === textarea.dataset.planId);
+        const index = plan ? plan.blocks.findIndex(b => b.id === textarea.dataset.blockId) : -1;
+        if (index === -1) return;
+
+        const block = plan.blocks[index];
+        const value = textarea.value;
+        const head = value.slice(0, textarea.selectionStart).replace(/\r?\n$/, '');
+        const tail = value.slice(textarea.selectionEnd).replace(/^\r?\n/, '');
+
+        const before = HistoryManager.clone(plan);
+        block.content = head;
+        const newBlock = {
+            id: Date.now().toString(),
+            content: tail,
+            done: false,
+            collapsed: false
+        };
+        if (block.type) newBlock.type = block.type;
+        if (block.language) newBlock.language = block.language;
+        plan.blocks.splice(index + 1, 0, newBlock);
+
+        this.recordPlanChange(plan, before, 'Split block', { blockId: newBlock.id });
+        this.savePlans();
+        this.render();
+        this.focusBlock(newBlock.id, 0);
+    }
+
     updateBlock(planId, blockId, content) {
         const plan = this.plans.find(p => p.id === planId);
         if (plan) {
             const block = plan.blocks.find(b => b.id === blockId);
-            if (block) {
+            if (block && block.content !== content) {
+                const before = HistoryManager.clone(plan);
                 block.content = content;
+                this.recordPlanChange(plan, before, 'Edit block', {
+                    blockId,
+                    coalesceKey: `text:${planId}:${blockId}`
+                });
                 this.autoSave();
             }
         }
@@ -230,19 +692,158 @@ class PromptManager {
     updateBlockPreview(planId, blockId, content) {
         const block = document.querySelector(`[data-block-id="${blockId}"] .block-preview`);
         if (block) {
-            block.innerHTML = content ? marked(content) : '';
+            block.innerHTML = content ? this.renderMarkdown(content) : '';
         }
     }
 
-    copyBlock(planId, blockId) {
+    renderMarkdown(content) {
+        return Placeholders.highlight(this.markdownToHtml(content));
+    }
+
+    // Markdown may carry raw HTML, so the output is always sanitized
+    markdownToHtml(text) {
+        return HtmlSanitizer.sanitize(marked.parse(text));
+    }
+
+    // Resolves to true once the block is on the clipboard
+    async copyBlock(planId, blockId) {
         const plan = this.plans.find(p => p.id === planId);
         if (plan) {
             const block = plan.blocks.find(b => b.id === blockId);
-            if (block) {
-                navigator.clipboard.writeText(block.content).then(() => {
-                    this.showToast('Block content copied to clipboard');
-                });
+            if (block && !BlockTypes.isCopied(block)) {
+                this.showToast('Notes are not copied');
+            } else if (block) {
+                return this.copyWithPlaceholders(plan, this.expandSnippets(block.content), 'Block content copied to clipboard');
+            }
+        }
+        return false;
+    }
+
+    // Copy text, first asking for values when it contains {{placeholders}}.
+    // The values are remembered on the plan for next time.
+    async copyWithPlaceholders(plan, text, message) {
+        const filled = await this.fillPlaceholders(plan, text);
+        if (filled === null) return false;
+
+        return this.writeClipboard(filled, message);
+    }
+
+    // Resolves to false when the clipboard refused the text, e.g. because the
+    // window lost focus
+    async writeClipboard(text, message) {
+        try {
+            await navigator.clipboard.writeText(text);
+        } catch (error) {
+            console.error('Error copying to clipboard:', error);
+            this.showToast('Could not copy to the clipboard');
+            return false;
+        }
+        this.showToast(message);
+        return true;
+    }
+
+    // Ask for any {{placeholder}} values and remember them on the plan.
+    // Resolves to the filled text, or null if the form was cancelled.
+    async fillPlaceholders(plan, text, actionLabel = 'Copy') {
+        const names = Placeholders.find(text);
+        if (names.length === 0) return text;
+
+        const values = await this.requestPlaceholderValues(names, plan.placeholderValues || {}, actionLabel);
+        if (!values) return null;
+
+        plan.placeholderValues = { ...(plan.placeholderValues || {}), ...values };
+        this.autoSave();
+        return Placeholders.fill(text, values);
+    }
+
+    // Placeholder Form
+    requestPlaceholderValues(names, lastValues, actionLabel = 'Copy') {
+        if (this.placeholderRequest) {
+            this.placeholderRequest.resolve(null);
+        }
+
+        const fieldsElement = document.getElementById('placeholderFields');
+        fieldsElement.innerHTML = '';
+
+        names.forEach(name => {
+            const field = document.createElement('label');
+            field.className = 'placeholder-field';
+
+            const nameElement = document.createElement('span');
+            nameElement.className = 'placeholder-name';
+            nameElement.textContent = `{{${name}}}`;
+
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'placeholder-input';
+            input.dataset.name = name;
+            input.value = lastValues[name] || '';
+
+            field.appendChild(nameElement);
+            field.appendChild(input);
+            fieldsElement.appendChild(field);
+        });
+
+        const request = new Promise(resolve => {
+            this.placeholderRequest = { names, resolve, warned: false, actionLabel };
+        });
+
+        this.setPlaceholderWarning(null);
+        document.getElementById('placeholderModal').classList.add('show');
+
+        setTimeout(() => {
+            const firstInput = fieldsElement.querySelector('.placeholder-input');
+            if (firstInput) {
+                firstInput.focus();
+                firstInput.select();
+            }
+        }, 100);
+
+        return request;
+    }
+
+    submitPlaceholderForm() {
+        if (!this.placeholderRequest) return;
+
+        const values = {};
+        const blankNames = [];
+        document.querySelectorAll('#placeholderFields .placeholder-input').forEach(input => {
+            const isBlank = input.value.trim() === '';
+            values[input.dataset.name] = input.value;
+            input.classList.toggle('blank', isBlank);
+            if (isBlank) {
+                blankNames.push(input.dataset.name);
             }
+        });
+
+        // Blank values are allowed, but only after the user has seen the warning
+        if (blankNames.length > 0 && !this.placeholderRequest.warned) {
+            this.placeholderRequest.warned = true;
+            const tokens = blankNames.map(name => `{{${name}}}`).join(', ');
+            this.setPlaceholderWarning(`${tokens} ${blankNames.length === 1 ? 'is' : 'are'} blank and will be left as-is.`);
+            return;
+        }
+
+        this.closePlaceholderForm(values);
+    }
+
+    setPlaceholderWarning(message) {
+        const warningElement = document.getElementById('placeholderWarning');
+        const buttonText = document.getElementById('copyPlaceholderBtnText');
+        const actionLabel = this.placeholderRequest ? this.placeholderRequest.actionLabel : 'Copy';
+
+        warningElement.textContent = message || '';
+        warningElement.classList.toggle('show', Boolean(message));
+        buttonText.textContent = message ? `${actionLabel} Anyway` : actionLabel;
+    }
+
+    closePlaceholderForm(values = null) {
+        document.getElementById('placeholderModal').classList.remove('show');
+
+        if (this.placeholderRequest) {
+            const { resolve } = this.placeholderRequest;
+            this.placeholderRequest = null;
+            resolve(values);
         }
     }
 
@@ -251,7 +852,9 @@ class PromptManager {
         if (plan) {
             const block = plan.blocks.find(b => b.id === blockId);
             if (block) {
+                const before = HistoryManager.clone(plan);
                 block.done = !block.done;
+                this.recordPlanChange(plan, before, block.done ? 'Mark block done' : 'Mark block undone', { blockId });
                 this.savePlans(false);
                 this.render();
             }
@@ -263,7 +866,9 @@ class PromptManager {
         if (plan) {
             const block = plan.blocks.find(b => b.id === blockId);
             if (block) {
+                const before = HistoryManager.clone(plan);
                 block.collapsed = !block.collapsed;
+                this.recordPlanChange(plan, before, block.collapsed ? 'Collapse block' : 'Expand block', { blockId });
                 this.savePlans(false);
                 this.render();
             }
@@ -295,10 +900,15 @@ class PromptManager {
     confirmBlockDelete(planId, blockId) {
         const plan = this.plans.find(p => p.id === planId);
         if (plan) {
-            plan.blocks = plan.blocks.filter(b => b.id !== blockId);
+            const before = HistoryManager.clone(plan);
+            const trashItem = this.trashBlock(plan, blockId);
+            this.recordPlanChange(plan, before, 'Delete block', { blockId, trashItem });
             this.blockToDelete = null;
             this.savePlans(false);
             this.render();
+            if (trashItem) {
+                this.showToast('Block moved to the trash', 2000);
+            }
         }
     }
 
@@ -310,77 +920,2526 @@ class PromptManager {
     copyFullPlan(planId) {
         const plan = this.plans.find(p => p.id === planId);
         if (plan) {
-            const fullPlanText = plan.blocks
-                .map(block => block.content)
-                .filter(content => content.trim())
-                .join('\n\n---\n\n');
-
-            navigator.clipboard.writeText(fullPlanText).then(() => {
-                this.showToast('Full plan copied to clipboard');
-            });
+            this.copyPlanWithOptions(plan, this.getCopyOptions(plan));
         }
     }
 
-    // Import/Export
-    async exportPlans() {
-        const success = this.storage.exportPlans(this.plans);
-        if (success) {
-            this.showSaveStatus('saved');
-            setTimeout(() => {
-                const statusElement = document.getElementById('saveStatus');
-                const iconElement = document.getElementById('saveStatusIcon');
-                const textElement = document.getElementById('saveStatusText');
+    copyPlanWithOptions(plan, options) {
+        const text = CopyFormat.format(this.withSnippetsExpanded(plan), options, this.getSelectedBlockIds(plan.id));
+        if (!text) {
+            this.showToast(options.onlySelected ? 'Select the blocks to copy first' : 'Nothing to copy');
+            return;
+        }
+        this.copyWithPlaceholders(plan, text, 'Full plan copied to clipboard');
+    }
 
-                statusElement.className = 'save-status saved';
-                iconElement.className = 'ph-download-simple-bold';
-                textElement.textContent = 'Exported';
-                statusElement.classList.add('show');
+    // What Copy Full Plan copies, using the plan's last used preset
+    getFullPlanText(plan) {
+        return CopyFormat.format(this.withSnippetsExpanded(plan), this.getCopyOptions(plan), this.getSelectedBlockIds(plan.id));
+    }
 
-                setTimeout(() => {
-                    statusElement.classList.remove('show');
-                }, 2000);
-            }, 100);
+    // Trash
+    async loadTrash() {
+        try {
+            await this.storage.purgeTrash(this.trashDays);
+            this.trash = await this.storage.loadTrash();
+        } catch (error) {
+            console.error('Error loading trash:', error);
+            this.showToast('Error loading trash');
         }
     }
 
-    importPlans(files) {
-        this.storage.importPlans(files, (importedPlans) => {
-            importedPlans.forEach(plan => {
-                this.plans.unshift(plan);
-            });
-            this.savePlans(false);
-            this.render();
-
-            document.getElementById('importFileInput').value = '';
+    createTrashItem(kind, fields) {
+        return {
+            id: Date.now().toString() + Math.random(),
+            kind,
+            deletedAt: new Date().toISOString(),
+            ...fields
+        };
+    }
 
-            this.showSaveStatus('saved');
-            setTimeout(() => {
-                const statusElement = document.getElementById('saveStatus');
-                const iconElement = document.getElementById('saveStatusIcon');
-                const textElement = document.getElementById('saveStatusText');
+    // Take a block out of its plan. Anything worth keeping goes to the trash;
+    // returns the trash item, or null for a blank block.
+    trashBlock(plan, blockId) {
+        const blockIndex = plan.blocks.findIndex(b => b.id === blockId);
+        if (blockIndex === -1) return null;
 
-                statusElement.className = 'save-status saved';
-                iconElement.className = 'ph-upload-simple-bold';
-                textElement.textContent = 'Imported';
-                statusElement.classList.add('show');
+        const [block] = plan.blocks.splice(blockIndex, 1);
+        if (!(block.content && block.content.trim()) && !block.output) {
+            return null;
+        }
 
-                setTimeout(() => {
-                    statusElement.classList.remove('show');
-                }, 2000);
-            }, 100);
+        const trashItem = this.createTrashItem('block', {
+            block: HistoryManager.clone(block),
+            planId: String(plan.id),
+            planTitle: plan.title,
+            blockIndex
         });
+        this.putInTrash(trashItem);
+        return trashItem;
     }
 
-    // Directory Management
-    async changeSaveDirectory() {
-        try {
-            const newDirectory = await this.storage.changeSaveDirectory();
+    async putInTrash(item) {
+        this.trash = [item, ...this.trash.filter(existing => existing.id !== item.id)]
+            .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+        this.renderTrashButton();
 
-            if (newDirectory) {
-                await this.savePlans(false);
-                this.updateSaveDirectoryDisplay();
-                this.showToast(`Save location changed to: ${newDirectory}`);
-            }
+        try {
+            await this.storage.saveTrashItem(item);
+        } catch (error) {
+            console.error('Error moving to trash:', error);
+            this.showToast('Error moving to trash');
+        }
+    }
+
+    async takeFromTrash(itemId) {
+        this.trash = this.trash.filter(item => item.id !== itemId);
+        this.renderTrashButton();
+
+        try {
+            await this.storage.deleteTrashItem(itemId);
+        } catch (error) {
+            console.error('Error removing from trash:', error);
+            this.showToast('Error removing from trash');
+        }
+    }
+
+    // Put an item back where it was deleted from. A block whose plan is gone
+    // comes back in a new plan of the same name.
+    async restoreTrashItem(itemId) {
+        const item = this.trash.find(i => i.id === itemId);
+        if (!item) return;
+
+        if (item.kind === 'plan') {
+            if (!this.plans.some(p => String(p.id) === String(item.plan.id))) {
+                this.plans.splice(Math.min(item.index, this.plans.length), 0, HistoryManager.clone(item.plan));
+            }
+            this.currentPlanId = item.plan.id;
+            this.showToast(`Restored "${item.plan.title}"`);
+        } else {
+            let plan = this.plans.find(p => String(p.id) === item.planId);
+            if (!plan) {
+                plan = {
+                    id: Date.now().toString(),
+                    title: item.planTitle || 'Restored Blocks',
+                    createdAt: new Date().toISOString(),
+                    tags: [],
+                    folder: '',
+                    blocks: []
+                };
+                this.plans.unshift(plan);
+            }
+            if (!plan.blocks.some(b => b.id === item.block.id)) {
+                plan.blocks.splice(Math.min(item.blockIndex, plan.blocks.length), 0, HistoryManager.clone(item.block));
+            }
+            this.currentPlanId = plan.id;
+            this.searchHighlightBlockId = item.block.id;
+            this.showToast(`Restored block to "${plan.title}"`);
+        }
+
+        await this.takeFromTrash(itemId);
+        this.savePlans(false);
+        this.render();
+    }
+
+    async deleteTrashItemForever(itemId) {
+        const item = this.trash.find(i => i.id === itemId);
+        if (item && confirm(`Delete "${this.getTrashItemTitle(item)}" forever?`)) {
+            await this.takeFromTrash(itemId);
+            this.renderSidebar();
+        }
+    }
+
+    async emptyTrash() {
+        if (this.trash.length === 0 || !confirm(`Delete ${this.trash.length} item${this.trash.length === 1 ? '' : 's'} in the trash forever?`)) {
+            return;
+        }
+
+        await Promise.all(this.trash.map(item => this.takeFromTrash(item.id)));
+        this.renderSidebar();
+    }
+
+    setTrashDays(days) {
+        if (!Number.isInteger(days) || days < 1) {
+            document.getElementById('trashDaysInput').value = this.trashDays;
+            return;
+        }
+
+        this.trashDays = days;
+        this.storage.saveTrashDays(days);
+        this.loadTrash().then(() => this.renderSidebar());
+    }
+
+    toggleTrash() {
+        this.showingTrash = !this.showingTrash;
+        this.renderSidebar();
+    }
+
+    getTrashItemTitle(item) {
+        if (item.kind === 'plan') {
+            return item.plan.title || 'Untitled plan';
+        }
+        const firstLine = (item.block.content || '').trim().split('\n')[0];
+        return firstLine || 'Block with output';
+    }
+
+    // Where the item was deleted from, e.g. "Block 3 of "Release notes""
+    getTrashItemOrigin(item) {
+        if (item.kind === 'plan') {
+            return item.plan.folder ? `Plan in ${item.plan.folder}` : 'Plan';
+        }
+        const planExists = this.plans.some(p => String(p.id) === item.planId);
+        return `Block ${item.blockIndex + 1} of "${item.planTitle}"${planExists ? '' : ' (deleted)'}`;
+    }
+
+    // Templates
+    async loadTemplates() {
+        try {
+            this.templates = await this.storage.loadTemplates();
+        } catch (error) {
+            console.error('Error loading templates:', error);
+            this.showToast('Error loading templates');
+        }
+    }
+
+    // Carry saved templates over when the save location changes, like snippets
+    async moveTemplates() {
+        try {
+            await Promise.all(this.templates.map(template => this.storage.saveTemplate(template)));
+        } catch (error) {
+            console.error('Error moving templates:', error);
+            this.showToast('Error moving templates to the new location');
+        }
+        await this.loadTemplates();
+    }
+
+    // The trash belongs to the workspace, so it moves along with the plans
+    async moveTrash() {
+        try {
+            await Promise.all(this.trash.map(item => this.storage.saveTrashItem(item)));
+        } catch (error) {
+            console.error('Error moving trash:', error);
+            this.showToast('Error moving the trash to the new location');
+        }
+        await this.loadTrash();
+    }
+
+    // Pass a plan id to save that plan as a template; otherwise pick one to start a plan from
+    openTemplateModal(savePlanId = null) {
+        const plan = this.plans.find(p => p.id === savePlanId);
+        this.templateSavePlanId = plan ? plan.id : null;
+
+        document.getElementById('templateModalTitle').textContent = plan ? 'Save as Template' : 'New Plan from Template';
+        document.getElementById('templateSaveForm').style.display = plan ? '' : 'none';
+        document.getElementById('templateList').style.display = plan ? 'none' : '';
+
+        if (plan) {
+            document.getElementById('templateNameInput').value = plan.title;
+            document.getElementById('templateDescriptionInput').value = '';
+        } else {
+            this.renderTemplateList();
+        }
+
+        document.getElementById('templateModal').classList.add('show');
+        if (plan) {
+            document.getElementById('templateNameInput').select();
+        }
+    }
+
+    closeTemplateModal() {
+        this.templateSavePlanId = null;
+        document.getElementById('templateModal').classList.remove('show');
+    }
+
+    renderTemplateList() {
+        const renderCard = template => {
+            const firstLine = (template.blocks.find(block => block.content.trim()) || { content: '' }).content.trim().split('\n')[0];
+            return `
+                <div class="template-card" data-template-id="${PlanSearch.escapeHtml(template.id)}" title="Create a plan from this template">
+                    <div class="template-card-header">
+                        <span class="template-card-name">${PlanSearch.escapeHtml(template.name)}</span>
+                        <span class="template-card-count">${template.blocks.length} ${template.blocks.length === 1 ? 'block' : 'blocks'}</span>
+                        ${template.builtIn ? '' : `
+                            <button class="btn btn-ghost btn-sm delete-template-btn" data-template-id="${PlanSearch.escapeHtml(template.id)}" title="Delete template">
+                                <i class="ph-trash"></i>
+                            </button>
+                        `}
+                    </div>
+                    ${template.description ? `<div class="template-card-description">${PlanSearch.escapeHtml(template.description)}</div>` : ''}
+                    <div class="template-card-preview">${PlanSearch.escapeHtml(firstLine)}</div>
+                </div>
+            `;
+        };
+
+        document.getElementById('templateList').innerHTML = `
+            ${this.templates.length > 0 ? `
+                <div class="template-section-title">Your templates</div>
+                <div class="template-grid">${this.templates.map(renderCard).join('')}</div>
+            ` : ''}
+            <div class="template-section-title">Starters</div>
+            <div class="template-grid">${PlanTemplates.builtIns.map(renderCard).join('')}</div>
+            ${this.templates.length === 0 ? `
+                <p class="setting-hint">Save any plan as a template with the <i class="ph-bookmark-simple"></i> button next to it in the sidebar.</p>
+            ` : ''}
+        `;
+    }
+
+    createPlanFromTemplate(templateId) {
+        const template = [...this.templates, ...PlanTemplates.builtIns].find(t => t.id === templateId);
+        if (!template) return;
+
+        this.closeTemplateModal();
+        this.addNewPlan(PlanTemplates.toPlan(template));
+    }
+
+    async saveTemplateForm() {
+        const plan = this.plans.find(p => p.id === this.templateSavePlanId);
+        const name = document.getElementById('templateNameInput').value.trim();
+        const description = document.getElementById('templateDescriptionInput').value.trim();
+        if (!plan) return;
+
+        if (!name) {
+            this.showToast('Give the template a name');
+            return;
+        }
+
+        const existing = this.templates.find(template => template.name.toLowerCase() === name.toLowerCase());
+        if (existing && !confirm(`Replace the template "${existing.name}"?`)) return;
+
+        const template = PlanTemplates.fromPlan(plan, name, description);
+        if (existing) {
+            template.id = existing.id;
+        }
+
+        try {
+            await this.storage.saveTemplate(template);
+        } catch (error) {
+            console.error('Error saving template:', error);
+            this.showToast('Error saving template');
+            return;
+        }
+
+        await this.loadTemplates();
+        this.closeTemplateModal();
+        this.showToast(`Template "${name}" saved`);
+    }
+
+    async deleteTemplate(templateId) {
+        const template = this.templates.find(t => t.id === templateId);
+        if (!template || !confirm(`Delete template "${template.name}"?`)) return;
+
+        try {
+            await this.storage.deleteTemplate(templateId);
+        } catch (error) {
+            console.error('Error deleting template:', error);
+            this.showToast('Error deleting template');
+            return;
+        }
+
+        this.templates = this.templates.filter(t => t.id !== templateId);
+        this.renderTemplateList();
+        this.showToast(`Template "${template.name}" deleted`);
+    }
+
+    // Snippets
+    async loadSnippets() {
+        try {
+            this.snippets = await this.storage.loadSnippets();
+        } catch (error) {
+            console.error('Error loading snippets:', error);
+            this.showToast('Error loading snippets');
+        }
+    }
+
+    expandSnippets(text) {
+        return Snippets.expand(text, new Map(this.snippets.map(snippet => [snippet.name, snippet.content])));
+    }
+
+    // Copy of the plan with every include replaced by the current snippet text
+    withSnippetsExpanded(plan) {
+        return {
+            ...plan,
+            blocks: plan.blocks.map(block => ({ ...block, content: this.expandSnippets(block.content) }))
+        };
+    }
+
+    // Carry the library over when the save location changes, like the plans
+    async moveSnippets() {
+        try {
+            await Promise.all(this.snippets.map(snippet => this.storage.saveSnippet(snippet.name, snippet.content)));
+        } catch (error) {
+            console.error('Error moving snippets:', error);
+            this.showToast('Error moving snippets to the new location');
+        }
+        await this.loadSnippets();
+        this.renderSnippetList();
+    }
+
+    toggleSnippetsCollapsed() {
+        this.snippetsCollapsed = !this.snippetsCollapsed;
+        this.storage.saveSnippetsCollapsed(this.snippetsCollapsed);
+        this.renderSnippetList();
+    }
+
+    renderSnippetList() {
+        const section = document.getElementById('snippetsSection');
+        const list = document.getElementById('snippetsList');
+        if (!section || !list) return;
+
+        section.classList.toggle('collapsed', this.snippetsCollapsed);
+        if (this.snippets.length === 0) {
+            list.innerHTML = '<div class="snippets-empty">No snippets yet</div>';
+            return;
+        }
+
+        const usage = Snippets.usage(this.plans);
+        list.innerHTML = this.snippets.map(snippet => {
+            const count = (usage.get(snippet.name) || []).length;
+            return `
+                <div class="snippet-item" data-snippet-name="${snippet.name}"
+                     title="${PlanSearch.escapeHtml(snippet.content.slice(0, 200))}">
+                    <span class="snippet-item-name">${snippet.name}</span>
+                    <span class="snippet-item-usage" title="Blocks using this snippet">${count}</span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Chips under a block for the snippets it includes; unknown names are flagged
+    renderBlockSnippets(block) {
+        const names = Snippets.find(block.content);
+        if (names.length === 0) return '';
+
+        return `
+            <div class="block-snippets">
+                ${names.map(name => {
+                    const exists = this.snippets.some(snippet => snippet.name === name);
+                    return `
+                        <button class="snippet-chip ${exists ? '' : 'missing'}" data-snippet-name="${name}"
+                                title="${exists ? 'Edit snippet' : 'No such snippet - click to create it'}">
+                            ${Snippets.include(name)}
+                        </button>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+
+    openSnippetModal(name = null) {
+        const snippet = this.snippets.find(item => item.name === name);
+        this.snippetEditor = { name: snippet ? snippet.name : null };
+
+        const nameInput = document.getElementById('snippetNameInput');
+        const contentInput = document.getElementById('snippetContentInput');
+        nameInput.value = name || '';
+        contentInput.value = snippet ? snippet.content : '';
+
+        document.getElementById('snippetModalTitle').textContent = snippet ? 'Edit Snippet' : 'New Snippet';
+        document.getElementById('deleteSnippetBtn').style.display = snippet ? '' : 'none';
+        this.updateSnippetIncludeHint();
+        this.renderSnippetUsage();
+
+        document.getElementById('snippetModal').classList.add('show');
+        (snippet || name ? contentInput : nameInput).focus();
+    }
+
+    closeSnippetModal() {
+        this.snippetEditor = null;
+        document.getElementById('snippetModal').classList.remove('show');
+    }
+
+    updateSnippetIncludeHint() {
+        const name = document.getElementById('snippetNameInput').value.trim() || 'name';
+        document.getElementById('snippetIncludeText').textContent = Snippets.include(name);
+    }
+
+    renderSnippetUsage() {
+        const usageElement = document.getElementById('snippetUsage');
+        const { name } = this.snippetEditor;
+        const uses = name ? Snippets.usage(this.plans).get(name) || [] : [];
+
+        if (uses.length === 0) {
+            usageElement.innerHTML = '<div class="snippet-usage-empty">Not used by any block yet</div>';
+            return;
+        }
+
+        usageElement.innerHTML = `
+            <div class="snippet-usage-title">Used by ${uses.length} ${uses.length === 1 ? 'block' : 'blocks'}</div>
+            ${uses.map(({ plan, block, index }) => `
+                <div class="snippet-usage-item" data-plan-id="${plan.id}" data-block-id="${block.id}">
+                    <i class="ph-file-text"></i>
+                    <span>${PlanSearch.escapeHtml(plan.title)}</span>
+                    <span class="snippet-usage-block">Block ${index + 1}</span>
+                </div>
+            `).join('')}
+        `;
+    }
+
+    async saveSnippetForm() {
+        const name = document.getElementById('snippetNameInput').value.trim();
+        const content = document.getElementById('snippetContentInput').value;
+        const originalName = this.snippetEditor.name;
+
+        if (!Snippets.isValidName(name)) {
+            this.showToast('Snippet names can only use letters, numbers, - and _');
+            return;
+        }
+        if (name !== originalName && this.snippets.some(snippet => snippet.name === name)) {
+            this.showToast(`A snippet named "${name}" already exists`);
+            return;
+        }
+
+        try {
+            if (originalName && name !== originalName) {
+                await this.storage.renameSnippet(originalName, name);
+                this.renameSnippetIncludes(originalName, name);
+            }
+            await this.storage.saveSnippet(name, content);
+        } catch (error) {
+            console.error('Error saving snippet:', error);
+            this.showToast('Error saving snippet');
+            return;
+        }
+
+        await this.loadSnippets();
+        this.closeSnippetModal();
+        this.render();
+        this.showToast(`Snippet "${name}" saved`);
+    }
+
+    // Point every include of a renamed snippet at its new name
+    renameSnippetIncludes(oldName, newName) {
+        const plans = new Set((Snippets.usage(this.plans).get(oldName) || []).map(({ plan }) => plan));
+        plans.forEach(plan => {
+            const before = HistoryManager.clone(plan);
+            plan.blocks.forEach(block => {
+                block.content = Snippets.rename(block.content, oldName, newName);
+            });
+            this.recordPlanChange(plan, before, 'Rename snippet');
+        });
+        this.savePlans(false);
+    }
+
+    async deleteSnippet() {
+        const { name } = this.snippetEditor;
+        const uses = (Snippets.usage(this.plans).get(name) || []).length;
+        const warning = uses > 0 ? ` ${uses} ${uses === 1 ? 'block includes' : 'blocks include'} it.` : '';
+        if (!name || !confirm(`Delete snippet "${name}"?${warning}`)) return;
+
+        try {
+            await this.storage.deleteSnippet(name);
+        } catch (error) {
+            console.error('Error deleting snippet:', error);
+            this.showToast('Error deleting snippet');
+            return;
+        }
+
+        this.snippets = this.snippets.filter(snippet => snippet.name !== name);
+        this.closeSnippetModal();
+        this.render();
+        this.showToast(`Snippet "${name}" deleted`);
+    }
+
+    async copySnippetInclude() {
+        const name = document.getElementById('snippetNameInput').value.trim();
+        if (!Snippets.isValidName(name)) return;
+
+        await this.writeClipboard(Snippets.include(name), 'Include copied to clipboard');
+    }
+
+    // Step Mode: work through a plan one block at a time
+    getSteps(plan) {
+        return plan.blocks.filter(block => BlockTypes.isCopied(block) && block.content.trim());
+    }
+
+    isStepModeActive(planId) {
+        return Boolean(this.stepMode) && this.stepMode.planId === planId;
+    }
+
+    // The step copied last while it is still undone, otherwise the first undone step
+    getCurrentStep(plan) {
+        const steps = this.getSteps(plan);
+        return steps.find(block => block.id === this.stepMode.blockId && !block.done) ||
+            steps.find(block => !block.done) ||
+            null;
+    }
+
+    isCurrentStep(planId, blockId) {
+        if (!this.isStepModeActive(planId)) return false;
+
+        const plan = this.plans.find(p => p.id === planId);
+        const step = plan ? this.getCurrentStep(plan) : null;
+        return Boolean(step) && step.id === blockId;
+    }
+
+    toggleStepMode() {
+        const plan = this.plans.find(p => p.id === this.currentPlanId);
+        if (!plan) return;
+
+        this.stepMode = this.isStepModeActive(plan.id) ? null : { planId: plan.id, blockId: null };
+        this.renderEditor();
+
+        if (this.stepMode) {
+            const step = this.getCurrentStep(plan);
+            if (step) {
+                this.focusBlock(step.id);
+            }
+        }
+    }
+
+    // Marks the step copied last as done, then copies the first undone step and moves to it
+    async copyNextStep() {
+        const plan = this.plans.find(p => p.id === this.currentPlanId);
+        if (!plan) return;
+
+        if (!this.isStepModeActive(plan.id)) {
+            this.stepMode = { planId: plan.id, blockId: null };
+        }
+
+        const previous = plan.blocks.find(block => block.id === this.stepMode.blockId);
+        if (previous && !previous.done) {
+            this.toggleBlockDone(plan.id, previous.id);
+        }
+
+        const next = this.getSteps(plan).find(block => !block.done);
+        if (!next) {
+            this.stepMode.blockId = null;
+            this.renderEditor();
+            this.showToast('All steps are done');
+            return;
+        }
+
+        // A cancelled placeholder form leaves the step uncopied, so it is not tracked
+        if (!await this.copyBlock(plan.id, next.id)) return;
+
+        this.stepMode.blockId = next.id;
+        this.renderEditor();
+        this.focusBlock(next.id);
+    }
+
+    updateStepModeBar() {
+        const plan = this.plans.find(p => p.id === this.currentPlanId);
+        const isActive = Boolean(plan) && this.isStepModeActive(plan.id);
+
+        document.getElementById('stepModeBtn').classList.toggle('active', isActive);
+        document.getElementById('copyNextBtn').style.display = isActive ? '' : 'none';
+
+        const progress = document.getElementById('stepProgress');
+        progress.style.display = isActive ? '' : 'none';
+        if (!isActive) return;
+
+        const steps = this.getSteps(plan);
+        const step = this.getCurrentStep(plan);
+        progress.textContent = step
+            ? `Step ${steps.indexOf(step) + 1} of ${steps.length}`
+            : `All ${steps.length} steps done`;
+        progress.title = `${steps.filter(block => block.done).length} of ${steps.length} steps done`;
+    }
+
+    // Copy Options
+    getCopyOptions(plan) {
+        return { ...CopyFormat.defaults, ...CopyFormat.getPreset(plan.copyPreset, this.copyPresets).options };
+    }
+
+    getSelectedBlockIds(planId) {
+        return this.blockSelection.planId === planId ? this.blockSelection.blockIds : new Set();
+    }
+
+    toggleBlockSelected(planId, blockId) {
+        if (this.blockSelection.planId !== planId) {
+            this.blockSelection = { planId, blockIds: new Set() };
+        }
+
+        const { blockIds } = this.blockSelection;
+        if (blockIds.has(blockId)) {
+            blockIds.delete(blockId);
+        } else {
+            blockIds.add(blockId);
+        }
+
+        const blockElement = document.querySelector(`.block[data-block-id="${blockId}"]`);
+        if (blockElement) {
+            blockElement.classList.toggle('selected', blockIds.has(blockId));
+            blockElement.querySelector('.block-select-checkbox').checked = blockIds.has(blockId);
+        }
+        this.updateTokenMeter();
+        if (this.copyMenu) {
+            this.renderCopyMenuSummary();
+        }
+    }
+
+    toggleCopyMenu() {
+        if (this.copyMenu) {
+            this.closeCopyMenu();
+        } else {
+            this.openCopyMenu();
+        }
+    }
+
+    openCopyMenu() {
+        const plan = this.plans.find(p => p.id === this.currentPlanId);
+        if (!plan) return;
+
+        this.copyMenu = {
+            presetId: CopyFormat.getPreset(plan.copyPreset, this.copyPresets).id,
+            options: this.getCopyOptions(plan)
+        };
+        this.renderCopyMenu();
+        document.getElementById('copyOptionsMenu').classList.add('show');
+    }
+
+    closeCopyMenu() {
+        this.copyMenu = null;
+        document.getElementById('copyOptionsMenu').classList.remove('show');
+    }
+
+    renderCopyMenu() {
+        const { presetId, options } = this.copyMenu;
+        const preset = CopyFormat.getPreset(presetId, this.copyPresets);
+
+        const presetSelect = document.getElementById('copyPresetSelect');
+        presetSelect.innerHTML = CopyFormat.presets(this.copyPresets)
+            .map(item => `<option value="${item.id}">${PlanSearch.escapeHtml(item.name)}</option>`)
+            .join('');
+        presetSelect.value = preset.id;
+        document.getElementById('deleteCopyPresetBtn').disabled = Boolean(preset.builtIn);
+
+        document.querySelectorAll('#copyOptionsMenu [data-copy-option]').forEach(input => {
+            const value = options[input.dataset.copyOption];
+            if (input.type === 'checkbox') {
+                input.checked = value;
+            } else if (input.dataset.copyOption === 'separator') {
+                input.value = CopyFormat.escapeSeparator(value);
+            } else {
+                input.value = value;
+            }
+        });
+
+        this.renderCopyMenuSummary();
+    }
+
+    renderCopyMenuSummary() {
+        const plan = this.plans.find(p => p.id === this.currentPlanId);
+        if (!plan) return;
+
+        const { options } = this.copyMenu;
+        const selectedIds = this.getSelectedBlockIds(plan.id);
+        const blockCount = CopyFormat.blocksToCopy(plan, options, selectedIds).length;
+        const tokens = this.countTokens(CopyFormat.format(this.withSnippetsExpanded(plan), options, selectedIds));
+
+        document.getElementById('copySelectedCount').textContent = `(${selectedIds.size} selected)`;
+        document.getElementById('copyOptionsSummary').textContent =
+            `${blockCount} ${blockCount === 1 ? 'block' : 'blocks'}, ${TokenCounter.format(tokens)} tokens`;
+    }
+
+    selectCopyPreset(presetId) {
+        this.copyMenu = {
+            presetId,
+            options: { ...CopyFormat.defaults, ...CopyFormat.getPreset(presetId, this.copyPresets).options }
+        };
+        this.renderCopyMenu();
+    }
+
+    setCopyOption(input) {
+        const name = input.dataset.copyOption;
+        if (input.type === 'checkbox') {
+            this.copyMenu.options[name] = input.checked;
+        } else if (name === 'separator') {
+            this.copyMenu.options[name] = CopyFormat.unescapeSeparator(input.value);
+        } else {
+            this.copyMenu.options[name] = input.value;
+        }
+        this.renderCopyMenuSummary();
+    }
+
+    copyFromMenu() {
+        const plan = this.plans.find(p => p.id === this.currentPlanId);
+        if (!plan || !this.copyMenu) return;
+
+        const { presetId, options } = this.copyMenu;
+        this.closeCopyMenu();
+        this.rememberCopyPreset(plan, presetId);
+        this.copyPlanWithOptions(plan, options);
+    }
+
+    // The last used preset is kept on the plan, but is not an undoable edit
+    rememberCopyPreset(plan, presetId) {
+        if ((plan.copyPreset || 'default') === presetId) return;
+
+        if (presetId === 'default') {
+            delete plan.copyPreset;
+        } else {
+            plan.copyPreset = presetId;
+        }
+        this.savePlans(false);
+        this.updateTokenMeter();
+    }
+
+    saveCopyPreset() {
+        const nameInput = document.getElementById('copyPresetNameInput');
+        const name = nameInput.value.trim();
+        if (!name) {
+            this.showToast('Enter a name for the preset');
+            nameInput.focus();
+            return;
+        }
+
+        // Saving under an existing name updates that preset
+        let preset = this.copyPresets.find(item => item.name === name);
+        if (!preset) {
+            preset = { id: `custom-${Date.now()}`, name };
+            this.copyPresets.push(preset);
+        }
+        preset.options = { ...this.copyMenu.options };
+        this.storage.saveCopyPresets(this.copyPresets);
+
+        nameInput.value = '';
+        this.copyMenu.presetId = preset.id;
+        this.renderCopyMenu();
+        this.updateTokenMeter();
+        this.showToast(`Saved preset "${name}"`);
+    }
+
+    deleteCopyPreset() {
+        const preset = this.copyPresets.find(item => item.id === this.copyMenu.presetId);
+        if (!preset) return;
+
+        // Plans that used it fall back to the default preset
+        this.copyPresets = this.copyPresets.filter(item => item !== preset);
+        this.storage.saveCopyPresets(this.copyPresets);
+        this.selectCopyPreset('default');
+        this.updateTokenMeter();
+        this.showToast(`Deleted preset "${preset.name}"`);
+    }
+
+    // Block Types
+    setBlockType(planId, blockId, typeId) {
+        const plan = this.plans.find(p => p.id === planId);
+        const block = plan ? plan.blocks.find(b => b.id === blockId) : null;
+        if (!block || BlockTypes.typeOf(block) === typeId) return;
+
+        const before = HistoryManager.clone(plan);
+        if (typeId === 'prompt') {
+            delete block.type;
+        } else {
+            block.type = typeId;
+        }
+        if (typeId !== 'code') {
+            delete block.language;
+        }
+        if (typeId === 'checklist' && BlockTypes.checklistItems(block.content).length > 0) {
+            block.done = BlockTypes.isChecklistComplete(block.content);
+        }
+        this.recordPlanChange(plan, before, 'Change block type', { blockId });
+        this.savePlans(false);
+        this.renderEditor();
+    }
+
+    setBlockLanguage(planId, blockId, language) {
+        const plan = this.plans.find(p => p.id === planId);
+        const block = plan ? plan.blocks.find(b => b.id === blockId) : null;
+        const normalized = language.trim().toLowerCase();
+        if (!block || (block.language || '') === normalized) return;
+
+        const before = HistoryManager.clone(plan);
+        if (normalized) {
+            block.language = normalized;
+        } else {
+            delete block.language;
+        }
+        this.recordPlanChange(plan, before, 'Set code language', { blockId });
+        this.savePlans(false);
+
+        document.querySelectorAll(`.block-content[data-block-id="${blockId}"]`).forEach(textarea => {
+            textarea.dataset.language = block.language || '';
+            BlockEditor.refresh(textarea);
+        });
+    }
+
+    // Ticking a checklist item rewrites its "- [ ]" marker; the block is done once every item is
+    toggleChecklistItem(planId, blockId, itemIndex) {
+        const plan = this.plans.find(p => p.id === planId);
+        const block = plan ? plan.blocks.find(b => b.id === blockId) : null;
+        if (!block) return;
+
+        const before = HistoryManager.clone(plan);
+        block.content = BlockTypes.toggleChecklistItem(block.content, itemIndex);
+        block.done = BlockTypes.isChecklistComplete(block.content);
+        this.recordPlanChange(plan, before, 'Tick checklist item', { blockId });
+        this.savePlans(false);
+        this.renderEditor();
+    }
+
+    renderBlockPreview(block) {
+        if (!block.content) return '';
+
+        switch (BlockTypes.typeOf(block)) {
+            case 'code':
+                return `<pre><code>${PlanSearch.escapeHtml(this.expandSnippets(block.content))}</code></pre>`;
+            case 'checklist':
+                // Not expanded: each checkbox has to map back to a line of the block itself
+                return BlockTypes.enableChecklistBoxes(this.renderMarkdown(block.content));
+            default:
+                return this.renderMarkdown(this.expandSnippets(block.content));
+        }
+    }
+
+    renderBlockTypeHeader(planId, block) {
+        const typeId = BlockTypes.typeOf(block);
+        if (typeId === 'prompt') return '';
+
+        const type = BlockTypes.get(typeId);
+        const items = typeId === 'checklist' ? BlockTypes.checklistItems(block.content) : [];
+
+        return `
+            <div class="block-type-header">
+                <i class="ph-${type.icon}"></i>
+                <span>${type.label}</span>
+                ${typeId === 'note' ? '<span class="block-type-hint">Not copied</span>' : ''}
+                ${typeId === 'checklist' && items.length > 0 ? `
+                    <span class="block-type-hint">${items.filter(Boolean).length} of ${items.length} done</span>
+                ` : ''}
+                ${typeId === 'code' ? `
+                    <input type="text" class="block-language-input" placeholder="language"
+                           value="${PlanSearch.escapeHtml(block.language || '')}"
+                           data-plan-id="${planId}" data-block-id="${block.id}" spellcheck="false">
+                ` : ''}
+            </div>
+        `;
+    }
+
+    // Token Budget
+    countTokens(text) {
+        return TokenCounter.count(text, this.tokenizer);
+    }
+
+    setPlanBudget(planId, profileId) {
+        const plan = this.plans.find(p => p.id === planId);
+        if (!plan || (plan.budgetProfile || '') === profileId) return;
+
+        const before = HistoryManager.clone(plan);
+        if (profileId) {
+            plan.budgetProfile = profileId;
+        } else {
+            delete plan.budgetProfile;
+        }
+        this.recordPlanChange(plan, before, 'Set token budget');
+        this.savePlans(false);
+        this.updateTokenMeter();
+    }
+
+    setTokenizer(name) {
+        this.tokenizer = name;
+        this.storage.saveTokenizer(name);
+        this.renderEditor();
+    }
+
+    // Refresh one block's count and the plan total after an edit, without re-rendering
+    updateBlockTokenCount(blockId, content) {
+        const countElement = document.querySelector(`.block[data-block-id="${blockId}"] .block-token-count`);
+        if (countElement) {
+            countElement.textContent = `${TokenCounter.format(this.countTokens(this.expandSnippets(content)))} tokens`;
+        }
+        this.updateTokenMeter();
+    }
+
+    // Meter in the action bar for what Copy Full Plan would copy, against the plan's budget
+    updateTokenMeter() {
+        const meter = document.getElementById('tokenMeter');
+        const plan = this.plans.find(p => p.id === this.currentPlanId);
+        if (!meter || !plan) return;
+
+        const tokens = this.countTokens(this.getFullPlanText(plan));
+        const profile = TokenCounter.getProfile(plan.budgetProfile);
+        const status = profile ? TokenCounter.budgetStatus(tokens, profile.contextSize) : 'ok';
+
+        meter.className = `btn btn-ghost btn-bar-middle token-meter ${status}`;
+        document.getElementById('tokenMeterText').textContent = profile
+            ? `${TokenCounter.format(tokens)} / ${TokenCounter.format(profile.contextSize)} tokens`
+            : `${TokenCounter.format(tokens)} tokens`;
+        document.getElementById('tokenMeterFill').style.width = profile
+            ? `${Math.min(100, (tokens / profile.contextSize) * 100)}%`
+            : '0%';
+        meter.title = profile
+            ? `Estimated tokens in the full plan, against the ${profile.name} context window`
+            : 'Estimated tokens in the full plan. Pick a budget under the plan title.';
+    }
+
+    // History (Undo/Redo)
+    recordPlanChange(plan, before, label, options = {}) {
+        this.history.record({
+            type: 'plan',
+            planId: plan.id,
+            label,
+            before,
+            after: HistoryManager.clone(plan),
+            blockId: options.blockId || null,
+            coalesceKey: options.coalesceKey || null,
+            trashItem: options.trashItem || null
+        });
+    }
+
+    undo() {
+        const command = this.history.undo();
+        if (!command) {
+            this.showToast('Nothing to undo', 1500);
+            return;
+        }
+        this.applyHistoryCommand(command, 'undo');
+    }
+
+    redo() {
+        const command = this.history.redo();
+        if (!command) {
+            this.showToast('Nothing to redo', 1500);
+            return;
+        }
+        this.applyHistoryCommand(command, 'redo');
+    }
+
+    applyHistoryCommand(command, direction) {
+        const isUndo = direction === 'undo';
+        let focusTarget = null;
+
+        if (command.type === 'plan') {
+            const target = isUndo ? command.before : command.after;
+            const current = isUndo ? command.after : command.before;
+            const index = this.plans.findIndex(p => p.id === command.planId);
+            if (index === -1) return;
+
+            this.plans[index] = HistoryManager.clone(target);
+            this.currentPlanId = command.planId;
+            focusTarget = this.getHistoryFocusTarget(current, target, command.blockId);
+        } else if (command.type === 'delete-plan') {
+            if (isUndo) {
+                // Already back if it was restored from the trash in the meantime
+                if (!this.plans.some(p => p.id === command.planId)) {
+                    const index = Math.min(command.index, this.plans.length);
+                    this.plans.splice(index, 0, HistoryManager.clone(command.plan));
+                }
+                this.currentPlanId = command.planId;
+            } else {
+                this.plans = this.plans.filter(p => p.id !== command.planId);
+            }
+        } else if (command.type === 'move-block') {
+            [
+                [command.sourcePlanId, isUndo ? command.sourceBefore : command.sourceAfter],
+                [command.planId, isUndo ? command.before : command.after]
+            ].forEach(([planId, target]) => {
+                const index = this.plans.findIndex(p => p.id === planId);
+                if (index !== -1) {
+                    this.plans[index] = HistoryManager.clone(target);
+                }
+            });
+            this.currentPlanId = isUndo ? command.sourcePlanId : command.planId;
+            focusTarget = { blockId: command.blockId, caretOffset: null };
+        }
+
+        if (command.trashItem) {
+            if (isUndo) {
+                this.takeFromTrash(command.trashItem.id);
+            } else {
+                this.putInTrash(command.trashItem);
+            }
+        }
+
+        this.blockToDelete = null;
+        this.savePlans(false);
+        this.render();
+
+        if (focusTarget) {
+            this.focusBlock(focusTarget.blockId, focusTarget.caretOffset);
+        }
+
+        this.showToast(`${isUndo ? 'Undo' : 'Redo'}: ${command.label}`, 1500);
+    }
+
+    // Work out which block to focus after a history step, and where the caret
+    // goes: right after the changed text when the block survives on both sides
+    getHistoryFocusTarget(current, target, blockId) {
+        if (!blockId) return null;
+
+        const targetBlock = target.blocks.find(b => b.id === blockId);
+        const currentBlock = current.blocks.find(b => b.id === blockId);
+
+        if (targetBlock && currentBlock) {
+            const from = currentBlock.content;
+            const to = targetBlock.content;
+            let prefix = 0;
+            while (prefix < from.length && prefix < to.length && from[prefix] === to[prefix]) {
+                prefix++;
+            }
+            let suffix = 0;
+            while (suffix < from.length - prefix && suffix < to.length - prefix &&
+                   from[from.length - 1 - suffix] === to[to.length - 1 - suffix]) {
+                suffix++;
+            }
+            return { blockId, caretOffset: from === to ? null : to.length - suffix };
+        }
+
+        if (targetBlock) {
+            return { blockId, caretOffset: null };
+        }
+
+        // Block no longer exists: fall back to its previous neighbour
+        const currentIndex = current.blocks.findIndex(b => b.id === blockId);
+        const fallback = target.blocks[Math.max(0, Math.min(currentIndex - 1, target.blocks.length - 1))];
+        return fallback ? { blockId: fallback.id, caretOffset: null } : null;
+    }
+
+    focusBlock(blockId, caretOffset = null) {
+        setTimeout(() => {
+            const blockElement = document.querySelector(`.block[data-block-id="${blockId}"]`);
+            if (!blockElement) return;
+
+            blockElement.scrollIntoView({ block: 'nearest' });
+
+            const contentElement = blockElement.querySelector('.block-content');
+            if (contentElement) {
+                contentElement.focus();
+                this.setCaretOffset(contentElement, caretOffset);
+            }
+        }, 100);
+    }
+
+    // Place the caret at a character offset in a block editor, or at the end
+    // when no offset is given
+    setCaretOffset(textarea, offset = null) {
+        const position = offset === null ? textarea.value.length : Math.min(offset, textarea.value.length);
+        textarea.setSelectionRange(position, position);
+    }
+
+    // External Changes
+    async handleExternalChange() {
+        if (this.isCheckingExternalChanges) {
+            this.externalChangePending = true;
+            return;
+        }
+
+        this.isCheckingExternalChanges = true;
+        try {
+            const diskPlans = await this.storage.readPlansFromDisk();
+            if (this.storage.damaged.length > 0) {
+                // Half-read plans would look deleted; leave everything as it is until recovered
+                this.showRecoveryScreen();
+                return;
+            }
+
+            document.getElementById('recoveryModal').classList.remove('show');
+            if (diskPlans) {
+                this.applyExternalChanges(this.storage.diffExternalPlans(this.plans, diskPlans));
+            }
+        } catch (error) {
+            console.error('Error reloading plans from disk:', error);
+        } finally {
+            this.isCheckingExternalChanges = false;
+            if (this.externalChangePending) {
+                this.externalChangePending = false;
+                this.handleExternalChange();
+            }
+        }
+    }
+
+    applyExternalChanges({ updated, added, removed, conflicts }) {
+        const reloadedCount = updated.length + added.length + removed.length;
+
+        updated.forEach(diskPlan => {
+            const index = this.plans.findIndex(p => p.id === diskPlan.id);
+            this.plans[index] = diskPlan;
+            this.storage.markPlanSaved(diskPlan);
+            this.history.forgetPlan(diskPlan.id);
+        });
+
+        added.forEach(diskPlan => {
+            this.plans.push(diskPlan);
+            this.storage.markPlanSaved(diskPlan);
+        });
+
+        removed.forEach(planId => {
+            this.plans = this.plans.filter(p => p.id !== planId);
+            this.storage.forgetPlan(planId);
+            this.history.forgetPlan(planId);
+        });
+
+        conflicts.forEach(conflict => {
+            const planId = conflict.disk.id;
+            this.storage.holdPlan(planId);
+
+            if (this.activeConflict && this.activeConflict.disk.id === planId) {
+                this.activeConflict.disk = conflict.disk;
+                return;
+            }
+            const queued = this.conflictQueue.find(c => c.disk.id === planId);
+            if (queued) {
+                queued.disk = conflict.disk;
+            } else {
+                this.conflictQueue.push(conflict);
+            }
+        });
+
+        if (reloadedCount > 0) {
+            const focused = document.activeElement;
+            const focusedBlockId = focused && focused.classList.contains('block-content')
+                ? focused.dataset.blockId
+                : null;
+
+            this.render();
+
+            if (focusedBlockId) {
+                this.focusBlock(focusedBlockId);
+            }
+            this.showToast(`Reloaded ${reloadedCount} plan${reloadedCount === 1 ? '' : 's'} changed on disk`);
+        }
+
+        this.showNextConflict();
+    }
+
+    showNextConflict() {
+        if (this.activeConflict || this.conflictQueue.length === 0) return;
+
+        this.activeConflict = this.conflictQueue.shift();
+        const { disk } = this.activeConflict;
+        const local = this.plans.find(p => p.id === disk.id) || this.activeConflict.local;
+
+        document.getElementById('conflictPlanTitle').textContent = local.title;
+        document.getElementById('conflictLocalSummary').textContent =
+            `${local.title} — ${local.blocks.length} block${local.blocks.length === 1 ? '' : 's'}`;
+        document.getElementById('conflictDiskSummary').textContent =
+            `${disk.title} — ${disk.blocks.length} block${disk.blocks.length === 1 ? '' : 's'}`;
+        document.getElementById('conflictModal').classList.add('show');
+    }
+
+    // choice: 'mine' keeps the local plan and overwrites disk on the next save,
+    // 'theirs' replaces it with the disk version, 'both' keeps local and adds
+    // the disk version as a separate plan
+    resolveConflict(choice) {
+        if (!this.activeConflict) return;
+
+        const { disk } = this.activeConflict;
+        const localIndex = this.plans.findIndex(p => p.id === disk.id);
+
+        this.storage.releasePlan(disk.id);
+        this.storage.markPlanSaved(disk);
+
+        if (choice === 'theirs') {
+            if (localIndex === -1) {
+                this.plans.unshift(disk);
+            } else {
+                this.plans[localIndex] = disk;
+            }
+            this.history.forgetPlan(disk.id);
+        } else if (choice === 'both' && localIndex === -1) {
+            // Deleted here but changed on disk: the disk version is the only one
+            // left to keep, under its own id so the next save does not delete it
+            this.plans.unshift(disk);
+        } else if (choice === 'both') {
+            // Fresh block ids too, so both plans can be open side by side
+            const copy = {
+                ...HistoryManager.clone(disk),
+                id: Date.now().toString(),
+                title: `${disk.title} (from disk)`,
+                blocks: disk.blocks.map(block => ({
+                    ...HistoryManager.clone(block),
+                    id: Date.now().toString() + Math.random()
+                }))
+            };
+            this.plans.splice(localIndex + 1, 0, copy);
+        }
+
+        this.activeConflict = null;
+        document.getElementById('conflictModal').classList.remove('show');
+
+        this.savePlans(false);
+        this.render();
+        this.showNextConflict();
+    }
+
+    // Damaged Files
+    // Shown whenever a load finds files that do not read back. Saving stays off
+    // until each one is restored from a backup, set aside or fixed by hand.
+    showRecoveryScreen() {
+        const damaged = this.storage.damaged;
+
+        document.getElementById('recoveryList').innerHTML = damaged.map(entry => `
+            <div class="recovery-item">
+                <div class="recovery-item-info">
+                    <span class="recovery-file">${PlanSearch.escapeHtml(entry.file)}</span>
+                    <span class="recovery-error">${PlanSearch.escapeHtml(entry.error)}</span>
+                    <span class="recovery-backup">
+                        ${entry.backupCreatedAt ? `Backup from ${new Date(entry.backupCreatedAt).toLocaleString()}` : 'No backup of this file'}
+                    </span>
+                </div>
+                <button class="btn btn-ghost btn-sm open-damaged-file-btn" data-file="${PlanSearch.escapeHtml(entry.file)}">
+                    Open File
+                </button>
+            </div>
+        `).join('');
+        document.getElementById('restoreFromBackupBtn').disabled = !damaged.some(entry => entry.backupCreatedAt);
+        document.getElementById('recoveryModal').classList.add('show');
+    }
+
+    // action: 'restore' puts back the newest backed-up copy of each file that has
+    // one, 'set-aside' renames the damaged files so they are kept but not read
+    async recoverDamagedFiles(action) {
+        // A plan still held in memory is written again once its damaged file is out of the way
+        this.storage.damaged.forEach(({ file }) => {
+            this.plans
+                .filter(plan => file === `plans/${plan.id}.json`)
+                .forEach(plan => this.storage.forgetPlan(plan.id));
+        });
+
+        try {
+            const restored = await this.storage.recoverPlans(action);
+            this.showToast(action === 'restore'
+                ? `Restored ${restored.length} file${restored.length === 1 ? '' : 's'} from backup`
+                : 'Damaged files set aside');
+        } catch (error) {
+            console.error('Error recovering files:', error);
+            this.showToast('Error recovering files');
+        }
+
+        await this.reloadDamagedFiles();
+    }
+
+    async reloadDamagedFiles() {
+        await this.handleExternalChange();
+        if (this.storage.damaged.length === 0) {
+            this.savePlans(false);
+        }
+    }
+
+    // Snapshots
+    async takeAutomaticSnapshots() {
+        for (const plan of this.plans) {
+            const json = JSON.stringify(plan);
+            if (this.snapshotState.get(plan.id) === json) continue;
+
+            try {
+                await this.storage.createSnapshot(plan, 'auto', true);
+                this.snapshotState.set(plan.id, json);
+            } catch (error) {
+                console.error('Error creating automatic snapshot:', error);
+            }
+        }
+    }
+
+    async takeManualSnapshot() {
+        const plan = this.plans.find(p => p.id === this.currentPlanId);
+        if (!plan) return;
+
+        try {
+            const snapshot = await this.storage.createSnapshot(plan, 'manual');
+            this.showToast('Snapshot saved');
+
+            if (this.snapshotPanel && this.snapshotPanel.planId === plan.id) {
+                await this.refreshSnapshotList(snapshot.id);
+            }
+        } catch (error) {
+            console.error('Error taking snapshot:', error);
+            this.showToast('Error saving snapshot');
+        }
+    }
+
+    async openHistoryModal() {
+        const plan = this.plans.find(p => p.id === this.currentPlanId);
+        if (!plan) return;
+
+        this.snapshotPanel = { planId: plan.id, snapshots: [], selectedId: null, snapshot: null };
+        document.getElementById('historyPlanTitle').textContent = plan.title;
+        document.getElementById('historyModal').classList.add('show');
+        await this.refreshSnapshotList();
+    }
+
+    closeHistoryModal() {
+        document.getElementById('historyModal').classList.remove('show');
+        this.snapshotPanel = null;
+    }
+
+    async refreshSnapshotList(selectId = null) {
+        if (!this.snapshotPanel) return;
+
+        try {
+            this.snapshotPanel.snapshots = await this.storage.listSnapshots(this.snapshotPanel.planId);
+        } catch (error) {
+            console.error('Error listing snapshots:', error);
+            this.showToast('Error loading plan history');
+            return;
+        }
+
+        const { snapshots } = this.snapshotPanel;
+        const toSelect = selectId || this.snapshotPanel.selectedId || (snapshots[0] && snapshots[0].id);
+
+        if (toSelect && snapshots.some(s => s.id === toSelect)) {
+            await this.selectSnapshot(toSelect);
+        } else {
+            this.snapshotPanel.selectedId = null;
+            this.snapshotPanel.snapshot = null;
+            this.renderSnapshotList();
+            this.renderSnapshotDiff();
+        }
+    }
+
+    async selectSnapshot(snapshotId) {
+        if (!this.snapshotPanel) return;
+
+        try {
+            this.snapshotPanel.snapshot = await this.storage.loadSnapshot(this.snapshotPanel.planId, snapshotId);
+            this.snapshotPanel.selectedId = snapshotId;
+        } catch (error) {
+            console.error('Error loading snapshot:', error);
+            this.showToast('Error loading snapshot');
+        }
+
+        this.renderSnapshotList();
+        this.renderSnapshotDiff();
+    }
+
+    async restoreSnapshot() {
+        if (!this.snapshotPanel || !this.snapshotPanel.snapshot) return;
+
+        const { snapshot } = this.snapshotPanel;
+        const index = this.plans.findIndex(p => p.id === snapshot.planId);
+        if (index === -1) return;
+
+        const plan = this.plans[index];
+
+        // Keep the version being replaced, in case the restore was a mistake
+        try {
+            await this.storage.createSnapshot(plan, 'restore', true);
+        } catch (error) {
+            console.error('Error creating snapshot before restore:', error);
+            this.showToast('Error saving current version, restore cancelled');
+            return;
+        }
+
+        const before = HistoryManager.clone(plan);
+        const restored = { ...HistoryManager.clone(snapshot.plan), id: plan.id };
+        this.plans[index] = restored;
+        this.recordPlanChange(restored, before, 'Restore snapshot');
+
+        this.savePlans(false);
+        this.render();
+        this.showToast('Snapshot restored');
+        await this.refreshSnapshotList(snapshot.id);
+    }
+
+    restoreSnapshotBlock(blockId) {
+        if (!this.snapshotPanel || !this.snapshotPanel.snapshot) return;
+
+        const snapshotBlocks = this.snapshotPanel.snapshot.plan.blocks;
+        const snapshotIndex = snapshotBlocks.findIndex(b => b.id === blockId);
+        const plan = this.plans.find(p => p.id === this.snapshotPanel.planId);
+        if (!plan || snapshotIndex === -1) return;
+
+        const before = HistoryManager.clone(plan);
+        const restoredBlock = HistoryManager.clone(snapshotBlocks[snapshotIndex]);
+        const currentIndex = plan.blocks.findIndex(b => b.id === blockId);
+
+        if (currentIndex !== -1) {
+            plan.blocks[currentIndex] = restoredBlock;
+        } else {
+            plan.blocks.splice(Math.min(snapshotIndex, plan.blocks.length), 0, restoredBlock);
+        }
+        this.recordPlanChange(plan, before, 'Restore block', { blockId });
+
+        this.savePlans(false);
+        this.render();
+        this.renderSnapshotDiff();
+        this.showToast('Block restored');
+    }
+
+    renderSnapshotList() {
+        const listElement = document.getElementById('snapshotList');
+        listElement.innerHTML = '';
+
+        const { snapshots, selectedId } = this.snapshotPanel;
+        if (snapshots.length === 0) {
+            listElement.innerHTML = '<div class="snapshot-empty">No snapshots yet</div>';
+            return;
+        }
+
+        const reasonLabels = {
+            auto: ['Auto', 'label-gray'],
+            manual: ['Manual', 'label-primary'],
+            restore: ['Before restore', 'label-warning']
+        };
+
+        snapshots.forEach(snapshot => {
+            const [reasonText, reasonClass] = reasonLabels[snapshot.reason] || reasonLabels.auto;
+            const item = document.createElement('button');
+            item.className = `snapshot-item ${snapshot.id === selectedId ? 'active' : ''}`;
+            item.dataset.snapshotId = snapshot.id;
+            item.innerHTML = `
+                <span class="snapshot-date"></span>
+                <span class="snapshot-meta">
+                    <span class="label ${reasonClass}">${reasonText}</span>
+                    ${snapshot.blockCount} block${snapshot.blockCount === 1 ? '' : 's'}
+                </span>
+            `;
+            item.querySelector('.snapshot-date').textContent = new Date(snapshot.createdAt).toLocaleString();
+            listElement.appendChild(item);
+        });
+    }
+
+    renderSnapshotDiff() {
+        const diffElement = document.getElementById('snapshotDiff');
+        diffElement.innerHTML = '';
+
+        const snapshot = this.snapshotPanel && this.snapshotPanel.snapshot;
+        const plan = this.snapshotPanel && this.plans.find(p => p.id === this.snapshotPanel.planId);
+        if (!snapshot || !plan) {
+            diffElement.innerHTML = '<div class="snapshot-empty">Take a snapshot to start keeping this plan\'s history.</div>';
+            return;
+        }
+
+        const entries = TextDiff.blocks(snapshot.plan.blocks, plan.blocks);
+        const titleChanged = snapshot.plan.title !== plan.title;
+        const identical = !titleChanged && entries.every(entry => entry.status === 'unchanged');
+
+        const header = document.createElement('div');
+        header.className = 'snapshot-diff-header';
+        header.innerHTML = `
+            <span>${identical ? 'Identical to the current plan' : 'Changes since this snapshot'}</span>
+            <button class="btn btn-primary btn-sm restore-snapshot-btn" ${identical ? 'disabled' : ''}>
+                Restore Snapshot
+            </button>
+        `;
+        diffElement.appendChild(header);
+
+        if (titleChanged) {
+            const titleDiff = document.createElement('div');
+            titleDiff.className = 'diff-block modified';
+            titleDiff.innerHTML = '<div class="diff-block-header"><span>Title</span></div>';
+            titleDiff.appendChild(this.createDiffLine('remove', snapshot.plan.title));
+            titleDiff.appendChild(this.createDiffLine('add', plan.title));
+            diffElement.appendChild(titleDiff);
+        }
+
+        const statusLabels = {
+            unchanged: ['Unchanged', 'label-gray'],
+            modified: ['Modified', 'label-warning'],
+            added: ['Added since', 'label-success'],
+            removed: ['Deleted since', 'label-error']
+        };
+
+        entries.forEach(entry => {
+            const [statusText, statusClass] = statusLabels[entry.status];
+            const block = entry.newBlock || entry.oldBlock;
+            const position = entry.newBlock ? plan.blocks.indexOf(entry.newBlock) + 1 : entry.oldIndex + 1;
+            const canRestore = entry.status === 'modified' || entry.status === 'removed';
+
+            const blockElement = document.createElement('div');
+            blockElement.className = `diff-block ${entry.status}`;
+            blockElement.innerHTML = `
+                <div class="diff-block-header">
+                    <span>Block ${position}</span>
+                    <span class="label ${statusClass}">${statusText}</span>
+                    ${canRestore ? `
+                        <button class="btn btn-ghost btn-sm restore-block-btn" data-block-id="${block.id}">
+                            Restore Block
+                        </button>
+                    ` : ''}
+                </div>
+            `;
+
+            if (entry.status !== 'unchanged') {
+                if (entry.oldBlock && entry.newBlock && Boolean(entry.oldBlock.done) !== Boolean(entry.newBlock.done)) {
+                    const doneNote = document.createElement('div');
+                    doneNote.className = 'diff-note';
+                    doneNote.textContent = entry.newBlock.done ? 'Marked done since' : 'Marked not done since';
+                    blockElement.appendChild(doneNote);
+                }
+                entry.lines.forEach(line => {
+                    blockElement.appendChild(this.createDiffLine(line.type, line.text));
+                });
+            }
+
+            diffElement.appendChild(blockElement);
+        });
+    }
+
+    // Git History
+    async loadGitSettingsForm() {
+        try {
+            const status = await this.storage.getGitSettings();
+            const checkbox = document.getElementById('gitEnabledCheckbox');
+            this.gitEnabled = status.settings.enabled;
+            checkbox.checked = status.settings.enabled;
+            checkbox.disabled = !status.version && !status.settings.enabled;
+            document.getElementById('gitStatus').textContent = status.error || `Using ${status.version}`;
+        } catch (error) {
+            console.error('Error reading git settings:', error);
+        }
+        document.getElementById('openCommitsBtn').style.display = this.gitEnabled ? '' : 'none';
+    }
+
+    async setGitEnabled(enabled) {
+        try {
+            await this.storage.saveGitSettings({ enabled });
+            this.showToast(enabled ? 'Plans will be committed to git as you save' : 'Git history turned off');
+        } catch (error) {
+            console.error('Error saving git settings:', error);
+            this.showToast(`Error saving git settings: ${error.message}`);
+        }
+        await this.loadGitSettingsForm();
+    }
+
+    async openCommitsModal() {
+        const plan = this.plans.find(p => p.id === this.currentPlanId);
+        if (!plan) return;
+        if (!this.gitEnabled) {
+            this.showToast('Turn on git history in Settings to see commits');
+            return;
+        }
+
+        this.commitPanel = { planId: plan.id, commits: [], selectedHash: null, version: null };
+        document.getElementById('commitsPlanTitle').textContent = plan.title;
+        document.getElementById('commitsModal').classList.add('show');
+        await this.refreshCommitList();
+    }
+
+    closeCommitsModal() {
+        document.getElementById('commitsModal').classList.remove('show');
+        this.commitPanel = null;
+    }
+
+    async refreshCommitList() {
+        if (!this.commitPanel) return;
+
+        try {
+            this.commitPanel.commits = await this.storage.listPlanCommits(this.commitPanel.planId);
+        } catch (error) {
+            console.error('Error listing commits:', error);
+            this.showToast('Error loading commits');
+            return;
+        }
+
+        const { commits, selectedHash } = this.commitPanel;
+        const toSelect = commits.some(commit => commit.hash === selectedHash)
+            ? selectedHash
+            : commits[0] && commits[0].hash;
+
+        if (toSelect) {
+            await this.selectCommit(toSelect);
+        } else {
+            this.renderCommitList();
+            this.renderCommitDiff();
+        }
+    }
+
+    async selectCommit(hash) {
+        if (!this.commitPanel) return;
+
+        try {
+            this.commitPanel.version = await this.storage.loadPlanCommit(this.commitPanel.planId, hash);
+            this.commitPanel.selectedHash = hash;
+        } catch (error) {
+            console.error('Error loading commit:', error);
+            this.showToast('Error loading commit');
+        }
+
+        this.renderCommitList();
+        this.renderCommitDiff();
+    }
+
+    // Put the plan back the way it was at the selected commit. The revert is
+    // saved like any edit, and named in the next commit.
+    async revertToCommit() {
+        if (!this.commitPanel || !this.commitPanel.version || !this.commitPanel.version.plan) return;
+
+        const { planId, selectedHash, commits, version } = this.commitPanel;
+        const index = this.plans.findIndex(p => p.id === planId);
+        const commit = commits.find(c => c.hash === selectedHash);
+        if (index === -1 || !commit) return;
+
+        const before = HistoryManager.clone(this.plans[index]);
+        const reverted = { ...HistoryManager.clone(version.plan), id: before.id };
+        this.plans[index] = reverted;
+        this.recordPlanChange(reverted, before, 'Revert to commit');
+
+        try {
+            await this.storage.notePlanRevert(reverted.title, commit.shortHash);
+        } catch (error) {
+            console.error('Error noting revert:', error);
+        }
+
+        this.savePlans(false);
+        this.render();
+        this.renderCommitDiff();
+        this.showToast(`Reverted to ${commit.shortHash}`);
+    }
+
+    renderCommitList() {
+        const listElement = document.getElementById('commitList');
+        listElement.innerHTML = '';
+
+        const { commits, selectedHash } = this.commitPanel;
+        if (commits.length === 0) {
+            listElement.innerHTML = '<div class="snapshot-empty">No commits yet</div>';
+            return;
+        }
+
+        commits.forEach(commit => {
+            const item = document.createElement('button');
+            item.className = `snapshot-item commit-item ${commit.hash === selectedHash ? 'active' : ''}`;
+            item.dataset.commitHash = commit.hash;
+            item.innerHTML = `
+                <span class="commit-subject"></span>
+                <span class="snapshot-meta">
+                    <span class="label label-gray">${commit.shortHash}</span>
+                    <span class="commit-author"></span>
+                    <span class="commit-date"></span>
+                </span>
+            `;
+            item.querySelector('.commit-subject').textContent = commit.subject;
+            item.querySelector('.commit-author').textContent = commit.author;
+            item.querySelector('.commit-date').textContent = new Date(commit.date).toLocaleString();
+            listElement.appendChild(item);
+        });
+    }
+
+    // What the selected commit changed in the plan, against the commit before it
+    renderCommitDiff() {
+        const diffElement = document.getElementById('commitDiff');
+        diffElement.innerHTML = '';
+
+        const version = this.commitPanel && this.commitPanel.version;
+        const current = this.commitPanel && this.plans.find(p => p.id === this.commitPanel.planId);
+        if (!version || !current) {
+            diffElement.innerHTML = '<div class="snapshot-empty">Changes to this plan are committed shortly after they are saved.</div>';
+            return;
+        }
+
+        const { plan, parent } = version;
+        const isCurrent = Boolean(plan) && plan.title === current.title &&
+            JSON.stringify(plan.blocks) === JSON.stringify(current.blocks);
+
+        const header = document.createElement('div');
+        header.className = 'snapshot-diff-header';
+        header.innerHTML = `
+            <span>${!plan ? 'The plan was deleted in this commit' : parent ? 'Changes in this commit' : 'The plan was added in this commit'}</span>
+            <button class="btn btn-primary btn-sm revert-commit-btn" ${!plan || isCurrent ? 'disabled' : ''}
+                title="${isCurrent ? 'The plan is already like this' : 'Make the plan look like it did after this commit'}">
+                Revert to This Commit
+            </button>
+        `;
+        diffElement.appendChild(header);
+
+        if (plan && parent && plan.title !== parent.title) {
+            const titleDiff = document.createElement('div');
+            titleDiff.className = 'diff-block modified';
+            titleDiff.innerHTML = '<div class="diff-block-header"><span>Title</span></div>';
+            titleDiff.appendChild(this.createDiffLine('remove', parent.title));
+            titleDiff.appendChild(this.createDiffLine('add', plan.title));
+            diffElement.appendChild(titleDiff);
+        }
+
+        const statusLabels = {
+            unchanged: ['Unchanged', 'label-gray'],
+            modified: ['Modified', 'label-warning'],
+            added: ['Added', 'label-success'],
+            removed: ['Deleted', 'label-error']
+        };
+        const newBlocks = plan ? plan.blocks : [];
+
+        TextDiff.blocks(parent ? parent.blocks : [], newBlocks).forEach(entry => {
+            const [statusText, statusClass] = statusLabels[entry.status];
+            const position = entry.newBlock ? newBlocks.indexOf(entry.newBlock) + 1 : entry.oldIndex + 1;
+
+            const blockElement = document.createElement('div');
+            blockElement.className = `diff-block ${entry.status}`;
+            blockElement.innerHTML = `
+                <div class="diff-block-header">
+                    <span>Block ${position}</span>
+                    <span class="label ${statusClass}">${statusText}</span>
+                </div>
+            `;
+
+            if (entry.status !== 'unchanged') {
+                if (entry.oldBlock && entry.newBlock && Boolean(entry.oldBlock.done) !== Boolean(entry.newBlock.done)) {
+                    const doneNote = document.createElement('div');
+                    doneNote.className = 'diff-note';
+                    doneNote.textContent = entry.newBlock.done ? 'Marked done' : 'Marked not done';
+                    blockElement.appendChild(doneNote);
+                }
+                entry.lines.forEach(line => {
+                    blockElement.appendChild(this.createDiffLine(line.type, line.text));
+                });
+            }
+
+            diffElement.appendChild(blockElement);
+        });
+    }
+
+    createDiffLine(type, text) {
+        const prefixes = { same: ' ', add: '+', remove: '-' };
+        const line = document.createElement('div');
+        line.className = `diff-line ${type}`;
+        line.textContent = `${prefixes[type]} ${text}`;
+        return line;
+    }
+
+    // Model Runs
+    async runBlock(planId, blockId) {
+        const plan = this.plans.find(p => p.id === planId);
+        const block = plan ? plan.blocks.find(b => b.id === blockId) : null;
+        if (!block || this.runningBlocks.has(blockId)) return;
+
+        if (!BlockTypes.isCopied(block)) {
+            this.showToast('Notes are not sent to the model');
+            return;
+        }
+
+        if (!block.content.trim()) {
+            this.showToast('Nothing to run: the block is empty');
+            return;
+        }
+
+        const prompt = await this.fillPlaceholders(plan, this.expandSnippets(BlockTypes.textForCopy(block)), 'Run');
+        if (prompt === null) return;
+
+        let settings;
+        try {
+            settings = await this.storage.getLlmSettings();
+        } catch (error) {
+            console.error('Error reading model settings:', error);
+            this.showToast('Error reading model settings');
+            return;
+        }
+
+        // Earlier blocks and their stored outputs become the conversation so far
+        const messages = [];
+        if (settings.includeContext) {
+            plan.blocks.slice(0, plan.blocks.indexOf(block)).forEach(previous => {
+                if (!BlockTypes.isCopied(previous) || !previous.content.trim()) return;
+                messages.push({ role: 'user', content: this.expandSnippets(BlockTypes.textForCopy(previous)) });
+                if (previous.output && previous.output.text && !previous.output.error) {
+                    messages.push({ role: 'assistant', content: previous.output.text });
+                }
+            });
+        }
+        messages.push({ role: 'user', content: prompt });
+
+        const run = { runId: `${blockId}-${Date.now()}`, text: '' };
+        this.runningBlocks.set(blockId, run);
+        this.renderEditor();
+
+        let output;
+        try {
+            const result = await this.storage.runPrompt(run.runId, messages, chunk => {
+                run.text += chunk;
+                this.updateBlockOutputStream(blockId, run.text);
+            });
+            output = {
+                text: result.canceled ? run.text : result.output,
+                model: result.model || settings.model,
+                createdAt: new Date().toISOString(),
+                stopped: Boolean(result.canceled),
+                collapsed: false
+            };
+        } catch (error) {
+            console.error('Error running block:', error);
+            output = {
+                text: run.text,
+                model: settings.model,
+                createdAt: new Date().toISOString(),
+                error: error.message,
+                collapsed: false
+            };
+        }
+        this.runningBlocks.delete(blockId);
+
+        // Look the block up again: the plan may have been edited or reloaded meanwhile
+        const currentPlan = this.plans.find(p => p.id === planId);
+        const currentBlock = currentPlan ? currentPlan.blocks.find(b => b.id === blockId) : null;
+        if (currentBlock) {
+            const before = HistoryManager.clone(currentPlan);
+            currentBlock.output = output;
+            this.recordPlanChange(currentPlan, before, 'Run block', { blockId });
+            this.savePlans(false);
+        }
+        this.renderEditor();
+
+        if (output.error) {
+            this.showToast(`Run failed: ${output.error}`);
+        }
+    }
+
+    stopBlockRun(blockId) {
+        const run = this.runningBlocks.get(blockId);
+        if (run) {
+            this.storage.cancelPrompt(run.runId);
+        }
+    }
+
+    // Update the streaming text in place instead of re-rendering the editor on every chunk
+    updateBlockOutputStream(blockId, text) {
+        const textElement = document.querySelector(`.block[data-block-id="${blockId}"] .block-output-text`);
+        if (textElement) {
+            textElement.textContent = text;
+        }
+    }
+
+    toggleBlockOutputCollapsed(planId, blockId) {
+        const plan = this.plans.find(p => p.id === planId);
+        const block = plan ? plan.blocks.find(b => b.id === blockId) : null;
+        if (!block || !block.output) return;
+
+        const before = HistoryManager.clone(plan);
+        block.output.collapsed = !block.output.collapsed;
+        this.recordPlanChange(plan, before, block.output.collapsed ? 'Collapse output' : 'Expand output', { blockId });
+        this.savePlans(false);
+        this.renderEditor();
+    }
+
+    clearBlockOutput(planId, blockId) {
+        const plan = this.plans.find(p => p.id === planId);
+        const block = plan ? plan.blocks.find(b => b.id === blockId) : null;
+        if (!block || !block.output) return;
+
+        const before = HistoryManager.clone(plan);
+        delete block.output;
+        this.recordPlanChange(plan, before, 'Clear output', { blockId });
+        this.savePlans(false);
+        this.renderEditor();
+    }
+
+    async copyBlockOutput(planId, blockId) {
+        const plan = this.plans.find(p => p.id === planId);
+        const block = plan ? plan.blocks.find(b => b.id === blockId) : null;
+        if (!block || !block.output) return;
+
+        await this.writeClipboard(block.output.text, 'Output copied to clipboard');
+    }
+
+    renderBlockOutput(planId, block) {
+        const run = this.runningBlocks.get(block.id);
+        const output = block.output;
+        if (!run && !output) return '';
+
+        const collapsed = !run && output.collapsed;
+        let status;
+        if (run) {
+            status = 'Running…';
+        } else if (output.error) {
+            status = 'Failed';
+        } else if (output.stopped) {
+            status = 'Stopped';
+        } else {
+            status = new Date(output.createdAt).toLocaleString();
+        }
+        const meta = [run ? '' : output.model, status].filter(Boolean).join(' · ');
+
+        let body = '';
+        if (run) {
+            body = `<div class="block-output-text">${PlanSearch.escapeHtml(run.text)}</div>`;
+        } else if (!collapsed) {
+            body = `
+                ${output.error ? `<div class="block-output-error">${PlanSearch.escapeHtml(output.error)}</div>` : ''}
+                ${output.text ? `<div class="block-output-body markdown-preview">${this.markdownToHtml(output.text)}</div>` : ''}
+            `;
+        }
+
+        return `
+            <div class="block-output ${collapsed ? 'collapsed' : ''} ${run ? 'running' : ''} ${output && output.error && !run ? 'failed' : ''}">
+                <div class="block-output-header">
+                    <button class="block-output-toggle toggle-output-btn" data-plan-id="${planId}"
+                            data-block-id="${block.id}" ${run ? 'disabled' : ''}>
+                        <i class="ph-${collapsed ? 'caret-right' : 'caret-down'}"></i>
+                        Output
+                    </button>
+                    <span class="block-output-meta">${PlanSearch.escapeHtml(meta)}</span>
+                    ${run ? '' : `
+                        <button class="block-btn copy-output-btn" data-plan-id="${planId}"
+                                data-block-id="${block.id}" title="Copy output">
+                            <i class="ph-copy"></i>
+                        </button>
+                        <button class="block-btn clear-output-btn" data-plan-id="${planId}"
+                                data-block-id="${block.id}" title="Clear output">
+                            <i class="ph-trash"></i>
+                        </button>
+                    `}
+                </div>
+                ${body}
+            </div>
+        `;
+    }
+
+    async loadLlmSettingsForm() {
+        try {
+            const settings = await this.storage.getLlmSettings();
+            document.getElementById('llmApiSelect').value = settings.api;
+            document.getElementById('llmUrlInput').value = settings.url;
+            document.getElementById('llmUrlInput').placeholder = settings.defaultUrls[settings.api];
+            document.getElementById('llmModelInput').value = settings.model;
+            document.getElementById('llmApiKeyInput').value = '';
+            document.getElementById('llmApiKeyInput').placeholder = settings.hasApiKey ? 'Saved (leave blank to keep)' : 'Optional';
+            document.getElementById('clearLlmApiKeyBtn').style.display = settings.hasApiKey ? '' : 'none';
+            document.getElementById('llmIncludeContextCheckbox').checked = settings.includeContext;
+            this.llmDefaultUrls = settings.defaultUrls;
+        } catch (error) {
+            console.error('Error reading model settings:', error);
+        }
+    }
+
+    async saveLlmSettings(clearApiKey = false) {
+        try {
+            await this.storage.saveLlmSettings({
+                api: document.getElementById('llmApiSelect').value,
+                url: document.getElementById('llmUrlInput').value.trim(),
+                model: document.getElementById('llmModelInput').value.trim(),
+                apiKey: document.getElementById('llmApiKeyInput').value.trim(),
+                includeContext: document.getElementById('llmIncludeContextCheckbox').checked,
+                clearApiKey
+            });
+            await this.loadLlmSettingsForm();
+            this.showToast(clearApiKey ? 'API key removed' : 'Model settings saved');
+        } catch (error) {
+            console.error('Error saving model settings:', error);
+            this.showToast('Error saving model settings');
+        }
+    }
+
+    async loadMcpSettingsForm() {
+        try {
+            const status = await this.storage.getMcpSettings();
+            document.getElementById('mcpEnabledCheckbox').checked = status.settings.enabled;
+            document.getElementById('mcpPortInput').value = status.settings.port;
+            this.updateMcpStatus(status);
+        } catch (error) {
+            console.error('Error reading MCP settings:', error);
+        }
+    }
+
+    updateMcpStatus({ running, url, error }) {
+        const statusElement = document.getElementById('mcpStatus');
+        if (error) {
+            statusElement.textContent = `Not running: ${error}`;
+        } else {
+            statusElement.textContent = running ? `Listening on ${url}` : 'Off';
+        }
+    }
+
+    async saveMcpSettings() {
+        const port = Number(document.getElementById('mcpPortInput').value);
+        if (!Number.isInteger(port) || port < 1024 || port > 65535) {
+            this.showToast('Port must be between 1024 and 65535');
+            return;
+        }
+
+        try {
+            const status = await this.storage.saveMcpSettings({
+                enabled: document.getElementById('mcpEnabledCheckbox').checked,
+                port
+            });
+            this.updateMcpStatus(status);
+            this.showToast(status.error ? 'Agent settings saved, but the server did not start' : 'Agent settings saved');
+        } catch (error) {
+            console.error('Error saving MCP settings:', error);
+            this.showToast('Error saving agent settings');
+        }
+    }
+
+    // Commands
+    getActiveBlock() {
+        const plan = this.plans.find(p => p.id === this.currentPlanId);
+        return plan ? plan.blocks.find(b => b.id === this.activeBlockId) || null : null;
+    }
+
+    // Every action that can be run from the command palette or bound to a key.
+    // Commands with enabled: false do nothing in the current state.
+    getCommands() {
+        const plan = this.plans.find(p => p.id === this.currentPlanId);
+        const block = this.getActiveBlock();
+        const focusedEditor = document.activeElement && document.activeElement.classList.contains('block-content')
+            ? document.activeElement
+            : null;
+
+        return [
+            { id: 'commandPalette', label: 'Open command palette', run: () => this.openCommandPalette() },
+            { id: 'newPlan', label: 'New plan', run: () => this.createNewPlan() },
+            { id: 'closePlan', label: 'Close tab', enabled: Boolean(plan), run: () => this.closePlan() },
+            { id: 'nextTab', label: 'Next tab', run: () => this.cycleTab(1) },
+            { id: 'previousTab', label: 'Previous tab', run: () => this.cycleTab(-1) },
+            { id: 'toggleSplit', label: 'Split editor / close split', run: () => this.toggleSplit() },
+            { id: 'duplicatePlan', label: 'Duplicate plan', enabled: Boolean(plan), run: () => this.duplicatePlan(plan.id) },
+            { id: 'deletePlan', label: 'Delete plan', enabled: Boolean(plan), run: () => this.deletePlan(plan.id) },
+            { id: 'addBlock', label: 'Add block', enabled: Boolean(plan), run: () => this.addBlock(plan.id) },
+            {
+                id: 'splitBlock',
+                label: 'Split block at cursor',
+                enabled: Boolean(block) && Boolean(focusedEditor),
+                run: () => this.splitBlockAtCursor(focusedEditor)
+            },
+            { id: 'copyBlock', label: 'Copy block', enabled: Boolean(block), run: () => this.copyBlock(plan.id, block.id) },
+            {
+                id: 'runBlock',
+                label: 'Run block / stop run',
+                enabled: Boolean(block),
+                run: () => this.runningBlocks.has(block.id)
+                    ? this.stopBlockRun(block.id)
+                    : this.runBlock(plan.id, block.id)
+            },
+            { id: 'copyFullPlan', label: 'Copy full plan', enabled: Boolean(plan), run: () => this.copyFullPlan(plan.id) },
+            { id: 'copyOptions', label: 'Copy full plan with options', enabled: Boolean(plan), run: () => this.openCopyMenu() },
+            { id: 'newPlanFromTemplate', label: 'New plan from template', run: () => this.openTemplateModal() },
+            { id: 'saveAsTemplate', label: 'Save plan as template', enabled: Boolean(plan), run: () => this.openTemplateModal(plan.id) },
+            { id: 'newSnippet', label: 'New snippet', run: () => this.openSnippetModal() },
+            { id: 'toggleStepMode', label: 'Start / stop step mode', enabled: Boolean(plan), run: () => this.toggleStepMode() },
+            { id: 'copyNextStep', label: 'Copy next step', enabled: Boolean(plan), run: () => this.copyNextStep() },
+            {
+                id: 'toggleBlockSelected',
+                label: 'Select / deselect block for copying',
+                enabled: Boolean(block),
+                run: () => this.toggleBlockSelected(plan.id, block.id)
+            },
+            { id: 'toggleView', label: 'Toggle preview', enabled: Boolean(plan), run: () => this.toggleViewMode() },
+            {
+                id: 'toggleBlockDone',
+                label: 'Mark block done / not done',
+                enabled: Boolean(block),
+                run: () => {
+                    this.toggleBlockDone(plan.id, block.id);
+                    this.focusBlock(block.id);
+                }
+            },
+            {
+                id: 'toggleBlockCollapsed',
+                label: 'Collapse / expand block',
+                enabled: Boolean(block),
+                run: () => {
+                    this.toggleBlockCollapsed(plan.id, block.id);
+                    this.focusBlock(block.id);
+                }
+            },
+            { id: 'nextBlock', label: 'Go to next block', enabled: Boolean(plan), run: () => this.moveBlockFocus(1) },
+            { id: 'previousBlock', label: 'Go to previous block', enabled: Boolean(plan), run: () => this.moveBlockFocus(-1) },
+            { id: 'undo', label: 'Undo', run: () => this.undo() },
+            { id: 'redo', label: 'Redo', run: () => this.redo() },
+            { id: 'focusSearch', label: 'Search plans', run: () => document.getElementById('searchInput').select() },
+            { id: 'openHistory', label: 'Show plan history', enabled: Boolean(plan), run: () => this.openHistoryModal() },
+            { id: 'openCommits', label: 'Show plan commits', enabled: Boolean(plan) && this.gitEnabled, run: () => this.openCommitsModal() },
+            { id: 'takeSnapshot', label: 'Take snapshot', enabled: Boolean(plan), run: () => this.takeManualSnapshot() },
+            {
+                id: 'toggleDarkMode',
+                label: 'Toggle dark mode',
+                run: () => {
+                    this.darkMode = !this.darkMode;
+                    this.saveSettings();
+                    this.applySettings();
+                }
+            },
+            { id: 'openSettings', label: 'Open settings', run: () => this.openSettingsModal() },
+            { id: 'editKeybindings', label: 'Edit keyboard shortcuts', run: () => this.openKeybindingsModal() },
+            { id: 'exportPlans', label: 'Export plans as Markdown', run: () => this.exportPlans() },
+            { id: 'backupWorkspace', label: 'Back up workspace', run: () => this.backupWorkspace() },
+            { id: 'restoreBackup', label: 'Restore backup', run: () => this.openRestoreModal() }
+        ];
+    }
+
+    runCommand(commandId) {
+        const command = this.getCommands().find(c => c.id === commandId);
+        if (!command || command.enabled === false) return false;
+
+        command.run();
+        return true;
+    }
+
+    moveBlockFocus(direction) {
+        const plan = this.plans.find(p => p.id === this.currentPlanId);
+        if (!plan || plan.blocks.length === 0) return;
+
+        const index = plan.blocks.findIndex(b => b.id === this.activeBlockId);
+        const nextIndex = index === -1
+            ? (direction > 0 ? 0 : plan.blocks.length - 1)
+            : Math.min(Math.max(index + direction, 0), plan.blocks.length - 1);
+
+        this.activeBlockId = plan.blocks[nextIndex].id;
+        this.focusBlock(this.activeBlockId);
+    }
+
+    // Command Palette
+    openCommandPalette() {
+        const input = document.getElementById('commandPaletteInput');
+        input.value = '';
+        document.getElementById('commandPaletteModal').classList.add('show');
+        input.focus();
+        this.updateCommandPalette();
+    }
+
+    closeCommandPalette() {
+        document.getElementById('commandPaletteModal').classList.remove('show');
+        this.paletteItems = [];
+    }
+
+    // Commands and plans matching the query, best first
+    getPaletteItems(query) {
+        const commands = this.getCommands()
+            .filter(command => command.enabled !== false && command.id !== 'commandPalette')
+            .map(command => ({
+                icon: 'sparkle',
+                label: command.label,
+                hint: Keybindings.format(this.keybindings[command.id]),
+                run: command.run
+            }));
+
+        const plans = this.plans
+            .filter(plan => plan.id !== this.currentPlanId)
+            .map(plan => ({
+                icon: 'file-text',
+                label: plan.title || 'Untitled',
+                hint: plan.folder || '',
+                run: () => this.selectPlan(plan.id)
+            }));
+
+        return [...commands, ...plans]
+            .map(item => ({ ...item, match: FuzzyMatch.match(query, item.label) }))
+            .filter(item => item.match)
+            .sort((a, b) => b.match.score - a.match.score)
+            .slice(0, 50);
+    }
+
+    updateCommandPalette() {
+        this.paletteItems = this.getPaletteItems(document.getElementById('commandPaletteInput').value);
+        this.paletteSelection = 0;
+        this.renderCommandPalette();
+    }
+
+    renderCommandPalette() {
+        const resultsElement = document.getElementById('commandPaletteResults');
+
+        if (this.paletteItems.length === 0) {
+            resultsElement.innerHTML = '<div class="palette-empty">No matching commands or plans</div>';
+            return;
+        }
+
+        resultsElement.innerHTML = this.paletteItems.map((item, index) => `
+            <div class="palette-item ${index === this.paletteSelection ? 'active' : ''}" data-index="${index}">
+                <i class="ph-${item.icon}"></i>
+                <span class="palette-label">${FuzzyMatch.highlight(item.label, item.match.indices)}</span>
+                ${item.hint ? `<kbd class="palette-hint">${PlanSearch.escapeHtml(item.hint)}</kbd>` : ''}
+            </div>
+        `).join('');
+
+        const active = resultsElement.querySelector('.palette-item.active');
+        if (active) {
+            active.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    movePaletteSelection(direction) {
+        if (this.paletteItems.length === 0) return;
+
+        const count = this.paletteItems.length;
+        this.paletteSelection = (this.paletteSelection + direction + count) % count;
+        this.renderCommandPalette();
+    }
+
+    runPaletteItem(index) {
+        const item = this.paletteItems[index];
+        this.closeCommandPalette();
+        if (item) {
+            item.run();
+        }
+    }
+
+    // Keybinding Editor
+    openKeybindingsModal() {
+        this.recordingCommandId = null;
+        this.closeSettingsModal();
+        document.getElementById('keybindingsModal').classList.add('show');
+        this.renderKeybindings();
+    }
+
+    closeKeybindingsModal() {
+        document.getElementById('keybindingsModal').classList.remove('show');
+        this.recordingCommandId = null;
+    }
+
+    renderKeybindings() {
+        const defaults = Keybindings.defaults;
+        const listElement = document.getElementById('keybindingsList');
+
+        listElement.innerHTML = this.getCommands().map(command => {
+            const combo = this.keybindings[command.id] || '';
+            const isRecording = this.recordingCommandId === command.id;
+            const isCustom = combo !== (defaults[command.id] || '');
+
+            return `
+                <div class="keybinding-row">
+                    <span class="keybinding-label">${PlanSearch.escapeHtml(command.label)}</span>
+                    <button class="keybinding-combo ${isRecording ? 'recording' : ''} ${combo ? '' : 'unbound'}"
+                            data-command-id="${command.id}" title="Click, then press the new shortcut">
+                        ${isRecording ? 'Press keys…' : PlanSearch.escapeHtml(Keybindings.format(combo) || 'Unbound')}
+                    </button>
+                    <button class="btn btn-ghost btn-sm keybinding-reset" data-command-id="${command.id}"
+                            title="Restore default" ${isCustom ? '' : 'disabled'}>
+                        Reset
+                    </button>
+                </div>
+            `;
+        }).join('');
+
+        // Keep keyboard focus inside the modal so the next key press is captured
+        const recordingButton = listElement.querySelector('.keybinding-combo.recording');
+        if (recordingButton) {
+            recordingButton.focus();
+        }
+    }
+
+    // Bind combo ('' to unbind) to a command, taking it away from any other command using it
+    setKeybinding(commandId, combo) {
+        const overrides = this.storage.loadKeybindings();
+        const defaults = Keybindings.defaults;
+
+        if (combo) {
+            const taken = Object.keys(this.keybindings)
+                .find(id => id !== commandId && this.keybindings[id] === combo);
+            if (taken) {
+                overrides[taken] = '';
+                const takenCommand = this.getCommands().find(c => c.id === taken);
+                this.showToast(`${Keybindings.format(combo)} removed from "${takenCommand ? takenCommand.label : taken}"`);
+            }
+        }
+
+        if (combo === (defaults[commandId] || '')) {
+            delete overrides[commandId];
+        } else {
+            overrides[commandId] = combo;
+        }
+
+        this.storage.saveKeybindings(overrides);
+        this.keybindings = Keybindings.resolve(overrides);
+        this.recordingCommandId = null;
+        this.renderKeybindings();
+    }
+
+    resetAllKeybindings() {
+        this.storage.saveKeybindings({});
+        this.keybindings = Keybindings.resolve({});
+        this.recordingCommandId = null;
+        this.renderKeybindings();
+    }
+
+    handleKeybindingRecording(e) {
+        e.preventDefault();
+        e.stopPropagation();
+
+        if (e.key === 'Escape') {
+            this.recordingCommandId = null;
+            this.renderKeybindings();
+            return;
+        }
+
+        const combo = Keybindings.fromEvent(e);
+        if (!combo) return; // Only a modifier so far
+
+        this.setKeybinding(this.recordingCommandId, combo === 'Backspace' || combo === 'Delete' ? '' : combo);
+    }
+
+    // Import/Export
+    async exportPlans() {
+        const success = this.storage.exportPlans(this.plans.map(plan => this.withSnippetsExpanded(plan)));
+        if (success) {
+            this.showSaveStatus('saved');
+            setTimeout(() => {
+                const statusElement = document.getElementById('saveStatus');
+                const iconElement = document.getElementById('saveStatusIcon');
+                const textElement = document.getElementById('saveStatusText');
+
+                statusElement.className = 'save-status saved';
+                iconElement.className = 'ph-download-simple-bold';
+                textElement.textContent = 'Exported';
+                statusElement.classList.add('show');
+
+                setTimeout(() => {
+                    statusElement.classList.remove('show');
+                }, 2000);
+            }, 100);
+        }
+    }
+
+    importPlans(files) {
+        this.storage.importPlans(files, (importedPlans, failedFiles) => {
+            if (failedFiles.length > 0) {
+                this.showToast(`Could not import ${failedFiles.join(', ')}`);
+            }
+            if (importedPlans.length === 0) {
+                document.getElementById('importFileInput').value = '';
+                return;
+            }
+
+            importedPlans.forEach((plan, index) => {
+                // Exports keep their plan id; re-importing one alongside the original gets a fresh id
+                if (this.plans.some(p => p.id === plan.id)) {
+                    plan.id = Date.now().toString() + index;
+                }
+                this.plans.unshift(plan);
+            });
+            this.savePlans(false);
+            this.render();
+
+            document.getElementById('importFileInput').value = '';
+
+            this.showSaveStatus('saved');
+            setTimeout(() => {
+                const statusElement = document.getElementById('saveStatus');
+                const iconElement = document.getElementById('saveStatusIcon');
+                const textElement = document.getElementById('saveStatusText');
+
+                statusElement.className = 'save-status saved';
+                iconElement.className = 'ph-upload-simple-bold';
+                textElement.textContent = 'Imported';
+                statusElement.classList.add('show');
+
+                setTimeout(() => {
+                    statusElement.classList.remove('show');
+                }, 2000);
+            }, 100);
+        });
+    }
+
+    // Workspace Backup
+    async backupWorkspace() {
+        try {
+            const filePath = await this.storage.exportWorkspace(this.plans);
+            if (filePath) {
+                this.showToast(`Workspace backed up to: ${filePath}`);
+            }
+        } catch (error) {
+            console.error('Error backing up workspace:', error);
+            this.showToast('Error backing up workspace');
+        }
+    }
+
+    async openRestoreModal() {
+        let archive;
+        try {
+            archive = await this.storage.openWorkspaceArchive();
+        } catch (error) {
+            console.error('Error opening backup:', error);
+            this.showToast(error.message);
+            return;
+        }
+        if (!archive) return;
+
+        this.restoreRequest = { archive };
+
+        const exportedAt = archive.exportedAt ? new Date(archive.exportedAt).toLocaleString() : 'an unknown date';
+        document.getElementById('restoreSource').textContent =
+            `Backup from ${exportedAt} with ${archive.plans.length} plan${archive.plans.length === 1 ? '' : 's'}`;
+        document.querySelector('input[name="restoreStrategy"][value="merge"]').checked = true;
+        document.getElementById('restoreSettingsCheckbox').checked = false;
+
+        this.closeSettingsModal();
+        document.getElementById('restoreModal').classList.add('show');
+        this.renderRestorePreview();
+    }
+
+    closeRestoreModal() {
+        document.getElementById('restoreModal').classList.remove('show');
+        this.restoreRequest = null;
+    }
+
+    getRestoreChanges() {
+        const strategy = document.querySelector('input[name="restoreStrategy"]:checked').value;
+        return this.storage.planWorkspaceRestore(this.plans, this.restoreRequest.archive, strategy);
+    }
+
+    renderRestorePreview() {
+        if (!this.restoreRequest) return;
+
+        const changes = this.getRestoreChanges();
+        const previewElement = document.getElementById('restorePreview');
+        previewElement.innerHTML = '';
+
+        const groups = [
+            ['added', 'Will be added', 'label-success'],
+            ['updated', 'Will be updated', 'label-warning'],
+            ['removed', 'Will be removed', 'label-error'],
+            ['skipped', 'Skipped', 'label-gray']
+        ];
+
+        groups.forEach(([key, heading, labelClass]) => {
+            const plans = changes[key];
+            if (plans.length === 0) return;
+
+            const group = document.createElement('div');
+            group.className = 'restore-group';
+            group.innerHTML = `
+                <div class="restore-group-header">
+                    <span class="label ${labelClass}">${plans.length}</span>
+                    ${heading}
+                </div>
+                <ul class="restore-group-list"></ul>
+            `;
+
+            const list = group.querySelector('.restore-group-list');
+            plans.forEach(plan => {
+                const item = document.createElement('li');
+                item.textContent = plan.title || 'Untitled';
+                list.appendChild(item);
+            });
+            previewElement.appendChild(group);
+        });
+
+        const restoreSettings = document.getElementById('restoreSettingsCheckbox').checked;
+        const hasChanges = changes.added.length + changes.updated.length + changes.removed.length > 0;
+        if (!hasChanges) {
+            previewElement.insertAdjacentHTML('afterbegin',
+                '<div class="restore-empty">No plans would change with this strategy.</div>');
+        }
+        document.getElementById('confirmRestoreBtn').disabled = !hasChanges && !restoreSettings;
+    }
+
+    async confirmRestore() {
+        if (!this.restoreRequest) return;
+
+        const { archive } = this.restoreRequest;
+        const changes = this.getRestoreChanges();
+
+        // Snapshot every plan about to be overwritten or removed, so nothing is lost for good
+        const replaced = [...changes.updated, ...changes.removed]
+            .map(plan => this.plans.find(p => p.id === plan.id))
+            .filter(Boolean);
+        for (const plan of replaced) {
+            try {
+                await this.storage.createSnapshot(plan, 'restore', true);
+            } catch (error) {
+                console.error('Error creating snapshot before restore:', error);
+                this.showToast('Error saving current plans, restore cancelled');
+                return;
+            }
+            this.history.forgetPlan(plan.id);
+        }
+
+        this.plans = changes.plans;
+
+        if (document.getElementById('restoreSettingsCheckbox').checked) {
+            this.storage.restoreAllSettings(archive.settings);
+            this.loadSettings();
+            this.applySettings();
+        }
+
+        this.closeRestoreModal();
+        await this.savePlans(false);
+        this.render();
+        this.showToast(`Restored backup: ${changes.added.length} added, ${changes.updated.length} updated, ${changes.removed.length} removed`);
+    }
+
+    // Directory Management
+    async changeSaveDirectory() {
+        try {
+            const newDirectory = await this.storage.changeSaveDirectory();
+
+            if (newDirectory) {
+                await this.savePlans(false);
+                await this.moveSnippets();
+                await this.moveTemplates();
+                await this.moveTrash();
+                this.updateSaveDirectoryDisplay();
+                this.showToast(`Save location changed to: ${newDirectory}`);
+            }
         } catch (error) {
             console.error('Error changing save directory:', error);
             this.showToast('Error changing save location');
@@ -391,6 +3450,9 @@ class PromptManager {
         try {
             const defaultDirectory = await this.storage.resetSaveDirectory();
             await this.savePlans(false);
+            await this.moveSnippets();
+            await this.moveTemplates();
+            await this.moveTrash();
             this.updateSaveDirectoryDisplay();
             this.showToast('Save location reset to default');
         } catch (error) {
@@ -446,6 +3508,9 @@ class PromptManager {
     openSettingsModal() {
         document.getElementById('settingsModal').classList.add('show');
         this.updateSaveDirectoryDisplay();
+        this.loadLlmSettingsForm();
+        this.loadMcpSettingsForm();
+        this.loadGitSettingsForm();
     }
 
     closeSettingsModal() {
@@ -464,8 +3529,15 @@ class PromptManager {
         const plansList = document.getElementById('plansList');
         if (!plansList) return;
 
+        this.renderSnippetList();
+        this.renderTrashButton();
         plansList.innerHTML = '';
 
+        if (this.showingTrash) {
+            this.renderTrash(plansList);
+            return;
+        }
+
         if (this.plans.length === 0) {
             plansList.innerHTML = `
                 <div class="empty-plans-message">
@@ -477,123 +3549,371 @@ class PromptManager {
             return;
         }
 
-        this.plans.forEach(plan => {
-            const planElement = document.createElement('div');
-            planElement.className = `plan-item ${plan.id === this.currentPlanId ? 'active' : ''}`;
-            const activeBlocks = plan.blocks.filter(b => !b.done).length;
-            const totalBlocks = plan.blocks.length;
+        if (this.tagFilter) {
+            const filterBar = document.createElement('div');
+            filterBar.className = 'tag-filter-bar';
+            filterBar.innerHTML = `
+                <span>Tagged</span>
+                <span class="tag-chip active">#${PlanSearch.escapeHtml(this.tagFilter)}</span>
+                <button class="clear-tag-filter-btn" title="Clear tag filter">
+                    <i class="ph-x"></i>
+                </button>
+            `;
+            plansList.appendChild(filterBar);
+        }
+
+        const visiblePlans = this.tagFilter
+            ? this.plans.filter(plan => (plan.tags || []).includes(this.tagFilter))
+            : this.plans;
+
+        const searching = PlanSearch.isActive(this.searchQuery, this.searchFilter);
+        if (!searching) {
+            this.renderFolderNode(plansList, this.buildFolderTree(visiblePlans));
+            return;
+        }
+
+        const results = PlanSearch.search(visiblePlans, this.searchQuery, this.searchFilter);
+        if (results.length === 0) {
+            plansList.insertAdjacentHTML('beforeend', `
+                <div class="search-empty-message">No plans match your search</div>
+            `);
+            return;
+        }
+
+        results.forEach(result => {
+            plansList.appendChild(this.createPlanItem(result.plan, result));
+        });
+    }
+
+    renderTrashButton() {
+        const trashBtn = document.getElementById('trashBtn');
+        if (!trashBtn) return;
+
+        trashBtn.classList.toggle('active', this.showingTrash);
+        document.getElementById('trashCount').textContent = this.trash.length > 0 ? this.trash.length : '';
+    }
 
-            planElement.innerHTML = `
+    renderTrash(container) {
+        container.innerHTML = `
+            <div class="trash-header">
+                <span>Trash</span>
+                <span class="trash-purge-note">Kept for ${this.trashDays} day${this.trashDays === 1 ? '' : 's'}</span>
+                ${this.trash.length > 0 ? '<button class="trash-empty-btn" title="Delete everything in the trash forever">Empty</button>' : ''}
+            </div>
+            ${this.trash.length === 0 ? '<div class="search-empty-message">The trash is empty</div>' : ''}
+        `;
+
+        this.trash.forEach(item => {
+            const itemElement = document.createElement('div');
+            itemElement.className = 'plan-item trash-item';
+            itemElement.innerHTML = `
                 <div class="plan-item-icon">
-                    <i class="ph-${plan.id === this.currentPlanId ? 'file-text-bold' : 'file-text'}"></i>
+                    <i class="ph-${item.kind === 'plan' ? 'file-text' : 'text'}"></i>
                 </div>
                 <div class="plan-item-content">
-                    <h3 class="plan-item-title" contenteditable="true" data-plan-id="${plan.id}">${plan.title}</h3>
-                    <p>${activeBlocks}/${totalBlocks} blocks active</p>
+                    <h3 class="trash-item-title">${PlanSearch.escapeHtml(this.getTrashItemTitle(item))}</h3>
+                    <p>${PlanSearch.escapeHtml(this.getTrashItemOrigin(item))}</p>
+                    <p class="trash-item-date">Deleted ${new Date(item.deletedAt).toLocaleString()}</p>
                 </div>
                 <div class="plan-item-actions">
-                    <button class="plan-item-btn duplicate-plan-btn" data-plan-id="${plan.id}" title="Duplicate plan">
-                        <i class="ph-copy-simple"></i>
+                    <button class="plan-item-btn restore-trash-btn" data-trash-id="${item.id}" title="Restore">
+                        <i class="ph-arrow-counter-clockwise"></i>
                     </button>
-                    <button class="plan-item-btn delete-plan-btn" data-plan-id="${plan.id}" title="Delete plan">
-                        <i class="ph-trash"></i>
+                    <button class="plan-item-btn delete-trash-btn" data-trash-id="${item.id}" title="Delete forever">
+                        <i class="ph-x"></i>
                     </button>
                 </div>
             `;
+            container.appendChild(itemElement);
+        });
+    }
+
+    // Folders first (alphabetically), then the plans filed directly in this node
+    renderFolderNode(container, node) {
+        [...node.folders.values()]
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .forEach(folder => {
+                const isCollapsed = this.collapsedFolders.has(folder.path);
+                const folderElement = document.createElement('div');
+                folderElement.className = `folder-item ${isCollapsed ? 'collapsed' : ''}`;
+                folderElement.innerHTML = `
+                    <div class="folder-header" title="Drop a plan here to move it into this folder">
+                        <i class="ph-${isCollapsed ? 'caret-right' : 'caret-down'}"></i>
+                        <i class="ph-folder"></i>
+                        <span class="folder-name"></span>
+                        <span class="folder-count">${this.countFolderPlans(folder)}</span>
+                    </div>
+                    <div class="folder-children"></div>
+                `;
 
-            const titleElement = planElement.querySelector('.plan-item-title');
+                const header = folderElement.querySelector('.folder-header');
+                header.dataset.folder = folder.path;
+                folderElement.querySelector('.folder-name').textContent = folder.name;
 
-            titleElement.addEventListener('blur', (e) => {
-                const newTitle = e.target.textContent.trim();
-                if (newTitle && newTitle !== plan.title) {
-                    this.updatePlanTitle(plan.id, newTitle);
-                    this.renderSidebar();
+                if (!isCollapsed) {
+                    this.renderFolderNode(folderElement.querySelector('.folder-children'), folder);
                 }
+
+                container.appendChild(folderElement);
             });
 
-            titleElement.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter') {
-                    e.preventDefault();
-                    e.target.blur();
+        node.plans.forEach(plan => {
+            container.appendChild(this.createPlanItem(plan));
+        });
+    }
 
-                    setTimeout(() => {
-                        const blocks = document.querySelectorAll('.block-content');
-                        if (blocks.length > 0) {
-                            const lastBlock = blocks[blocks.length - 1];
-                            lastBlock.focus();
+    // searchResult is only passed when rendering search results
+    createPlanItem(plan, searchResult = null) {
+        const planElement = document.createElement('div');
+        planElement.className = `plan-item ${plan.id === this.currentPlanId ? 'active' : ''}`;
+        planElement.dataset.planId = plan.id;
+        const activeBlocks = plan.blocks.filter(b => !b.done).length;
+        const totalBlocks = plan.blocks.length;
+        const tags = plan.tags || [];
+
+        planElement.innerHTML = `
+            <div class="plan-item-icon plan-drag-handle" draggable="true" title="Drag into a folder">
+                <i class="ph-${plan.id === this.currentPlanId ? 'file-text-bold' : 'file-text'}"></i>
+            </div>
+            <div class="plan-item-content">
+                <h3 class="plan-item-title" contenteditable="true" data-plan-id="${plan.id}">${PlanSearch.escapeHtml(plan.title)}</h3>
+                <p>${activeBlocks}/${totalBlocks} blocks active</p>
+                ${tags.length > 0 ? `
+                    <div class="plan-item-tags">
+                        ${tags.map(tag => PlanSearch.escapeHtml(tag)).map(tag => `<button class="tag-chip tag-filter-btn" data-tag="${tag}" title="Show plans tagged #${tag}">#${tag}</button>`).join('')}
+                    </div>
+                ` : ''}
+                ${searchResult ? this.renderSearchResultDetails(searchResult) : ''}
+            </div>
+            <div class="plan-item-actions">
+                <button class="plan-item-btn duplicate-plan-btn" data-plan-id="${plan.id}" title="Duplicate plan">
+                    <i class="ph-copy-simple"></i>
+                </button>
+                <button class="plan-item-btn save-template-btn" data-plan-id="${plan.id}" title="Save as template">
+                    <i class="ph-bookmark-simple"></i>
+                </button>
+                <button class="plan-item-btn delete-plan-btn" data-plan-id="${plan.id}" title="Delete plan">
+                    <i class="ph-trash"></i>
+                </button>
+            </div>
+        `;
 
-                            const range = document.createRange();
-                            const selection = window.getSelection();
-                            range.selectNodeContents(lastBlock);
-                            range.collapse(false);
-                            selection.removeAllRanges();
-                            selection.addRange(range);
-                        }
-                    }, 150);
+        const titleElement = planElement.querySelector('.plan-item-title');
+
+        titleElement.addEventListener('blur', (e) => {
+            const newTitle = e.target.textContent.trim();
+            if (newTitle && newTitle !== plan.title) {
+                this.updatePlanTitle(plan.id, newTitle);
+                this.renderSidebar();
+                this.updateTabTitle(plan.id, newTitle);
+            }
+        });
+
+        titleElement.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                e.target.blur();
+
+                setTimeout(() => {
+                    const blocks = document.querySelectorAll(`.prompt-editor[data-plan-id="${this.currentPlanId}"] .block-content`);
+                    if (blocks.length > 0) {
+                        const lastBlock = blocks[blocks.length - 1];
+                        lastBlock.focus();
+                        this.setCaretOffset(lastBlock);
+                    }
+                }, 150);
+            }
+        });
+
+        titleElement.addEventListener('click', (e) => {
+            e.stopPropagation();
+        });
+
+        planElement.addEventListener('click', (e) => {
+            if (!e.target.closest('.plan-item-actions') && !e.target.closest('button') && !e.target.closest('.plan-item-title')) {
+                if (searchResult) {
+                    this.openSearchResult(plan.id, searchResult.blockId);
+                } else {
+                    this.selectPlan(plan.id);
                 }
-            });
+            }
+        });
+
+        return planElement;
+    }
+
+    renderSearchResultDetails(result) {
+        const countText = this.searchQuery.trim()
+            ? `${result.matchCount} match${result.matchCount === 1 ? '' : 'es'}`
+            : `${result.blockCount} ${this.searchFilter} block${result.blockCount === 1 ? '' : 's'}`;
 
-            titleElement.addEventListener('click', (e) => {
-                e.stopPropagation();
-            });
+        return `
+            <p class="search-match-count">${countText}</p>
+            ${result.snippet ? `<p class="search-snippet">${result.snippet}</p>` : ''}
+        `;
+    }
 
-            planElement.addEventListener('click', (e) => {
-                if (!e.target.closest('.plan-item-actions') && !e.target.closest('button') && !e.target.closest('.plan-item-title')) {
-                    this.selectPlan(plan.id);
-                }
-            });
+    // Scroll to a block and flash it, e.g. when opening a search result
+    highlightBlock(blockId) {
+        const blockElement = document.querySelector(`.block[data-block-id="${blockId}"]`);
+        if (!blockElement) return;
 
-            plansList.appendChild(planElement);
-        });
+        blockElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        blockElement.classList.add('search-hit');
+        setTimeout(() => {
+            blockElement.classList.remove('search-hit');
+        }, 2000);
     }
 
     renderEditor() {
         const editorContainer = document.getElementById('editorContainer');
+        this.pruneTabs();
 
-        if (!this.currentPlanId) {
+        if (this.panes.length === 1 && this.panes[0].tabs.length === 0) {
             editorContainer.innerHTML = `
                 <div class="welcome-message">
                     <h3>Welcome to Prompt Manager</h3>
                     <p>Click "New Plan" in the sidebar to create your first prompt plan</p>
                 </div>
             `;
+            this.updateTokenMeter();
+            this.updateStepModeBar();
             return;
         }
 
-        const plan = this.plans.find(p => p.id === this.currentPlanId);
-        if (!plan) return;
-
         editorContainer.innerHTML = `
-            <div class="prompt-editor">
-                <input type="text" class="prompt-title" value="${plan.title}"
+            <div class="editor-panes ${this.panes.length > 1 ? 'split' : ''}">
+                ${this.panes.map((pane, index) => this.renderPane(pane, index)).join('')}
+            </div>
+        `;
+
+        this.setupEditorEventListeners();
+        this.updateTokenMeter();
+        this.updateStepModeBar();
+
+        if (this.searchHighlightBlockId) {
+            this.highlightBlock(this.searchHighlightBlockId);
+            this.searchHighlightBlockId = null;
+        }
+    }
+
+    renderPane(pane, index) {
+        const plan = this.plans.find(p => p.id === pane.planId);
+        const isSplit = this.panes.length > 1;
+
+        return `
+            <div class="editor-pane ${index === this.activePane ? 'active' : ''}" data-pane="${index}">
+                <div class="editor-tabs">
+                    ${pane.tabs.map(planId => {
+                        const title = this.plans.find(p => p.id === planId).title;
+                        return `
+                            <div class="editor-tab ${planId === pane.planId ? 'active' : ''}" draggable="true"
+                                 data-pane="${index}" data-plan-id="${planId}" title="${PlanSearch.escapeHtml(title)}">
+                                <span class="editor-tab-title">${PlanSearch.escapeHtml(title || 'Untitled')}</span>
+                                <button class="editor-tab-close" data-pane="${index}" data-plan-id="${planId}" title="Close tab">
+                                    <i class="ph-x"></i>
+                                </button>
+                            </div>
+                        `;
+                    }).join('')}
+                    ${index === this.panes.length - 1 ? `
+                        <button class="editor-tabs-btn toggle-split-btn" title="${isSplit ? 'Close split' : 'Split editor'}">
+                            <i class="ph-${isSplit ? 'x' : 'columns'}"></i>
+                        </button>
+                    ` : ''}
+                </div>
+                ${plan ? this.renderPlanEditor(plan) : `
+                    <div class="empty-pane">Pick a plan in the sidebar or drag a tab here</div>
+                `}
+            </div>
+        `;
+    }
+
+    renderPlanEditor(plan) {
+        return `
+            <div class="prompt-editor" data-plan-id="${plan.id}">
+                <input type="text" class="prompt-title" value="${PlanSearch.escapeHtml(plan.title)}"
                        placeholder="Plan Title" data-plan-id="${plan.id}">
+                ${this.renderPlanMeta(plan)}
                 <div class="blocks-container">
                     ${plan.blocks.map(block => this.renderBlock(plan.id, block)).join('')}
                 </div>
             </div>
         `;
+    }
 
-        this.setupEditorEventListeners();
+    renderPlanMeta(plan) {
+        return `
+            <div class="plan-meta">
+                <label class="plan-folder-field" title="Folder (use / for subfolders)">
+                    <i class="ph-folder"></i>
+                    <input type="text" class="plan-folder-input" list="folderOptions-${plan.id}"
+                           placeholder="No folder" data-plan-id="${plan.id}">
+                    <datalist id="folderOptions-${plan.id}"></datalist>
+                </label>
+                <div class="plan-tags">
+                    <i class="ph-tag"></i>
+                    ${(plan.tags || []).map(tag => PlanSearch.escapeHtml(tag)).map(tag => `
+                        <span class="tag-chip">
+                            #${tag}
+                            <button class="tag-remove-btn" data-plan-id="${plan.id}" data-tag="${tag}" title="Remove tag">
+                                <i class="ph-x"></i>
+                            </button>
+                        </span>
+                    `).join('')}
+                    <input type="text" class="plan-tag-input" placeholder="Add tag..." data-plan-id="${plan.id}">
+                </div>
+                <label class="plan-budget-field" title="Token budget">
+                    <i class="ph-gauge"></i>
+                    <select class="plan-budget-select" data-plan-id="${plan.id}">
+                        <option value="">No budget</option>
+                        ${TokenCounter.profiles.map(profile => `
+                            <option value="${profile.id}" ${plan.budgetProfile === profile.id ? 'selected' : ''}>
+                                ${profile.name} (${TokenCounter.format(profile.contextSize)})
+                            </option>
+                        `).join('')}
+                    </select>
+                </label>
+            </div>
+        `;
     }
 
     renderBlock(planId, block) {
-        const previewHtml = block.content ? marked(block.content) : '';
+        const typeId = BlockTypes.typeOf(block);
+        const previewHtml = this.renderBlockPreview(block);
         const firstLine = block.content ? block.content.split('\n')[0] : '';
         const hasMoreContent = block.content && block.content.includes('\n');
         const isDeletePending = this.blockToDelete === block.id;
+        const isRunning = this.runningBlocks.has(block.id);
+        const isSelected = this.getSelectedBlockIds(planId).has(block.id);
+        const isCurrentStep = this.isCurrentStep(planId, block.id);
 
         return `
-            <div class="block ${block.done ? 'done' : ''} ${block.collapsed ? 'collapsed' : ''} ${isDeletePending ? 'delete-pending' : ''}"
+            <div class="block type-${typeId} ${block.done ? 'done' : ''} ${block.collapsed ? 'collapsed' : ''} ${isDeletePending ? 'delete-pending' : ''} ${isSelected ? 'selected' : ''} ${isCurrentStep ? 'current-step' : ''}"
                  data-block-id="${block.id}">
                 <div class="block-actions-left">
                     <button class="block-btn drag-handle" data-plan-id="${planId}"
                             data-block-id="${block.id}" title="Drag to reorder" draggable="true">
                         <i class="ph-dots-six"></i>
                     </button>
-                    <button class="block-btn copy-btn" data-plan-id="${planId}"
-                            data-block-id="${block.id}" title="Copy">
-                        <i class="ph-copy"></i>
-                    </button>
+                    <input type="checkbox" class="block-select-checkbox" data-plan-id="${planId}"
+                           data-block-id="${block.id}" title="Select for copying" ${isSelected ? 'checked' : ''}>
+                    ${BlockTypes.isCopied(block) ? `
+                        <button class="block-btn copy-btn" data-plan-id="${planId}"
+                                data-block-id="${block.id}" title="Copy">
+                            <i class="ph-copy"></i>
+                        </button>
+                        <button class="block-btn run-btn ${isRunning ? 'running' : ''}" data-plan-id="${planId}"
+                                data-block-id="${block.id}" title="${isRunning ? 'Stop' : 'Run'}">
+                            <i class="ph-${isRunning ? 'stop' : 'play'}"></i>
+                        </button>
+                    ` : ''}
+                    <select class="block-type-select" data-plan-id="${planId}"
+                            data-block-id="${block.id}" title="Block type">
+                        ${BlockTypes.all.map(type => `
+                            <option value="${type.id}" ${type.id === typeId ? 'selected' : ''}>${type.label}</option>
+                        `).join('')}
+                    </select>
                     <button class="block-btn collapse-btn" data-plan-id="${planId}"
                             data-block-id="${block.id}" title="${block.collapsed ? 'Expand' : 'Collapse'}">
                         <i class="ph-${block.collapsed ? 'caret-down' : 'caret-up'}"></i>
@@ -618,20 +3938,31 @@ class PromptManager {
                         data-block-id="${block.id}" title="${block.done ? 'Mark as undone' : 'Mark as done'}">
                     <i class="ph-${block.done ? 'check-circle' : 'circle'}"></i>
                 </button>
+                ${this.renderBlockTypeHeader(planId, block)}
                 ${block.collapsed ? `
                     <div class="block-preview-collapsed">
-                        ${firstLine}${hasMoreContent ? '...' : ''}
+                        ${PlanSearch.escapeHtml(firstLine)}${hasMoreContent ? '...' : ''}
                     </div>
                 ` : this.viewMode === 'source' ? `
-                    <div class="block-content" contenteditable="true"
-                         data-plan-id="${planId}" data-block-id="${block.id}"
-                         placeholder="Start typing your prompt here...">${block.content}</div>
+                    ${BlockEditor.render({
+                        planId,
+                        blockId: block.id,
+                        content: block.content,
+                        mode: typeId === 'code' ? 'code' : 'markdown',
+                        language: block.language || '',
+                        placeholder: typeId === 'checklist' ? '- [ ] First item' : 'Start typing your prompt here...'
+                    })}
                 ` : `
-                    <div class="block-preview markdown-preview"
+                    <div class="block-preview ${typeId === 'code' ? 'code-preview' : 'markdown-preview'}"
                          data-plan-id="${planId}" data-block-id="${block.id}">
                         ${previewHtml || '<span style="color: var(--gray-400);">No content</span>'}
                     </div>
                 `}
+                <span class="block-token-count" title="Estimated tokens">
+                    ${TokenCounter.format(this.countTokens(this.expandSnippets(block.content)))} tokens
+                </span>
+                ${this.renderBlockSnippets(block)}
+                ${this.renderBlockOutput(planId, block)}
             </div>
         `;
     }
@@ -639,84 +3970,484 @@ class PromptManager {
     render() {
         this.renderSidebar();
         this.renderEditor();
+        this.updateFloatingActionBar();
+
+        if (this.copyMenu && !this.currentPlanId) {
+            this.closeCopyMenu();
+        }
+    }
+
+    updateFloatingActionBar() {
+        const floatingActionBar = document.getElementById('floatingActionBar');
+        if (floatingActionBar) {
+            if (this.currentPlanId) {
+                floatingActionBar.style.display = 'flex';
+            } else {
+                floatingActionBar.style.display = 'none';
+            }
+        }
+    }
+
+    getDragAfterElement(container, y) {
+        const draggableElements = [...container.querySelectorAll('.block:not(.dragging)')];
+
+        return draggableElements.reduce((closest, child) => {
+            const box = child.getBoundingClientRect();
+            const offset = y - box.top - box.height / 2;
+
+            if (offset < 0 && offset > closest.offset) {
+                return { offset: offset, element: child };
+            } else {
+                return closest;
+            }
+        }, { offset: Number.NEGATIVE_INFINITY }).element;
+    }
+
+    // Event Listeners (continuing below...)
+    setupEventListeners() {
+        document.getElementById('newPlanBtn').addEventListener('click', () => {
+            this.createNewPlan();
+        });
+
+        ['mousedown', 'focusin'].forEach(eventName => {
+            document.getElementById('editorContainer').addEventListener(eventName, (e) => {
+                const pane = e.target.closest('.editor-pane');
+                if (pane) {
+                    this.setActivePane(Number(pane.dataset.pane));
+                }
+            });
+        });
+
+        document.getElementById('searchInput').addEventListener('input', (e) => {
+            this.setSearchQuery(e.target.value);
+        });
+
+        document.getElementById('searchInput').addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.target.value = '';
+                this.setSearchQuery('');
+            }
+        });
+
+        document.querySelectorAll('.search-filter-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                this.setSearchFilter(button.dataset.filter);
+            });
+        });
+
+        document.getElementById('settingsBtn').addEventListener('click', () => {
+            this.openSettingsModal();
+        });
+
+        document.getElementById('trashBtn').addEventListener('click', () => {
+            this.toggleTrash();
+        });
+
+        document.getElementById('closeModalBtn').addEventListener('click', () => {
+            this.closeSettingsModal();
+        });
+
+        document.getElementById('settingsModal').addEventListener('click', (e) => {
+            if (e.target.id === 'settingsModal') {
+                this.closeSettingsModal();
+            }
+        });
+
+        document.getElementById('darkModeToggle').addEventListener('change', (e) => {
+            this.darkMode = e.target.checked;
+            this.saveSettings();
+            this.applySettings();
+        });
+
+        document.getElementById('tokenizerSelect').addEventListener('change', (e) => {
+            this.setTokenizer(e.target.value);
+        });
+
+        document.getElementById('trashDaysInput').addEventListener('change', (e) => {
+            this.setTrashDays(Number(e.target.value));
+        });
+
+        document.getElementById('fontDecreaseBtn').addEventListener('click', () => {
+            if (this.fontSize > 10) {
+                this.fontSize -= 1;
+                this.saveSettings();
+                this.applySettings();
+            }
+        });
+
+        document.getElementById('fontIncreaseBtn').addEventListener('click', () => {
+            if (this.fontSize < 20) {
+                this.fontSize += 1;
+                this.saveSettings();
+                this.applySettings();
+            }
+        });
+
+        document.getElementById('exportBtn').addEventListener('click', () => {
+            this.exportPlans();
+        });
+
+        document.getElementById('importBtn').addEventListener('click', () => {
+            document.getElementById('importFileInput').click();
+        });
+
+        document.getElementById('importFileInput').addEventListener('change', (e) => {
+            this.importPlans(e.target.files);
+        });
+
+        document.getElementById('backupWorkspaceBtn').addEventListener('click', () => {
+            this.backupWorkspace();
+        });
+
+        document.getElementById('restoreBackupBtn').addEventListener('click', () => {
+            this.openRestoreModal();
+        });
+
+        document.getElementById('closeRestoreModalBtn').addEventListener('click', () => {
+            this.closeRestoreModal();
+        });
+
+        document.getElementById('cancelRestoreBtn').addEventListener('click', () => {
+            this.closeRestoreModal();
+        });
+
+        document.getElementById('restoreModal').addEventListener('click', (e) => {
+            if (e.target.id === 'restoreModal') {
+                this.closeRestoreModal();
+            }
+        });
+
+        document.getElementById('restoreModal').addEventListener('change', () => {
+            this.renderRestorePreview();
+        });
+
+        document.getElementById('confirmRestoreBtn').addEventListener('click', () => {
+            this.confirmRestore();
+        });
+
+        document.getElementById('placeholderForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitPlaceholderForm();
+        });
+
+        document.getElementById('placeholderForm').addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.closePlaceholderForm();
+            }
+        });
+
+        document.getElementById('cancelPlaceholderBtn').addEventListener('click', () => {
+            this.closePlaceholderForm();
+        });
+
+        document.getElementById('closePlaceholderModalBtn').addEventListener('click', () => {
+            this.closePlaceholderForm();
+        });
+
+        document.getElementById('placeholderModal').addEventListener('click', (e) => {
+            if (e.target.id === 'placeholderModal') {
+                this.closePlaceholderForm();
+            }
+        });
+
+        const paletteInput = document.getElementById('commandPaletteInput');
+        paletteInput.addEventListener('input', () => {
+            this.updateCommandPalette();
+        });
+
+        paletteInput.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                this.movePaletteSelection(e.key === 'ArrowDown' ? 1 : -1);
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                this.runPaletteItem(this.paletteSelection);
+            } else if (e.key === 'Escape') {
+                this.closeCommandPalette();
+            }
+        });
+
+        document.getElementById('commandPaletteResults').addEventListener('click', (e) => {
+            const item = e.target.closest('.palette-item');
+            if (item) {
+                this.runPaletteItem(Number(item.dataset.index));
+            }
+        });
+
+        document.getElementById('commandPaletteModal').addEventListener('click', (e) => {
+            if (e.target.id === 'commandPaletteModal') {
+                this.closeCommandPalette();
+            }
+        });
+
+        document.getElementById('toggleSnippetsBtn').addEventListener('click', () => {
+            this.toggleSnippetsCollapsed();
+        });
+
+        document.getElementById('newPlanFromTemplateBtn').addEventListener('click', () => {
+            this.openTemplateModal();
+        });
+
+        document.getElementById('closeTemplateModalBtn').addEventListener('click', () => {
+            this.closeTemplateModal();
+        });
+
+        document.getElementById('templateModal').addEventListener('click', (e) => {
+            if (e.target.id === 'templateModal') {
+                this.closeTemplateModal();
+                return;
+            }
+
+            const deleteTemplateBtn = e.target.closest('.delete-template-btn');
+            if (deleteTemplateBtn) {
+                this.deleteTemplate(deleteTemplateBtn.dataset.templateId);
+                return;
+            }
+
+            const card = e.target.closest('.template-card');
+            if (card) {
+                this.createPlanFromTemplate(card.dataset.templateId);
+            }
+        });
+
+        document.getElementById('templateNameInput').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.saveTemplateForm();
+            }
+        });
+
+        document.getElementById('saveTemplateBtn').addEventListener('click', () => {
+            this.saveTemplateForm();
+        });
+
+        document.getElementById('newSnippetBtn').addEventListener('click', () => {
+            this.openSnippetModal();
+        });
+
+        document.getElementById('snippetsList').addEventListener('click', (e) => {
+            const item = e.target.closest('.snippet-item');
+            if (item) {
+                this.openSnippetModal(item.dataset.snippetName);
+            }
+        });
+
+        document.getElementById('closeSnippetModalBtn').addEventListener('click', () => {
+            this.closeSnippetModal();
+        });
+
+        document.getElementById('snippetModal').addEventListener('click', (e) => {
+            if (e.target.id === 'snippetModal') {
+                this.closeSnippetModal();
+                return;
+            }
+
+            const usageItem = e.target.closest('.snippet-usage-item');
+            if (usageItem) {
+                this.closeSnippetModal();
+                this.openSearchResult(usageItem.dataset.planId, usageItem.dataset.blockId);
+            }
+        });
+
+        document.getElementById('snippetNameInput').addEventListener('input', () => {
+            this.updateSnippetIncludeHint();
+        });
+
+        document.getElementById('saveSnippetBtn').addEventListener('click', () => {
+            this.saveSnippetForm();
+        });
+
+        document.getElementById('deleteSnippetBtn').addEventListener('click', () => {
+            this.deleteSnippet();
+        });
+
+        document.getElementById('copySnippetIncludeBtn').addEventListener('click', () => {
+            this.copySnippetInclude();
+        });
+
+        const copyOptionsMenu = document.getElementById('copyOptionsMenu');
+        copyOptionsMenu.addEventListener('input', (e) => {
+            if (e.target.dataset.copyOption) {
+                this.setCopyOption(e.target);
+            }
+        });
+
+        copyOptionsMenu.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.closeCopyMenu();
+            } else if (e.key === 'Enter' && e.target.id === 'copyPresetNameInput') {
+                this.saveCopyPreset();
+            }
+        });
+
+        document.getElementById('copyPresetSelect').addEventListener('change', (e) => {
+            this.selectCopyPreset(e.target.value);
+        });
+
+        document.getElementById('saveCopyPresetBtn').addEventListener('click', () => {
+            this.saveCopyPreset();
+        });
+
+        document.getElementById('deleteCopyPresetBtn').addEventListener('click', () => {
+            this.deleteCopyPreset();
+        });
+
+        document.getElementById('copyWithOptionsBtn').addEventListener('click', () => {
+            this.copyFromMenu();
+        });
+
+        document.getElementById('llmApiSelect').addEventListener('change', (e) => {
+            document.getElementById('llmUrlInput').placeholder = this.llmDefaultUrls[e.target.value] || '';
+        });
+
+        document.getElementById('saveLlmSettingsBtn').addEventListener('click', () => {
+            this.saveLlmSettings();
+        });
+
+        document.getElementById('clearLlmApiKeyBtn').addEventListener('click', () => {
+            this.saveLlmSettings(true);
+        });
+
+        document.getElementById('gitEnabledCheckbox').addEventListener('change', (e) => {
+            this.setGitEnabled(e.target.checked);
+        });
+
+        document.getElementById('saveMcpSettingsBtn').addEventListener('click', () => {
+            this.saveMcpSettings();
+        });
+
+        document.getElementById('editKeybindingsBtn').addEventListener('click', () => {
+            this.openKeybindingsModal();
+        });
+
+        document.getElementById('closeKeybindingsModalBtn').addEventListener('click', () => {
+            this.closeKeybindingsModal();
+        });
+
+        document.getElementById('keybindingsModal').addEventListener('click', (e) => {
+            if (e.target.id === 'keybindingsModal') {
+                this.closeKeybindingsModal();
+                return;
+            }
+
+            const comboBtn = e.target.closest('.keybinding-combo');
+            if (comboBtn) {
+                this.recordingCommandId = comboBtn.dataset.commandId;
+                this.renderKeybindings();
+                return;
+            }
 
-        const floatingActionBar = document.getElementById('floatingActionBar');
-        if (floatingActionBar) {
-            if (this.currentPlanId) {
-                floatingActionBar.style.display = 'flex';
-            } else {
-                floatingActionBar.style.display = 'none';
+            const resetBtn = e.target.closest('.keybinding-reset');
+            if (resetBtn) {
+                const commandId = resetBtn.dataset.commandId;
+                this.setKeybinding(commandId, Keybindings.defaults[commandId] || '');
             }
-        }
-    }
+        });
 
-    getDragAfterElement(container, y) {
-        const draggableElements = [...container.querySelectorAll('.block:not(.dragging)')];
+        document.getElementById('keybindingsModal').addEventListener('keydown', (e) => {
+            if (this.recordingCommandId) {
+                this.handleKeybindingRecording(e);
+            }
+        });
 
-        return draggableElements.reduce((closest, child) => {
-            const box = child.getBoundingClientRect();
-            const offset = y - box.top - box.height / 2;
+        document.getElementById('resetKeybindingsBtn').addEventListener('click', () => {
+            this.resetAllKeybindings();
+        });
 
-            if (offset < 0 && offset > closest.offset) {
-                return { offset: offset, element: child };
-            } else {
-                return closest;
+        document.getElementById('closeHistoryModalBtn').addEventListener('click', () => {
+            this.closeHistoryModal();
+        });
+
+        document.getElementById('historyModal').addEventListener('click', (e) => {
+            if (e.target.id === 'historyModal') {
+                this.closeHistoryModal();
             }
-        }, { offset: Number.NEGATIVE_INFINITY }).element;
-    }
+        });
 
-    // Event Listeners (continuing below...)
-    setupEventListeners() {
-        document.getElementById('newPlanBtn').addEventListener('click', () => {
-            this.createNewPlan();
+        document.getElementById('takeSnapshotBtn').addEventListener('click', () => {
+            this.takeManualSnapshot();
         });
 
-        document.getElementById('settingsBtn').addEventListener('click', () => {
-            this.openSettingsModal();
+        document.getElementById('openCommitsBtn').addEventListener('click', () => {
+            this.closeHistoryModal();
+            this.openCommitsModal();
         });
 
-        document.getElementById('closeModalBtn').addEventListener('click', () => {
-            this.closeSettingsModal();
+        document.getElementById('closeCommitsModalBtn').addEventListener('click', () => {
+            this.closeCommitsModal();
         });
 
-        document.getElementById('settingsModal').addEventListener('click', (e) => {
-            if (e.target.id === 'settingsModal') {
-                this.closeSettingsModal();
+        document.getElementById('commitsModal').addEventListener('click', (e) => {
+            if (e.target.id === 'commitsModal') {
+                this.closeCommitsModal();
             }
         });
 
-        document.getElementById('darkModeToggle').addEventListener('change', (e) => {
-            this.darkMode = e.target.checked;
-            this.saveSettings();
-            this.applySettings();
+        document.getElementById('commitList').addEventListener('click', (e) => {
+            const item = e.target.closest('.commit-item');
+            if (item) {
+                this.selectCommit(item.dataset.commitHash);
+            }
         });
 
-        document.getElementById('fontDecreaseBtn').addEventListener('click', () => {
-            if (this.fontSize > 10) {
-                this.fontSize -= 1;
-                this.saveSettings();
-                this.applySettings();
+        document.getElementById('commitDiff').addEventListener('click', (e) => {
+            if (e.target.closest('.revert-commit-btn')) {
+                this.revertToCommit();
             }
         });
 
-        document.getElementById('fontIncreaseBtn').addEventListener('click', () => {
-            if (this.fontSize < 20) {
-                this.fontSize += 1;
-                this.saveSettings();
-                this.applySettings();
+        document.getElementById('snapshotList').addEventListener('click', (e) => {
+            const item = e.target.closest('.snapshot-item');
+            if (item) {
+                this.selectSnapshot(item.dataset.snapshotId);
             }
         });
 
-        document.getElementById('exportBtn').addEventListener('click', () => {
-            this.exportPlans();
+        document.getElementById('snapshotDiff').addEventListener('click', (e) => {
+            if (e.target.closest('.restore-snapshot-btn')) {
+                this.restoreSnapshot();
+                return;
+            }
+
+            const restoreBlockBtn = e.target.closest('.restore-block-btn');
+            if (restoreBlockBtn) {
+                this.restoreSnapshotBlock(restoreBlockBtn.dataset.blockId);
+            }
         });
 
-        document.getElementById('importBtn').addEventListener('click', () => {
-            document.getElementById('importFileInput').click();
+        document.getElementById('conflictKeepMineBtn').addEventListener('click', () => {
+            this.resolveConflict('mine');
         });
 
-        document.getElementById('importFileInput').addEventListener('change', (e) => {
-            this.importPlans(e.target.files);
+        document.getElementById('conflictTakeTheirsBtn').addEventListener('click', () => {
+            this.resolveConflict('theirs');
+        });
+
+        document.getElementById('conflictKeepBothBtn').addEventListener('click', () => {
+            this.resolveConflict('both');
+        });
+
+        document.getElementById('restoreFromBackupBtn').addEventListener('click', () => {
+            this.recoverDamagedFiles('restore');
+        });
+
+        document.getElementById('setAsideDamagedBtn').addEventListener('click', () => {
+            this.recoverDamagedFiles('set-aside');
+        });
+
+        document.getElementById('retryLoadBtn').addEventListener('click', () => {
+            this.reloadDamagedFiles();
+        });
+
+        document.getElementById('recoveryList').addEventListener('click', async (e) => {
+            const openButton = e.target.closest('.open-damaged-file-btn');
+            if (!openButton) return;
+
+            try {
+                await this.storage.openDamagedFile(openButton.dataset.file);
+            } catch (error) {
+                console.error('Error opening damaged file:', error);
+                this.showToast('Could not open the file');
+            }
         });
 
         document.getElementById('changeSaveDirectoryBtn').addEventListener('click', async () => {
@@ -730,12 +4461,44 @@ class PromptManager {
 
     setupGlobalEventListeners() {
         document.addEventListener('click', (e) => {
+            if (this.copyMenu && !e.target.closest('#copyOptionsMenu, .copy-options-btn')) {
+                this.closeCopyMenu();
+            }
+
             const copyBtn = e.target.closest('.copy-btn');
             if (copyBtn) {
                 this.copyBlock(copyBtn.dataset.planId, copyBtn.dataset.blockId);
                 return;
             }
 
+            const runBtn = e.target.closest('.run-btn');
+            if (runBtn) {
+                if (this.runningBlocks.has(runBtn.dataset.blockId)) {
+                    this.stopBlockRun(runBtn.dataset.blockId);
+                } else {
+                    this.runBlock(runBtn.dataset.planId, runBtn.dataset.blockId);
+                }
+                return;
+            }
+
+            const toggleOutputBtn = e.target.closest('.toggle-output-btn');
+            if (toggleOutputBtn) {
+                this.toggleBlockOutputCollapsed(toggleOutputBtn.dataset.planId, toggleOutputBtn.dataset.blockId);
+                return;
+            }
+
+            const copyOutputBtn = e.target.closest('.copy-output-btn');
+            if (copyOutputBtn) {
+                this.copyBlockOutput(copyOutputBtn.dataset.planId, copyOutputBtn.dataset.blockId);
+                return;
+            }
+
+            const clearOutputBtn = e.target.closest('.clear-output-btn');
+            if (clearOutputBtn) {
+                this.clearBlockOutput(clearOutputBtn.dataset.planId, clearOutputBtn.dataset.blockId);
+                return;
+            }
+
             const collapseBtn = e.target.closest('.collapse-btn');
             if (collapseBtn) {
                 this.toggleBlockCollapsed(collapseBtn.dataset.planId, collapseBtn.dataset.blockId);
@@ -747,7 +4510,7 @@ class PromptManager {
                 const block = collapsedPreview.closest('.block');
                 if (block) {
                     const blockId = block.dataset.blockId;
-                    const planId = this.currentPlanId;
+                    const planId = block.closest('.prompt-editor').dataset.planId;
                     this.toggleBlockCollapsed(planId, blockId);
                 }
                 return;
@@ -784,6 +4547,23 @@ class PromptManager {
                 return;
             }
 
+            const restoreTrashBtn = e.target.closest('.restore-trash-btn');
+            if (restoreTrashBtn) {
+                this.restoreTrashItem(restoreTrashBtn.dataset.trashId);
+                return;
+            }
+
+            const deleteTrashBtn = e.target.closest('.delete-trash-btn');
+            if (deleteTrashBtn) {
+                this.deleteTrashItemForever(deleteTrashBtn.dataset.trashId);
+                return;
+            }
+
+            if (e.target.closest('.trash-empty-btn')) {
+                this.emptyTrash();
+                return;
+            }
+
             const duplicatePlanBtn = e.target.closest('.duplicate-plan-btn');
             if (duplicatePlanBtn) {
                 e.stopPropagation();
@@ -791,12 +4571,68 @@ class PromptManager {
                 return;
             }
 
+            const saveTemplateBtn = e.target.closest('.save-template-btn');
+            if (saveTemplateBtn) {
+                e.stopPropagation();
+                this.openTemplateModal(saveTemplateBtn.dataset.planId);
+                return;
+            }
+
+            const tagFilterBtn = e.target.closest('.tag-filter-btn');
+            if (tagFilterBtn) {
+                e.stopPropagation();
+                this.setTagFilter(tagFilterBtn.dataset.tag);
+                return;
+            }
+
+            const clearTagFilterBtn = e.target.closest('.clear-tag-filter-btn');
+            if (clearTagFilterBtn) {
+                this.setTagFilter(null);
+                return;
+            }
+
+            const tagRemoveBtn = e.target.closest('.tag-remove-btn');
+            if (tagRemoveBtn) {
+                this.removePlanTag(tagRemoveBtn.dataset.planId, tagRemoveBtn.dataset.tag);
+                return;
+            }
+
+            const folderHeader = e.target.closest('.folder-header');
+            if (folderHeader) {
+                this.toggleFolderCollapsed(folderHeader.dataset.folder);
+                return;
+            }
+
             const copyFullPlanBtn = e.target.closest('.copy-full-plan-btn');
             if (copyFullPlanBtn) {
                 this.copyFullPlan(this.currentPlanId);
                 return;
             }
 
+            const copyOptionsBtn = e.target.closest('.copy-options-btn');
+            if (copyOptionsBtn) {
+                this.toggleCopyMenu();
+                return;
+            }
+
+            const snippetChip = e.target.closest('.snippet-chip');
+            if (snippetChip) {
+                this.openSnippetModal(snippetChip.dataset.snippetName);
+                return;
+            }
+
+            const stepModeBtn = e.target.closest('.step-mode-btn');
+            if (stepModeBtn) {
+                this.toggleStepMode();
+                return;
+            }
+
+            const copyNextBtn = e.target.closest('.copy-next-btn');
+            if (copyNextBtn) {
+                this.copyNextStep();
+                return;
+            }
+
             const addBlockBtn = e.target.closest('.add-block-btn');
             if (addBlockBtn) {
                 this.addBlock(this.currentPlanId);
@@ -809,12 +4645,36 @@ class PromptManager {
                 return;
             }
 
+            const planHistoryBtn = e.target.closest('.plan-history-btn');
+            if (planHistoryBtn) {
+                this.openHistoryModal();
+                return;
+            }
+
             const closePlanBtn = e.target.closest('.close-plan-btn');
             if (closePlanBtn) {
                 this.closePlan();
                 return;
             }
 
+            const tabCloseBtn = e.target.closest('.editor-tab-close');
+            if (tabCloseBtn) {
+                this.closeTab(Number(tabCloseBtn.dataset.pane), tabCloseBtn.dataset.planId);
+                return;
+            }
+
+            const tab = e.target.closest('.editor-tab');
+            if (tab) {
+                this.selectTab(Number(tab.dataset.pane), tab.dataset.planId);
+                return;
+            }
+
+            const toggleSplitBtn = e.target.closest('.toggle-split-btn');
+            if (toggleSplitBtn) {
+                this.toggleSplit();
+                return;
+            }
+
             const toggleViewBtn = e.target.closest('.toggle-view-btn');
             if (toggleViewBtn) {
                 this.toggleViewMode();
@@ -824,8 +4684,10 @@ class PromptManager {
 
         document.addEventListener('input', (e) => {
             if (e.target.classList.contains('block-content')) {
-                this.updateBlock(e.target.dataset.planId, e.target.dataset.blockId, e.target.textContent);
-                this.updateBlockPreview(e.target.dataset.planId, e.target.dataset.blockId, e.target.textContent);
+                BlockEditor.refresh(e.target);
+                this.updateBlock(e.target.dataset.planId, e.target.dataset.blockId, e.target.value);
+                this.updateBlockTokenCount(e.target.dataset.blockId, e.target.value);
+                this.updateBlockPreview(e.target.dataset.planId, e.target.dataset.blockId, e.target.value);
             }
         });
 
@@ -845,14 +4707,14 @@ class PromptManager {
                     const currentBlockIndex = plan.blocks.findIndex(b => b.id === currentBlockId);
                     if (currentBlockIndex === -1) return;
 
+                    const before = HistoryManager.clone(plan);
+
                     // Split pasted content by --- separator
                     const sections = pastedText.split(/\r?\n---\r?\n/);
 
                     // Update current block with first section
                     const currentBlock = plan.blocks[currentBlockIndex];
                     currentBlock.content = sections[0].trim();
-                    e.target.textContent = sections[0].trim();
-                    this.updateBlock(planId, currentBlockId, sections[0].trim());
 
                     // Create new blocks for remaining sections
                     for (let i = 1; i < sections.length; i++) {
@@ -865,24 +4727,63 @@ class PromptManager {
                         plan.blocks.splice(currentBlockIndex + i, 0, newBlock);
                     }
 
+                    this.recordPlanChange(plan, before, 'Paste and split', { blockId: currentBlockId });
                     this.savePlans();
                     this.render();
 
                     // Focus the last created block
                     if (sections.length > 1) {
-                        setTimeout(() => {
-                            const lastBlockId = plan.blocks[currentBlockIndex + sections.length - 1].id;
-                            const lastBlockElement = document.querySelector(`[data-block-id="${lastBlockId}"] .block-content`);
-                            if (lastBlockElement) {
-                                lastBlockElement.focus();
-                            }
-                        }, 100);
+                        this.focusBlock(plan.blocks[currentBlockIndex + sections.length - 1].id);
                     }
                 }
             }
         });
 
+        document.addEventListener('change', (e) => {
+            const typeSelect = e.target.closest('.block-type-select');
+            if (typeSelect) {
+                this.setBlockType(typeSelect.dataset.planId, typeSelect.dataset.blockId, typeSelect.value);
+                return;
+            }
+
+            const languageInput = e.target.closest('.block-language-input');
+            if (languageInput) {
+                this.setBlockLanguage(languageInput.dataset.planId, languageInput.dataset.blockId, languageInput.value);
+                return;
+            }
+
+            const checklistBox = e.target.closest('.checklist-checkbox');
+            if (checklistBox) {
+                const preview = checklistBox.closest('.block-preview');
+                this.toggleChecklistItem(preview.dataset.planId, preview.dataset.blockId, Number(checklistBox.dataset.index));
+                return;
+            }
+
+            const selectBox = e.target.closest('.block-select-checkbox');
+            if (selectBox) {
+                this.toggleBlockSelected(selectBox.dataset.planId, selectBox.dataset.blockId);
+            }
+        });
+
+        document.addEventListener('focusin', (e) => {
+            const blockContent = e.target.closest('.block-content');
+            if (blockContent) {
+                this.activeBlockId = blockContent.dataset.blockId;
+            }
+        });
+
         document.addEventListener('keydown', (e) => {
+            const commandId = Keybindings.match(this.keybindings, e);
+            // Undo in a text field (a title, tag or search box) edits that text, not
+            // the plans; only the block editors hand undo to the plan history
+            const isFieldUndo = (commandId === 'undo' || commandId === 'redo') &&
+                e.target.matches('input:not([type="checkbox"]):not([type="radio"]), textarea, [contenteditable="true"]') &&
+                !e.target.classList.contains('block-content');
+            if (commandId && !isFieldUndo && !e.target.closest('.modal') && this.runCommand(commandId)) {
+                e.preventDefault();
+                return;
+            }
+
             if (e.target.classList.contains('block-content')) {
                 const currentBlockId = e.target.dataset.blockId;
                 const planId = e.target.dataset.planId;
@@ -891,81 +4792,44 @@ class PromptManager {
 
                 const currentBlockIndex = plan.blocks.findIndex(b => b.id === currentBlockId);
 
-                if (e.key === 'Enter') {
+                if (e.key === 'Backspace' && e.target.value.trim() === '' && currentBlockIndex > 0) {
                     e.preventDefault();
-
-                    const currentTime = Date.now();
-                    const timeSinceLastEnter = currentTime - this.lastEnterPress;
-
-                    if (timeSinceLastEnter < 500 && timeSinceLastEnter > 0) {
-                        const selection = window.getSelection();
-                        const range = selection.getRangeAt(0);
-                        const textContent = e.target.textContent;
-                        const cursorPos = range.startOffset;
-
-                        const beforeCursor = textContent.substring(0, cursorPos);
-                        const afterCursor = textContent.substring(cursorPos);
-
-                        e.target.textContent = beforeCursor;
-                        this.updateBlock(planId, currentBlockId, beforeCursor);
-
-                        const newBlock = {
-                            id: Date.now().toString(),
-                            content: afterCursor,
-                            done: false,
-                            collapsed: false
-                        };
-                        plan.blocks.splice(currentBlockIndex + 1, 0, newBlock);
-                        this.savePlans();
-                        this.render();
-
-                        this.lastEnterPress = 0;
-
-                        setTimeout(() => {
-                            const newBlockElement = document.querySelector(`[data-block-id="${newBlock.id}"] .block-content`);
-                            if (newBlockElement) {
-                                newBlockElement.focus();
-                                const range = document.createRange();
-                                const selection = window.getSelection();
-                                range.selectNodeContents(newBlockElement);
-                                range.collapse(true);
-                                selection.removeAllRanges();
-                                selection.addRange(range);
-                            }
-                        }, 100);
-                    } else {
-                        document.execCommand('insertText', false, '\n');
-                        this.lastEnterPress = currentTime;
-                    }
-                } else if (e.key === 'Backspace') {
-                    const textContent = e.target.textContent.trim();
-
-                    if (textContent === '' && currentBlockIndex > 0) {
-                        e.preventDefault();
-                        const previousBlock = plan.blocks[currentBlockIndex - 1];
-                        plan.blocks = plan.blocks.filter(b => b.id !== currentBlockId);
-                        this.savePlans(false);
-                        this.render();
-
-                        setTimeout(() => {
-                            const prevBlockElement = document.querySelector(`[data-block-id="${previousBlock.id}"] .block-content`);
-                            if (prevBlockElement) {
-                                prevBlockElement.focus();
-                                const range = document.createRange();
-                                const selection = window.getSelection();
-                                range.selectNodeContents(prevBlockElement);
-                                range.collapse(false);
-                                selection.removeAllRanges();
-                                selection.addRange(range);
-                            }
-                        }, 100);
+                    const before = HistoryManager.clone(plan);
+                    const previousBlock = plan.blocks[currentBlockIndex - 1];
+                    const trashItem = this.trashBlock(plan, currentBlockId);
+                    this.recordPlanChange(plan, before, 'Delete block', { blockId: currentBlockId, trashItem });
+                    if (trashItem) {
+                        this.showToast('Block moved to the trash', 2000);
                     }
+                    this.savePlans(false);
+                    this.render();
+                    this.focusBlock(previousBlock.id);
+                } else if (BlockEditor.handleKeydown(e)) {
+                    e.preventDefault();
                 }
             }
         });
 
         // Drag and drop
         document.addEventListener('dragstart', (e) => {
+            const planDragHandle = e.target.closest('.plan-drag-handle');
+            if (planDragHandle) {
+                const planItem = planDragHandle.closest('.plan-item');
+                this.draggedPlanId = planItem.dataset.planId;
+                planItem.classList.add('dragging');
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', this.draggedPlanId);
+                return;
+            }
+
+            const tab = e.target.closest('.editor-tab');
+            if (tab) {
+                this.draggedTab = tab.dataset.planId;
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', this.draggedTab);
+                return;
+            }
+
             const dragHandle = e.target.closest('.drag-handle');
             if (!dragHandle) {
                 e.preventDefault();
@@ -982,15 +4846,55 @@ class PromptManager {
         });
 
         document.addEventListener('dragend', (e) => {
+            if (this.draggedPlanId) {
+                this.draggedPlanId = null;
+                document.querySelectorAll('.plan-item.dragging, .folder-header.drop-target').forEach(el => {
+                    el.classList.remove('dragging', 'drop-target');
+                });
+                return;
+            }
+
+            if (this.draggedTab) {
+                this.draggedTab = null;
+                document.querySelectorAll('.editor-pane.drop-target').forEach(el => el.classList.remove('drop-target'));
+                return;
+            }
+
             const block = e.target.closest('.block');
             if (block) {
                 block.classList.remove('dragging');
                 this.draggedBlock = null;
+
+                // Cancelled drags may have left the block in the other pane
+                if (e.dataTransfer.dropEffect === 'none') {
+                    this.renderEditor();
+                }
             }
         });
 
         document.addEventListener('dragover', (e) => {
             e.preventDefault();
+
+            if (this.draggedPlanId) {
+                const folderHeader = this.getPlanDropFolderHeader(e.target);
+                document.querySelectorAll('.folder-header.drop-target').forEach(el => {
+                    if (el !== folderHeader) el.classList.remove('drop-target');
+                });
+                if (folderHeader) {
+                    folderHeader.classList.add('drop-target');
+                }
+                return;
+            }
+
+            if (this.draggedTab) {
+                const pane = e.target.closest('.editor-pane');
+                const isOtherPane = pane && !pane.querySelector(`.editor-tab[data-plan-id="${this.draggedTab}"]`);
+                document.querySelectorAll('.editor-pane').forEach(el => {
+                    el.classList.toggle('drop-target', el === pane && isOtherPane);
+                });
+                return;
+            }
+
             const block = e.target.closest('.block');
             if (block && this.draggedBlock && block !== this.draggedBlock) {
                 const container = block.parentElement;
@@ -1001,34 +4905,159 @@ class PromptManager {
                 } else {
                     container.insertBefore(this.draggedBlock, afterElement);
                 }
+            } else if (!block && this.draggedBlock) {
+                // A plan without blocks has nothing to drop beside
+                const container = e.target.closest('.blocks-container');
+                if (container && !container.contains(this.draggedBlock)) {
+                    container.appendChild(this.draggedBlock);
+                }
             }
         });
 
         document.addEventListener('drop', (e) => {
             e.preventDefault();
-            if (this.draggedBlock) {
-                const planId = this.currentPlanId;
+
+            // Plans dropped on a folder (or anything inside it) move there;
+            // dropped elsewhere in the list they leave their folder
+            if (this.draggedPlanId) {
+                if (e.target.closest('.plans-list')) {
+                    const folderHeader = this.getPlanDropFolderHeader(e.target);
+                    this.setPlanFolder(this.draggedPlanId, folderHeader ? folderHeader.dataset.folder : '');
+                }
+                return;
+            }
+
+            if (this.draggedTab) {
+                const pane = e.target.closest('.editor-pane');
+                if (pane) {
+                    this.moveTab(this.draggedTab, Number(pane.dataset.pane));
+                }
+                this.draggedTab = null;
+                return;
+            }
+
+            const container = this.draggedBlock ? this.draggedBlock.closest('.blocks-container') : null;
+            if (container) {
+                const blockId = this.draggedBlock.dataset.blockId;
+                const sourcePlanId = this.draggedBlock.querySelector('.drag-handle').dataset.planId;
+                const planId = container.closest('.prompt-editor').dataset.planId;
+                const newOrder = Array.from(container.querySelectorAll('.block')).map(el => el.dataset.blockId);
+
+                // Dropped into the other pane: the block moves to that plan
+                if (planId !== sourcePlanId) {
+                    this.draggedBlock = null;
+                    this.moveBlockToPlan(sourcePlanId, planId, blockId, newOrder.indexOf(blockId));
+                    return;
+                }
+
                 const plan = this.plans.find(p => p.id === planId);
                 if (plan) {
-                    const blockElements = Array.from(document.querySelectorAll('.block'));
-                    const newOrder = blockElements.map(el => el.dataset.blockId);
+                    const before = HistoryManager.clone(plan);
 
                     plan.blocks.sort((a, b) => {
                         return newOrder.indexOf(a.id) - newOrder.indexOf(b.id);
                     });
 
+                    const orderChanged = plan.blocks.some((block, index) => block.id !== before.blocks[index].id);
+                    if (orderChanged) {
+                        this.recordPlanChange(plan, before, 'Reorder blocks', { blockId: this.draggedBlock.dataset.blockId });
+                    }
+
                     this.savePlans(false);
                 }
             }
         });
     }
 
+    getPlanDropFolderHeader(target) {
+        const folderItem = target.closest('.folder-item');
+        return folderItem ? folderItem.querySelector('.folder-header') : null;
+    }
+
     setupEditorEventListeners() {
-        const titleInput = document.querySelector('.prompt-title');
+        document.querySelectorAll('.prompt-editor').forEach(editor => {
+            this.setupPlanEditorListeners(editor);
+        });
+    }
+
+    setupPlanEditorListeners(editor) {
+        const plan = this.plans.find(p => p.id === editor.dataset.planId);
+
+        const folderInput = editor.querySelector('.plan-folder-input');
+        if (folderInput && plan) {
+            folderInput.value = plan.folder || '';
+
+            const folderOptions = editor.querySelector('datalist');
+            this.getAllFolders().forEach(folder => {
+                const option = document.createElement('option');
+                option.value = folder;
+                folderOptions.appendChild(option);
+            });
+
+            folderInput.addEventListener('change', (e) => {
+                this.setPlanFolder(e.target.dataset.planId, e.target.value);
+            });
+
+            folderInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    e.target.blur();
+                }
+            });
+        }
+
+        const budgetSelect = editor.querySelector('.plan-budget-select');
+        if (budgetSelect) {
+            budgetSelect.addEventListener('change', (e) => {
+                this.setPlanBudget(e.target.dataset.planId, e.target.value);
+            });
+        }
+
+        const tagInput = editor.querySelector('.plan-tag-input');
+        if (tagInput) {
+            const planId = tagInput.dataset.planId;
+            const focusNewTagInput = () => {
+                const newTagInput = document.querySelector(`.plan-tag-input[data-plan-id="${planId}"]`);
+                if (newTagInput) {
+                    newTagInput.focus();
+                }
+            };
+
+            const commitTag = (refocus) => {
+                if (this.addPlanTag(planId, tagInput.value)) {
+                    this.render();
+                    if (refocus) {
+                        focusNewTagInput();
+                    }
+                } else {
+                    tagInput.value = '';
+                }
+            };
+
+            tagInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ',') {
+                    e.preventDefault();
+                    commitTag(true);
+                } else if (e.key === 'Backspace' && tagInput.value === '' && plan && (plan.tags || []).length > 0) {
+                    e.preventDefault();
+                    this.removePlanTag(plan.id, plan.tags[plan.tags.length - 1]);
+                    focusNewTagInput();
+                }
+            });
+
+            tagInput.addEventListener('blur', () => {
+                if (tagInput.value.trim()) {
+                    commitTag(false);
+                }
+            });
+        }
+
+        const titleInput = editor.querySelector('.prompt-title');
         if (titleInput) {
             titleInput.addEventListener('input', (e) => {
                 this.updatePlanTitle(e.target.dataset.planId, e.target.value);
                 this.renderSidebar();
+                this.updateTabTitle(e.target.dataset.planId, e.target.value);
             });
 
             titleInput.addEventListener('keydown', (e) => {
@@ -1037,17 +5066,11 @@ class PromptManager {
                     e.target.blur();
 
                     setTimeout(() => {
-                        const blocks = document.querySelectorAll('.block-content');
+                        const blocks = editor.querySelectorAll('.block-content');
                         if (blocks.length > 0) {
                             const lastBlock = blocks[blocks.length - 1];
                             lastBlock.focus();
-
-                            const range = document.createRange();
-                            const selection = window.getSelection();
-                            range.selectNodeContents(lastBlock);
-                            range.collapse(false);
-                            selection.removeAllRanges();
-                            selection.addRange(range);
+                            this.setCaretOffset(lastBlock);
                         }
                     }, 100);
                 }
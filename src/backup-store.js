@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+const PlanStore = require('./plan-store');
+const PlanSchema = require('./plan-schema');
+
+// Rotating copies of every plan, taken at most once an interval while plans are
+// being saved (main.js schedules them; a backup reads every plan file):
+//   backups/<backupId>.json   { version, createdAt, order, plans }
+// A backup within a minute of the newest one updates it in place, so the kept
+// backups reach further back than the last few keystrokes. Nothing is backed up
+// while the save directory holds damaged files; those are what backups restore.
+const BACKUPS_DIR = 'backups';
+const MAX_BACKUPS = 10;
+const BACKUP_INTERVAL = 60 * 1000;
+
+class BackupStore {
+    constructor(saveDirectory) {
+        this.saveDirectory = saveDirectory;
+        this.planStore = new PlanStore(saveDirectory);
+    }
+
+    static get interval() {
+        return BACKUP_INTERVAL;
+    }
+
+    get backupsDirectory() {
+        return path.join(this.saveDirectory, BACKUPS_DIR);
+    }
+
+    backupPath(backupId) {
+        if (!/^\d+$/.test(String(backupId))) {
+            throw new Error(`Invalid backup id: ${backupId}`);
+        }
+        return path.join(this.backupsDirectory, `${backupId}.json`);
+    }
+
+    // Ids, newest first
+    listBackups() {
+        if (!fs.existsSync(this.backupsDirectory)) {
+            return [];
+        }
+
+        return fs.readdirSync(this.backupsDirectory)
+            .filter(name => /^\d+\.json$/.test(name))
+            .map(name => path.basename(name, '.json'))
+            .sort((a, b) => Number(b) - Number(a));
+    }
+
+    readBackup(backupId) {
+        return PlanSchema.validateBackup(JSON.parse(fs.readFileSync(this.backupPath(backupId), 'utf-8')));
+    }
+
+    backUp() {
+        const { plans, damaged } = this.planStore.inspect();
+        if (!plans || damaged.length > 0) return;
+
+        const order = plans.map(plan => plan.id);
+        const newestId = this.listBackups()[0];
+        const newest = newestId ? this.tryReadBackup(newestId) : null;
+        if (newest && JSON.stringify({ order: newest.order, plans: newest.plans }) === JSON.stringify({ order, plans })) {
+            return;
+        }
+
+        const now = Date.now();
+        const id = newestId && now - Number(newestId) < BACKUP_INTERVAL
+            ? newestId
+            : String(Math.max(now, newestId ? Number(newestId) + 1 : 0));
+        const backup = { version: PlanSchema.version, createdAt: new Date(now).toISOString(), order, plans };
+
+        fs.mkdirSync(this.backupsDirectory, { recursive: true });
+        PlanStore.writeFileAtomic(this.backupPath(id), JSON.stringify(backup, null, 2));
+
+        this.listBackups().slice(MAX_BACKUPS).forEach(oldId => {
+            fs.unlinkSync(this.backupPath(oldId));
+        });
+    }
+
+    tryReadBackup(backupId) {
+        try {
+            return this.readBackup(backupId);
+        } catch (error) {
+            console.error(`Skipping unreadable backup ${backupId}:`, error);
+            return null;
+        }
+    }
+
+    // Newest readable backup, or the newest holding the given plan
+    findBackup(planId = null) {
+        for (const backupId of this.listBackups()) {
+            const backup = this.tryReadBackup(backupId);
+            if (backup && (planId === null || backup.plans.some(plan => String(plan.id) === planId))) {
+                return backup;
+            }
+        }
+        return null;
+    }
+
+    // The newest backup holding a good copy of a damaged file, or null. Only the
+    // plan index and plan files are backed up.
+    restoreSource(file) {
+        const filePath = this.planStore.resolve(file);
+        if (filePath === this.planStore.indexPath) {
+            return this.findBackup();
+        }
+        if (path.dirname(filePath) !== this.planStore.plansDirectory) {
+            return null;
+        }
+
+        return this.findBackup(path.basename(filePath, '.json'));
+    }
+
+    // Put back the newest good copy of each damaged file, setting the damaged one
+    // aside first. Returns the files restored.
+    restore(damaged) {
+        return damaged
+            .filter(({ file }) => {
+                const backup = this.restoreSource(file);
+                if (!backup) return false;
+
+                const filePath = this.planStore.resolve(file);
+                this.planStore.setAside(file);
+                if (filePath === this.planStore.indexPath) {
+                    this.planStore.writeIndex(backup.order);
+                } else {
+                    const planId = path.basename(filePath, '.json');
+                    this.planStore.writePlan(backup.plans.find(plan => String(plan.id) === planId));
+                }
+                return true;
+            })
+            .map(({ file }) => file);
+    }
+}
+
+module.exports = BackupStore;
@@ -0,0 +1,204 @@
+// Block Editor - source mode editing for a block. A plain textarea sits on top
+// of a highlighted copy of its text (SyntaxHighlighter); the textarea's own text
+// is transparent, so the caret and selection are native while the colours come
+// from underneath. Both share one grid cell, so the block grows with its text.
+//
+// Editing helpers take the textarea's value and selection and return an edit,
+//   { from, to, insert, selectionStart, selectionEnd }
+// or null when the key should do what it normally does.
+const EDITOR_PAIRS = { '(': ')', '[': ']', '{': '}', '"': '"', "'": "'", '`': '`' };
+const EDITOR_CLOSERS = new Set([')', ']', '}', '"', "'", '`']);
+const EDITOR_INDENT = { markdown: '  ', code: '    ' };
+
+class BlockEditor {
+    static render({ planId, blockId, content, mode, language = '', placeholder = '' }) {
+        const escape = PlanSearch.escapeHtml;
+        // The parser drops a newline straight after <textarea>, so one is put
+        // there to keep a leading blank line in the content
+        return `
+            <div class="block-editor">
+                <pre class="block-editor-highlight" aria-hidden="true"><code>${BlockEditor.highlight(content, mode, language)}</code></pre>
+                <textarea class="block-content" rows="1" spellcheck="${mode === 'code' ? 'false' : 'true'}"
+                          data-plan-id="${escape(planId)}" data-block-id="${escape(blockId)}"
+                          data-mode="${mode}" data-language="${escape(language)}"
+                          placeholder="${escape(placeholder)}">
+${escape(content)}</textarea>
+            </div>
+        `;
+    }
+
+    // A trailing newline gets a space after it, or the highlight would be a line
+    // shorter than the textarea and the last line would sit outside the block
+    static highlight(text, mode, language = '') {
+        const html = SyntaxHighlighter.highlight(text, mode === 'code' ? language : null);
+        return text.endsWith('\n') ? `${html} ` : html;
+    }
+
+    static refresh(textarea) {
+        const code = textarea.parentElement.querySelector('.block-editor-highlight code');
+        if (code) {
+            code.innerHTML = BlockEditor.highlight(textarea.value, textarea.dataset.mode, textarea.dataset.language);
+        }
+    }
+
+    static indentUnit(mode) {
+        return EDITOR_INDENT[mode] || EDITOR_INDENT.markdown;
+    }
+
+    // Bounds of the lines a selection touches
+    static lineRange(value, start, end) {
+        const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+        const lastLineEnd = value.indexOf('\n', end > start && value[end - 1] === '\n' ? end - 1 : end);
+        return { lineStart, lineEnd: lastLineEnd === -1 ? value.length : lastLineEnd };
+    }
+
+    // Typing an opening bracket or quote: wrap the selection, or insert the pair
+    // with the caret between. Typing a closer in front of the same closer steps over it.
+    static pairEdit(value, start, end, char) {
+        const next = value[end] || '';
+        const previous = value[start - 1] || '';
+
+        if (start === end && EDITOR_CLOSERS.has(char) && next === char) {
+            return { from: start, to: start, insert: '', selectionStart: start + 1, selectionEnd: start + 1 };
+        }
+
+        const closer = EDITOR_PAIRS[char];
+        if (!closer) return null;
+
+        if (start !== end) {
+            const selected = value.slice(start, end);
+            return { from: start, to: end, insert: `${char}${selected}${closer}`, selectionStart: start + 1, selectionEnd: end + 1 };
+        }
+
+        // Leave text alone where a pair would be in the way: before a word, and for
+        // quotes after a word (don't) or after the same quote (``` fences)
+        if (/\w/.test(next)) return null;
+        if (char === closer && (/\w/.test(previous) || previous === char)) return null;
+
+        return { from: start, to: end, insert: char + closer, selectionStart: start + 1, selectionEnd: start + 1 };
+    }
+
+    // Backspace between an empty pair removes both halves
+    static deletePairEdit(value, start, end) {
+        if (start !== end || start === 0) return null;
+        const opener = value[start - 1];
+        if (!EDITOR_PAIRS[opener] || value[start] !== EDITOR_PAIRS[opener]) return null;
+        return { from: start - 1, to: start + 1, insert: '', selectionStart: start - 1, selectionEnd: start - 1 };
+    }
+
+    // Tab indents (Shift+Tab outdents) every line of a selection, or the current
+    // line when it is a list item; otherwise Tab inserts an indent at the caret
+    static indentEdit(value, start, end, unit, outdent = false) {
+        const { lineStart, lineEnd } = BlockEditor.lineRange(value, start, end);
+        const firstLine = value.slice(lineStart, lineEnd).split('\n')[0];
+        const wholeLines = outdent || start !== end || /^\s*([-*+]|\d+[.)])\s/.test(firstLine);
+
+        if (!wholeLines) {
+            const column = start - lineStart;
+            const insert = unit[0] === ' ' ? ' '.repeat(unit.length - (column % unit.length)) : unit;
+            return { from: start, to: end, insert, selectionStart: start + insert.length, selectionEnd: start + insert.length };
+        }
+
+        const lines = value.slice(lineStart, lineEnd).split('\n');
+        let firstShift = 0;
+        let totalShift = 0;
+        const changed = lines.map((line, index) => {
+            let shift;
+            let next;
+            if (outdent) {
+                const leading = line.match(/^(\t| {1,})/);
+                const removed = leading ? (leading[1] === '\t' ? 1 : Math.min(leading[1].length, unit.length)) : 0;
+                next = line.slice(removed);
+                shift = -removed;
+            } else {
+                next = line === '' && lines.length > 1 ? line : unit + line;
+                shift = next.length - line.length;
+            }
+            if (index === 0) firstShift = shift;
+            totalShift += shift;
+            return next;
+        });
+
+        const insert = changed.join('\n');
+        if (insert === value.slice(lineStart, lineEnd)) return null;
+
+        return {
+            from: lineStart,
+            to: lineEnd,
+            insert,
+            selectionStart: Math.max(lineStart, start + firstShift),
+            selectionEnd: start === end ? Math.max(lineStart, end + firstShift) : end + totalShift
+        };
+    }
+
+    // Enter keeps the line's indent and continues a list ("1." becomes "2.",
+    // tasks start unticked). Enter on an empty list item ends the list.
+    static newlineEdit(value, start, end) {
+        const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+        const line = value.slice(lineStart, start);
+        const item = line.match(/^(\s*)([-*+]|(\d+)([.)]))(\s+)(\[[ xX]\]\s+)?/);
+
+        if (item) {
+            const rest = value.slice(start, BlockEditor.lineRange(value, start, end).lineEnd);
+            if (item[0].length === line.length && rest.trim() === '' && start === end) {
+                return { from: lineStart, to: start, insert: '', selectionStart: lineStart, selectionEnd: lineStart };
+            }
+
+            const marker = item[3] ? `${Number(item[3]) + 1}${item[4]}` : item[2];
+            const insert = `\n${item[1]}${marker}${item[5]}${item[6] ? '[ ] ' : ''}`;
+            return { from: start, to: end, insert, selectionStart: start + insert.length, selectionEnd: start + insert.length };
+        }
+
+        const indent = line.match(/^[ \t]*/)[0];
+        if (!indent) return null;
+        const insert = `\n${indent}`;
+        return { from: start, to: end, insert, selectionStart: start + insert.length, selectionEnd: start + insert.length };
+    }
+
+    static apply(textarea, edit) {
+        textarea.setRangeText(edit.insert, edit.from, edit.to, 'end');
+        textarea.setSelectionRange(edit.selectionStart, edit.selectionEnd);
+        textarea.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    // Returns true when the key was handled and its default should be prevented
+    static handleKeydown(e) {
+        const textarea = e.target;
+        if (e.ctrlKey || e.metaKey || e.altKey || e.isComposing) return false;
+
+        // Escape lets the next Tab move focus on instead of indenting
+        const tabReleased = textarea.dataset.tabReleased === 'true';
+        delete textarea.dataset.tabReleased;
+        if (e.key === 'Escape') {
+            textarea.dataset.tabReleased = 'true';
+            return false;
+        }
+
+        const { value, selectionStart: start, selectionEnd: end } = textarea;
+        let edit = null;
+
+        if (e.key === 'Tab') {
+            if (tabReleased) return false;
+            edit = BlockEditor.indentEdit(value, start, end, BlockEditor.indentUnit(textarea.dataset.mode), e.shiftKey);
+            if (edit) BlockEditor.apply(textarea, edit);
+            return true;
+        }
+
+        if (e.key === 'Enter' && !e.shiftKey) {
+            edit = BlockEditor.newlineEdit(value, start, end);
+        } else if (e.key === 'Backspace') {
+            edit = BlockEditor.deletePairEdit(value, start, end);
+        } else if (e.key.length === 1) {
+            edit = BlockEditor.pairEdit(value, start, end, e.key);
+        }
+
+        if (!edit) return false;
+        BlockEditor.apply(textarea, edit);
+        return true;
+    }
+}
+
+// Also loaded by the tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BlockEditor;
+}
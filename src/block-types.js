@@ -0,0 +1,80 @@
+// Block Types - how each kind of block is labelled, rendered and copied.
+// Blocks without a type are prompts, which keeps older plans unchanged.
+const CHECKLIST_ITEM = /^(\s*[-*+] \[)([ xX])(\])/;
+
+class BlockTypes {
+    static get all() {
+        return [
+            { id: 'prompt', label: 'Prompt', icon: 'text' },
+            { id: 'note', label: 'Note', icon: 'pencil-simple' },
+            { id: 'checklist', label: 'Checklist', icon: 'check-circle' },
+            { id: 'code', label: 'Code', icon: 'code' }
+        ];
+    }
+
+    static typeOf(block) {
+        return block.type || 'prompt';
+    }
+
+    static get(typeId) {
+        return BlockTypes.all.find(type => type.id === typeId) || BlockTypes.all[0];
+    }
+
+    // Notes are private to the plan and never sent anywhere
+    static isCopied(block) {
+        return BlockTypes.typeOf(block) !== 'note';
+    }
+
+    // Text a block contributes to a copied or run plan
+    static textForCopy(block) {
+        if (BlockTypes.typeOf(block) === 'code') {
+            const fence = block.content.includes('```') ? '````' : '```';
+            return `${fence}${block.language || ''}\n${block.content}\n${fence}`;
+        }
+        return block.content;
+    }
+
+    static checklistItems(content) {
+        return content
+            .split('\n')
+            .map(line => line.match(CHECKLIST_ITEM))
+            .filter(Boolean)
+            .map(match => match[2] !== ' ');
+    }
+
+    // Done once there is at least one item and every item is ticked
+    static isChecklistComplete(content) {
+        const items = BlockTypes.checklistItems(content);
+        return items.length > 0 && items.every(Boolean);
+    }
+
+    static toggleChecklistItem(content, itemIndex) {
+        let index = -1;
+        return content
+            .split('\n')
+            .map(line => {
+                if (!CHECKLIST_ITEM.test(line) || ++index !== itemIndex) return line;
+                return line.replace(CHECKLIST_ITEM, (match, start, mark, end) => `${start}${mark === ' ' ? 'x' : ' '}${end}`);
+            })
+            .join('\n');
+    }
+
+    static uncheckAll(content) {
+        return content
+            .split('\n')
+            .map(line => line.replace(CHECKLIST_ITEM, (match, start, mark, end) => `${start} ${end}`))
+            .join('\n');
+    }
+
+    // marked renders task list items as disabled checkboxes; make them tickable
+    static enableChecklistBoxes(html) {
+        let index = 0;
+        return html.replace(/<input (checked="" )?disabled="" type="checkbox">/g, (match, checked) =>
+            `<input type="checkbox" class="checklist-checkbox" data-index="${index++}" ${checked ? 'checked' : ''}>`);
+    }
+}
+
+// Also loaded by the command-line tool
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BlockTypes;
+}
@@ -0,0 +1,289 @@
+const fs = require('fs');
+const path = require('path');
+const AppPaths = require('./app-paths');
+const PlanStore = require('./plan-store');
+const BackupStore = require('./backup-store');
+const SnippetStore = require('./snippet-store');
+const PlanMarkdown = require('./markdown');
+const PlanQuery = require('./plan-query');
+const BlockTypes = require('./block-types');
+const Snippets = require('./snippets');
+const McpServer = require('./mcp-server');
+
+// prompt-planner: read and update plans from scripts, without the app.
+// Changes are written through PlanStore, one atomic file per plan, so a
+// running app picks them up through its save directory watcher like any
+// other outside edit.
+const USAGE = `Usage: prompt-planner [--dir <path>] <command> [options]
+
+Commands:
+  list                        List plans: number, id, blocks done/total, title
+  show <plan>                 Print a plan
+  block <plan> <block>        Print one block
+  next <plan>                 Print the first block not done yet
+  done <plan> <block>         Mark a block done (--undo marks it not done)
+  add <plan>                  Add a block with the text read from stdin
+                              (--type prompt|note|checklist|code)
+  export <plan>               Print a plan as Markdown (--out <file> writes it,
+                              --all --out <directory> writes every plan)
+  mcp                         Serve plans to coding agents over MCP on stdio
+                              (--http serves on http://127.0.0.1:<--port>/mcp)
+
+<plan> is a plan number from "list", a plan id or a plan title.
+<block> is a block number (1 is the first block) or a block id.
+
+Options:
+  --dir <path>   Save directory (default: $PROMPT_PLANNER_DIR, then the app's)
+  --json         Print JSON (list, show, block, next)
+  --raw          Leave {{> snippet}} includes unexpanded
+`;
+const COMMANDS = ['list', 'show', 'block', 'next', 'done', 'add', 'export', 'mcp'];
+const VALUE_FLAGS = ['dir', 'type', 'out', 'port'];
+
+class PlannerCli {
+    constructor(saveDirectory, flags = {}) {
+        this.store = new PlanStore(saveDirectory);
+        this.backups = new BackupStore(saveDirectory);
+        this.snippetStore = new SnippetStore(saveDirectory);
+        this.flags = flags;
+        this.snippets = null;
+    }
+
+    static parseArgs(argv) {
+        const positional = [];
+        const flags = {};
+
+        for (let i = 0; i < argv.length; i++) {
+            const arg = argv[i];
+            if (arg === '-h' || arg === '--help') {
+                flags.help = true;
+            } else if (arg.startsWith('--')) {
+                const name = arg.slice(2);
+                if (VALUE_FLAGS.includes(name)) {
+                    if (i + 1 >= argv.length) {
+                        throw new Error(`--${name} needs a value`);
+                    }
+                    flags[name] = argv[++i];
+                } else {
+                    flags[name] = true;
+                }
+            } else {
+                positional.push(arg);
+            }
+        }
+
+        return { positional, flags };
+    }
+
+    // Runs a command line and returns the process exit code
+    static run(argv) {
+        const { positional, flags } = PlannerCli.parseArgs(argv);
+        const [command, ...args] = positional;
+
+        if (!command || flags.help) {
+            process.stdout.write(USAGE);
+            return 0;
+        }
+        if (!COMMANDS.includes(command)) {
+            throw new Error(`Unknown command "${command}". Run prompt-planner --help for usage.`);
+        }
+
+        const saveDirectory = flags.dir || process.env.PROMPT_PLANNER_DIR || AppPaths.saveDirectory();
+        return new PlannerCli(saveDirectory, flags)[command](...args) || 0;
+    }
+
+    print(text) {
+        process.stdout.write(text.endsWith('\n') ? text : `${text}\n`);
+    }
+
+    printJson(value) {
+        this.print(JSON.stringify(value, null, 2));
+    }
+
+    loadPlans() {
+        return this.store.loadPlans() || [];
+    }
+
+    // Backed up like the app's own saves; a failed backup does not undo the change
+    savePlan(plan) {
+        this.store.updatePlan(plan);
+        try {
+            this.backups.backUp();
+        } catch (error) {
+            console.error('Error backing up plans:', error.message);
+        }
+    }
+
+    expand(text) {
+        if (this.flags.raw) return text;
+
+        if (!this.snippets) {
+            this.snippets = new Map(this.snippetStore.loadSnippets().map(snippet => [snippet.name, snippet.content]));
+        }
+        return Snippets.expand(text, this.snippets);
+    }
+
+    expandPlan(plan) {
+        return { ...plan, blocks: plan.blocks.map(block => ({ ...block, content: this.expand(block.content) })) };
+    }
+
+    formatBlock(block, index) {
+        const type = BlockTypes.get(BlockTypes.typeOf(block));
+        return `## ${index + 1}. ${type.label}${block.done ? ' (done)' : ''}\n\n${this.expand(block.content)}`;
+    }
+
+    list() {
+        const plans = this.loadPlans();
+        const summaries = plans.map((plan, index) => PlanQuery.summary(plan, index));
+
+        if (this.flags.json) {
+            this.printJson(summaries);
+            return;
+        }
+        summaries.forEach(summary => {
+            this.print([summary.number, summary.id, `${summary.done}/${summary.blocks}`, summary.title].join('\t'));
+        });
+    }
+
+    show(planReference) {
+        const plan = PlanQuery.findPlan(this.loadPlans(), planReference);
+
+        if (this.flags.json) {
+            this.printJson(this.expandPlan(plan));
+            return;
+        }
+        this.print([`# ${plan.title}`, ...plan.blocks.map((block, index) => this.formatBlock(block, index))].join('\n\n'));
+    }
+
+    block(planReference, blockReference) {
+        const plan = PlanQuery.findPlan(this.loadPlans(), planReference);
+        const block = PlanQuery.findBlock(plan, blockReference);
+
+        if (this.flags.json) {
+            this.printJson({ planId: plan.id, number: plan.blocks.indexOf(block) + 1, ...block, content: this.expand(block.content) });
+            return;
+        }
+        this.print(this.expand(block.content));
+    }
+
+    // Exits with 1 once every block is done, so scripts can loop until then
+    next(planReference) {
+        const plan = PlanQuery.findPlan(this.loadPlans(), planReference);
+        const block = PlanQuery.nextBlock(plan);
+
+        if (!block) {
+            process.stderr.write(`All blocks in "${plan.title}" are done\n`);
+            return 1;
+        }
+
+        if (this.flags.json) {
+            this.printJson({ planId: plan.id, number: plan.blocks.indexOf(block) + 1, ...block, content: this.expand(block.content) });
+            return;
+        }
+        this.print(this.expand(block.content));
+    }
+
+    done(planReference, blockReference) {
+        const plan = PlanQuery.findPlan(this.loadPlans(), planReference);
+        const block = PlanQuery.findBlock(plan, blockReference);
+        const number = plan.blocks.indexOf(block) + 1;
+        const done = !this.flags.undo;
+
+        if (Boolean(block.done) !== done) {
+            block.done = done;
+            this.savePlan(plan);
+        }
+        this.print(`Block ${number} of "${plan.title}" is ${done ? 'done' : 'not done'}`);
+    }
+
+    add(planReference) {
+        const plan = PlanQuery.findPlan(this.loadPlans(), planReference);
+        const type = this.flags.type || 'prompt';
+
+        if (!BlockTypes.all.some(blockType => blockType.id === type)) {
+            throw new Error(`Unknown block type "${type}". Use one of: ${BlockTypes.all.map(t => t.id).join(', ')}`);
+        }
+        if (process.stdin.isTTY) {
+            throw new Error(`Pipe the block text in, e.g. echo "Fix the tests" | prompt-planner add ${planReference}`);
+        }
+
+        const content = fs.readFileSync(0, 'utf-8').replace(/\r\n/g, '\n').replace(/\n$/, '');
+        if (!content.trim()) {
+            throw new Error('Nothing to add: stdin was empty');
+        }
+
+        // New plans start with an empty block; fill that in rather than leave it above the new one
+        const last = plan.blocks[plan.blocks.length - 1];
+        const block = last && !last.content.trim() && !last.done
+            ? last
+            : { id: this.newBlockId(plan), content: '', done: false, collapsed: false };
+        if (block !== last) {
+            plan.blocks.push(block);
+        }
+
+        block.content = content;
+        if (type === 'prompt') {
+            delete block.type;
+        } else {
+            block.type = type;
+        }
+
+        this.savePlan(plan);
+        this.print(`Added block ${plan.blocks.indexOf(block) + 1} to "${plan.title}"`);
+    }
+
+    newBlockId(plan) {
+        let id = Date.now();
+        while (plan.blocks.some(block => block.id === String(id))) {
+            id++;
+        }
+        return String(id);
+    }
+
+    export(planReference) {
+        const plans = this.loadPlans();
+        const markdown = plan => PlanMarkdown.generate(this.expandPlan(plan));
+
+        if (this.flags.all) {
+            if (!this.flags.out) {
+                throw new Error('--all needs --out <directory>');
+            }
+            fs.mkdirSync(this.flags.out, { recursive: true });
+            plans.forEach(plan => {
+                PlanStore.writeFileAtomic(path.join(this.flags.out, PlanMarkdown.fileName(plan)), markdown(plan));
+            });
+            this.print(`Exported ${plans.length} plans to ${this.flags.out}`);
+            return;
+        }
+
+        const plan = PlanQuery.findPlan(plans, planReference);
+        if (!this.flags.out) {
+            this.print(markdown(plan));
+            return;
+        }
+        PlanStore.writeFileAtomic(this.flags.out, markdown(plan));
+        this.print(`Exported "${plan.title}" to ${this.flags.out}`);
+    }
+
+    // Keeps running until stdin closes, or until stopped when serving over HTTP.
+    // stdout carries the protocol, so messages go to stderr.
+    mcp() {
+        const server = new McpServer(() => this.store.saveDirectory);
+
+        if (!this.flags.http) {
+            server.serveStdio(process.stdin, process.stdout);
+            return;
+        }
+
+        const port = Number(this.flags.port || McpServer.defaultPort);
+        server.listen(port).then(
+            url => process.stderr.write(`MCP server listening on ${url}\n`),
+            error => {
+                process.stderr.write(`prompt-planner: ${error.message}\n`);
+                process.exitCode = 1;
+            }
+        );
+    }
+}
+
+module.exports = PlannerCli;
@@ -0,0 +1,86 @@
+// Copy Format - how "Copy Full Plan" turns blocks into text, and the presets for it.
+// Options:
+//   includeTitle   start with the plan title
+//   onlyUndone     skip blocks marked done
+//   onlySelected   only blocks selected in the editor
+//   numbered       number the blocks
+//   wrap           'none', 'xml' (<step> tags) or 'heading' (## heading per block)
+//   separator      text placed between blocks
+class CopyFormat {
+    static get defaults() {
+        return {
+            includeTitle: false,
+            onlyUndone: false,
+            onlySelected: false,
+            numbered: false,
+            wrap: 'none',
+            separator: '\n\n---\n\n'
+        };
+    }
+
+    static get builtInPresets() {
+        return [
+            { id: 'default', name: 'Everything', builtIn: true, options: {} },
+            { id: 'remaining', name: 'Remaining steps', builtIn: true, options: { onlyUndone: true, numbered: true } },
+            { id: 'xml', name: 'XML tags', builtIn: true, options: { includeTitle: true, wrap: 'xml', separator: '\n\n' } },
+            { id: 'selected', name: 'Selected blocks', builtIn: true, options: { onlySelected: true } }
+        ];
+    }
+
+    static presets(userPresets = []) {
+        return [...CopyFormat.builtInPresets, ...userPresets];
+    }
+
+    static getPreset(presetId, userPresets = []) {
+        const presets = CopyFormat.presets(userPresets);
+        return presets.find(preset => preset.id === presetId) || presets[0];
+    }
+
+    static blocksToCopy(plan, options, selectedIds = new Set()) {
+        return plan.blocks.filter(block =>
+            BlockTypes.isCopied(block) &&
+            block.content.trim() &&
+            !(options.onlyUndone && block.done) &&
+            !(options.onlySelected && !selectedIds.has(block.id))
+        );
+    }
+
+    static format(plan, options, selectedIds = new Set()) {
+        const settings = { ...CopyFormat.defaults, ...options };
+        const body = CopyFormat.blocksToCopy(plan, settings, selectedIds)
+            .map((block, index) => CopyFormat.formatBlock(block, index + 1, settings))
+            .join(settings.separator);
+
+        if (!settings.includeTitle || !body) return body;
+
+        return settings.wrap === 'xml'
+            ? `<plan title="${CopyFormat.escapeAttribute(plan.title)}">\n${body}\n</plan>`
+            : `# ${plan.title}\n\n${body}`;
+    }
+
+    static formatBlock(block, number, settings) {
+        const text = BlockTypes.textForCopy(block);
+
+        switch (settings.wrap) {
+            case 'xml':
+                return `<step${settings.numbered ? ` number="${number}"` : ''}>\n${text}\n</step>`;
+            case 'heading':
+                return `## ${settings.numbered ? `Step ${number}` : BlockTypes.get(BlockTypes.typeOf(block)).label}\n\n${text}`;
+            default:
+                return settings.numbered ? `Step ${number}:\n${text}` : text;
+        }
+    }
+
+    // The separator is edited as a one-line string with \n and \t escapes
+    static escapeSeparator(separator) {
+        return separator.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/\t/g, '\\t');
+    }
+
+    static unescapeSeparator(text) {
+        return text.replace(/\\([\\nt])/g, (match, char) => ({ n: '\n', t: '\t', '\\': '\\' })[char]);
+    }
+
+    static escapeAttribute(text) {
+        return text.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+    }
+}
@@ -0,0 +1,93 @@
+// Text Diff - line diffs between plan versions, matched block by block
+class TextDiff {
+    // Line-level diff via longest common subsequence.
+    // Returns [{ type: 'same' | 'add' | 'remove', text }]
+    static lines(oldText, newText) {
+        const oldLines = oldText ? oldText.split('\n') : [];
+        const newLines = newText ? newText.split('\n') : [];
+
+        // Very large inputs would make the LCS table too big; show a plain replace instead
+        if (oldLines.length * newLines.length > 1000000) {
+            return [
+                ...oldLines.map(text => ({ type: 'remove', text })),
+                ...newLines.map(text => ({ type: 'add', text }))
+            ];
+        }
+
+        const table = Array.from({ length: oldLines.length + 1 }, () => new Array(newLines.length + 1).fill(0));
+        for (let i = oldLines.length - 1; i >= 0; i--) {
+            for (let j = newLines.length - 1; j >= 0; j--) {
+                table[i][j] = oldLines[i] === newLines[j]
+                    ? table[i + 1][j + 1] + 1
+                    : Math.max(table[i + 1][j], table[i][j + 1]);
+            }
+        }
+
+        const result = [];
+        let i = 0;
+        let j = 0;
+        while (i < oldLines.length && j < newLines.length) {
+            if (oldLines[i] === newLines[j]) {
+                result.push({ type: 'same', text: oldLines[i] });
+                i++;
+                j++;
+            } else if (table[i + 1][j] >= table[i][j + 1]) {
+                result.push({ type: 'remove', text: oldLines[i++] });
+            } else {
+                result.push({ type: 'add', text: newLines[j++] });
+            }
+        }
+        while (i < oldLines.length) {
+            result.push({ type: 'remove', text: oldLines[i++] });
+        }
+        while (j < newLines.length) {
+            result.push({ type: 'add', text: newLines[j++] });
+        }
+
+        return result;
+    }
+
+    // Compare two block lists by block id, in the order of the old list with
+    // blocks that only exist in the new list slotted in after their predecessor.
+    // status: 'unchanged' | 'modified' | 'added' | 'removed'
+    static blocks(oldBlocks, newBlocks) {
+        const newById = new Map(newBlocks.map(block => [block.id, block]));
+        const oldIds = new Set(oldBlocks.map(block => block.id));
+        const entries = [];
+
+        oldBlocks.forEach((oldBlock, oldIndex) => {
+            const newBlock = newById.get(oldBlock.id);
+            if (!newBlock) {
+                entries.push({ status: 'removed', oldBlock, newBlock: null, oldIndex, lines: TextDiff.lines(oldBlock.content, '') });
+                return;
+            }
+
+            const changed = oldBlock.content !== newBlock.content || Boolean(oldBlock.done) !== Boolean(newBlock.done);
+            entries.push({
+                status: changed ? 'modified' : 'unchanged',
+                oldBlock,
+                newBlock,
+                oldIndex,
+                lines: TextDiff.lines(oldBlock.content, newBlock.content)
+            });
+        });
+
+        newBlocks.forEach((newBlock, newIndex) => {
+            if (oldIds.has(newBlock.id)) return;
+
+            const previousId = newIndex > 0 ? newBlocks[newIndex - 1].id : null;
+            const insertAt = previousId === null
+                ? 0
+                : entries.findIndex(entry => (entry.newBlock || entry.oldBlock).id === previousId) + 1;
+            entries.splice(insertAt, 0, {
+                status: 'added',
+                oldBlock: null,
+                newBlock,
+                oldIndex: -1,
+                lines: TextDiff.lines('', newBlock.content)
+            });
+        });
+
+        return entries;
+    }
+}
@@ -0,0 +1,47 @@
+// Fuzzy Match - subsequence matching for the command palette
+class FuzzyMatch {
+    // Returns { score, indices } when every query character appears in order
+    // in the text, or null. Higher scores mean a better match: consecutive
+    // characters and matches at word starts count extra, late starts cost a little.
+    static match(query, text) {
+        const needle = query.trim().toLowerCase();
+        if (!needle) return { score: 0, indices: [] };
+
+        const haystack = text.toLowerCase();
+        const indices = [];
+        let score = 0;
+        let position = 0;
+
+        for (const char of needle) {
+            if (char === ' ') continue;
+
+            const index = haystack.indexOf(char, position);
+            if (index === -1) return null;
+
+            const previous = indices[indices.length - 1];
+            if (previous !== undefined && index === previous + 1) {
+                score += 5;
+            }
+            if (index === 0 || /[\s:/_-]/.test(haystack[index - 1])) {
+                score += 3;
+            }
+            score += 1;
+
+            indices.push(index);
+            position = index + 1;
+        }
+
+        return { score: score - indices[0] * 0.1, indices };
+    }
+
+    // Escaped text with the matched characters wrapped in <mark>
+    static highlight(text, indices) {
+        const matched = new Set(indices);
+        return text.split('')
+            .map((char, index) => {
+                const escaped = PlanSearch.escapeHtml(char);
+                return matched.has(index) ? `<mark>${escaped}</mark>` : escaped;
+            })
+            .join('');
+    }
+}
@@ -0,0 +1,198 @@
+const { execFile } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const PlanStore = require('./plan-store');
+const PlanSchema = require('./plan-schema');
+
+// Optional git history of a save directory, kept with the git binary on the
+// PATH. Everything is local: no remote is added or contacted.
+//   .git/         made by `git init` the first time changes are committed
+//   .gitignore    keeps backups, snapshots, the trash and leftovers of atomic
+//                 writes out of the history; existing entries are kept
+// Commits use the user's git identity, or a stand-in when git has none.
+const IGNORED = ['backups/', 'snapshots/', 'trash/', '*.tmp', '*.damaged-*', '*.migrated'];
+const FALLBACK_IDENTITY = ['-c', 'user.name=Prompt Planner', '-c', 'user.email=prompt-planner@localhost'];
+const FIELD_SEPARATOR = '\x1f';
+const GIT_TIMEOUT = 60 * 1000;
+const MAX_TITLES = 3; // Plans named in a commit subject before "and N more"
+
+class GitStore {
+    constructor(saveDirectory) {
+        this.saveDirectory = saveDirectory;
+        this.planStore = new PlanStore(saveDirectory);
+    }
+
+    get ignorePath() {
+        return path.join(this.saveDirectory, '.gitignore');
+    }
+
+    // Resolves to stdout; rejects with git's own message
+    run(args) {
+        return new Promise((resolve, reject) => {
+            execFile('git', args, {
+                cwd: this.saveDirectory,
+                timeout: GIT_TIMEOUT,
+                maxBuffer: 64 * 1024 * 1024,
+                windowsHide: true
+            }, (error, stdout, stderr) => {
+                if (!error) {
+                    resolve(stdout);
+                } else if (error.code === 'ENOENT') {
+                    reject(new Error('git was not found. Install git to keep a history of your plans.'));
+                } else {
+                    reject(new Error((stderr || error.message).trim()));
+                }
+            });
+        });
+    }
+
+    // e.g. "git version 2.43.0"; rejects when git is missing
+    async version() {
+        return (await this.run(['--version'])).trim();
+    }
+
+    isRepository() {
+        return fs.existsSync(path.join(this.saveDirectory, '.git'));
+    }
+
+    async hasCommits() {
+        try {
+            await this.run(['rev-parse', '--verify', '--quiet', 'HEAD']);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async ensureRepository() {
+        fs.mkdirSync(this.saveDirectory, { recursive: true });
+        if (!this.isRepository()) {
+            await this.run(['init', '--quiet']);
+        }
+
+        const existing = fs.existsSync(this.ignorePath) ? fs.readFileSync(this.ignorePath, 'utf-8') : '';
+        const lines = existing.split(/\r?\n/);
+        const missing = IGNORED.filter(pattern => !lines.includes(pattern));
+        if (missing.length > 0) {
+            const separator = existing && !existing.endsWith('\n') ? '\n' : '';
+            fs.writeFileSync(this.ignorePath, `${existing}${separator}${missing.join('\n')}\n`);
+        }
+    }
+
+    async identityArgs() {
+        try {
+            await this.run(['config', 'user.email']);
+            return [];
+        } catch (error) {
+            return FALLBACK_IDENTITY;
+        }
+    }
+
+    // Path of a plan file as git sees it
+    planFile(planId) {
+        return path.relative(this.saveDirectory, this.planStore.planPath(planId)).split(path.sep).join('/');
+    }
+
+    // Commit everything that changed since the last commit. notes lead the
+    // message (e.g. a revert); the plans added, changed and deleted follow.
+    // Resolves to the new commit's hash, or null when nothing changed.
+    async commit(notes = []) {
+        await this.ensureRepository();
+        await this.run(['add', '--all']);
+
+        const changes = (await this.run(['diff', '--cached', '--name-status', '--no-renames']))
+            .split('\n')
+            .filter(Boolean)
+            .map(line => {
+                const [status, file] = line.split('\t');
+                return { status: status[0], file };
+            });
+        if (changes.length === 0) {
+            return null;
+        }
+
+        const summary = await this.describeChanges(changes);
+        const [subject, ...body] = [...notes, summary];
+        const messageArgs = [subject, ...body].flatMap(paragraph => ['-m', paragraph]);
+
+        await this.run([...await this.identityArgs(), 'commit', '--quiet', ...messageArgs]);
+        return (await this.run(['rev-parse', 'HEAD'])).trim();
+    }
+
+    // e.g. 'Update "Release notes", "Onboarding"; delete "Old draft"'
+    async describeChanges(changes) {
+        const groups = { A: [], M: [], D: [] };
+        for (const { status, file } of changes) {
+            const match = file.match(/^plans\/(.+)\.json$/);
+            if (match && groups[status]) {
+                groups[status].push(await this.titleOf(match[1], status === 'D' ? 'HEAD' : null));
+            }
+        }
+
+        const parts = [['A', 'add'], ['M', 'update'], ['D', 'delete']]
+            .filter(([status]) => groups[status].length > 0)
+            .map(([status, verb]) => {
+                const titles = groups[status].map(title => `"${title}"`);
+                const named = titles.slice(0, MAX_TITLES).join(', ');
+                const more = titles.length - MAX_TITLES;
+                return `${verb} ${named}${more > 0 ? ` and ${more} more plan${more === 1 ? '' : 's'}` : ''}`;
+            });
+
+        if (parts.length > 0) {
+            const sentence = parts.join('; ');
+            return sentence[0].toUpperCase() + sentence.slice(1);
+        }
+        return changes.every(({ file }) => file === 'index.json') ? 'Reorder plans' : 'Update workspace files';
+    }
+
+    // Title of a plan in the working tree, or at a commit
+    async titleOf(planId, revision = null) {
+        try {
+            const plan = revision
+                ? await this.planAt(planId, revision)
+                : JSON.parse(fs.readFileSync(this.planStore.planPath(planId), 'utf-8'));
+            return (plan && plan.title) || planId;
+        } catch (error) {
+            return planId;
+        }
+    }
+
+    // Commits touching a plan, newest first:
+    //   [{ hash, shortHash, author, date, subject }]
+    async planHistory(planId) {
+        if (!this.isRepository() || !(await this.hasCommits())) {
+            return [];
+        }
+
+        const format = ['%H', '%h', '%an', '%aI', '%s'].join(FIELD_SEPARATOR);
+        const output = await this.run(['log', `--format=${format}`, '--', this.planFile(planId)]);
+        return output.split('\n').filter(Boolean).map(line => {
+            const [hash, shortHash, author, date, subject] = line.split(FIELD_SEPARATOR);
+            return { hash, shortHash, author, date, subject };
+        });
+    }
+
+    // The plan as it was at a revision (a commit hash, optionally followed by ^),
+    // or null when the plan did not exist there
+    async planAt(planId, revision) {
+        if (!/^(HEAD|[0-9a-f]{4,40})\^?$/.test(revision)) {
+            throw new Error(`Invalid revision: ${revision}`);
+        }
+
+        const file = this.planFile(planId);
+        let listing;
+        try {
+            listing = await this.run(['ls-tree', '--name-only', revision, '--', file]);
+        } catch (error) {
+            // e.g. the parent of the first commit
+            return null;
+        }
+        if (!listing.trim()) {
+            return null;
+        }
+
+        return PlanSchema.validatePlan(JSON.parse(await this.run(['show', `${revision}:${file}`])));
+    }
+}
+
+module.exports = GitStore;
@@ -0,0 +1,75 @@
+// Undo/Redo History - command stack for plan and block mutations
+//
+// Every command is plain data so it survives plans being replaced in memory:
+//   { type: 'plan', planId, label, before, after, blockId, trashItem }
+//       before/after are full snapshots of a single plan
+//   { type: 'delete-plan', planId, label, plan, index, trashItem }
+//       plan is the removed plan, index its position in the plans list
+//   { type: 'move-block', planId, sourcePlanId, label, before, after, sourceBefore, sourceAfter, blockId }
+//       a block dragged from one plan into another; both plans are snapshotted
+//
+// Deletes carry the trashItem they created (a 'plan' command may too): undoing
+// takes it back out of the trash, redoing puts it back in.
+class HistoryManager {
+    constructor(limit = 200, coalesceWindow = 1000) {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.limit = limit;
+        this.coalesceWindow = coalesceWindow; // ms between keystrokes in one typing burst
+    }
+
+    static clone(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+
+    // Record a command. Commands sharing a coalesceKey within the typing
+    // window are merged so one burst of typing undoes in a single step.
+    record(command) {
+        const now = Date.now();
+        const last = this.undoStack[this.undoStack.length - 1];
+
+        if (command.coalesceKey && last && last.coalesceKey === command.coalesceKey &&
+            now - last.timestamp < this.coalesceWindow) {
+            last.after = command.after;
+            last.timestamp = now;
+            this.redoStack = [];
+            return last;
+        }
+
+        const entry = { ...command, timestamp: now };
+        this.undoStack.push(entry);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        return entry;
+    }
+
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+        command.coalesceKey = null;
+        this.redoStack.push(command);
+        return command;
+    }
+
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+        this.undoStack.push(command);
+        return command;
+    }
+
+    // Drop every step touching a plan, e.g. after it was reloaded from disk
+    // and the recorded snapshots no longer describe it
+    forgetPlan(planId) {
+        const touches = command => command.planId === planId || command.sourcePlanId === planId;
+        this.undoStack = this.undoStack.filter(command => !touches(command));
+        this.redoStack = this.redoStack.filter(command => !touches(command));
+    }
+}
+
+// Also loaded by the tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HistoryManager;
+}
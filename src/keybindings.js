@@ -0,0 +1,98 @@
+// Keybindings - key combos written as strings like "Ctrl+Shift+P".
+// Modifiers always come in the order Ctrl, Alt, Shift; Cmd on macOS counts as Ctrl.
+class Keybindings {
+    static get defaults() {
+        return {
+            commandPalette: 'Ctrl+Shift+P',
+            newPlan: 'Ctrl+N',
+            closePlan: 'Ctrl+W',
+            nextTab: 'Ctrl+Tab',
+            previousTab: 'Ctrl+Shift+Tab',
+            toggleSplit: 'Ctrl+\\',
+            addBlock: 'Ctrl+Shift+Enter',
+            splitBlock: 'Alt+Enter',
+            copyBlock: 'Ctrl+Alt+C',
+            copyFullPlan: 'Ctrl+Shift+C',
+            copyNextStep: 'Ctrl+Shift+N',
+            runBlock: 'Ctrl+R',
+            toggleView: 'Ctrl+E',
+            toggleBlockDone: 'Ctrl+Enter',
+            toggleBlockCollapsed: 'Ctrl+.',
+            nextBlock: 'Alt+ArrowDown',
+            previousBlock: 'Alt+ArrowUp',
+            undo: 'Ctrl+Z',
+            redo: 'Ctrl+Shift+Z',
+            focusSearch: 'Ctrl+F',
+            openSettings: 'Ctrl+,'
+        };
+    }
+
+    // Defaults with the user's overrides applied; an empty override unbinds the command
+    static resolve(overrides) {
+        const bindings = { ...Keybindings.defaults };
+        Object.entries(overrides || {}).forEach(([commandId, combo]) => {
+            bindings[commandId] = combo ? Keybindings.normalize(combo) : '';
+        });
+        return bindings;
+    }
+
+    static fromEvent(e) {
+        if (['Control', 'Meta', 'Alt', 'Shift'].includes(e.key)) return null;
+
+        let key = e.key;
+        if (/^Key[A-Z]$/.test(e.code)) {
+            key = e.code.slice(3);
+        } else if (/^Digit\d$/.test(e.code)) {
+            key = e.code.slice(5);
+        } else if (key === ' ') {
+            key = 'Space';
+        } else if (key.length === 1) {
+            key = key.toUpperCase();
+        }
+
+        return Keybindings.join({
+            ctrl: e.ctrlKey || e.metaKey,
+            alt: e.altKey,
+            shift: e.shiftKey,
+            key
+        });
+    }
+
+    static normalize(combo) {
+        const parts = combo.split('+').map(part => part.trim());
+        // A trailing "+" key leaves an empty last part, e.g. "Ctrl++"
+        const key = parts.pop() || '+';
+        const modifiers = parts.map(part => part.toLowerCase());
+
+        return Keybindings.join({
+            ctrl: modifiers.some(part => ['ctrl', 'control', 'cmd', 'meta', 'mod'].includes(part)),
+            alt: modifiers.some(part => ['alt', 'option'].includes(part)),
+            shift: modifiers.includes('shift'),
+            key: key.length === 1 ? key.toUpperCase() : key.charAt(0).toUpperCase() + key.slice(1)
+        });
+    }
+
+    static join({ ctrl, alt, shift, key }) {
+        return [ctrl && 'Ctrl', alt && 'Alt', shift && 'Shift', key].filter(Boolean).join('+');
+    }
+
+    // Command id bound to the pressed combo, or null
+    static match(bindings, e) {
+        const combo = Keybindings.fromEvent(e);
+        if (!combo) return null;
+
+        const entry = Object.entries(bindings).find(([, bound]) => bound === combo);
+        return entry ? entry[0] : null;
+    }
+
+    static format(combo) {
+        if (!combo) return '';
+        const isMac = navigator.platform.toUpperCase().includes('MAC');
+        return combo
+            .replace(/^Ctrl\+/, isMac ? '⌘+' : 'Ctrl+')
+            .replace('ArrowUp', '↑')
+            .replace('ArrowDown', '↓')
+            .replace('ArrowLeft', '←')
+            .replace('ArrowRight', '→');
+    }
+}
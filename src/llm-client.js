@@ -0,0 +1,100 @@
+// Streaming chat requests to a model endpoint. Used from the main process only,
+// so API keys never reach the renderer.
+//   api 'openai'  POST <url>/chat/completions, streamed as server-sent events
+//   api 'ollama'  POST <url>/api/chat, streamed as newline-delimited JSON
+const DEFAULT_URLS = {
+    openai: 'http://localhost:8080/v1',
+    ollama: 'http://localhost:11434'
+};
+
+class LlmClient {
+    constructor({ api = 'openai', url = '', model = '', apiKey = '' } = {}) {
+        this.api = api === 'ollama' ? 'ollama' : 'openai';
+        this.url = url;
+        this.model = model;
+        this.apiKey = apiKey;
+    }
+
+    static get defaultUrls() {
+        return DEFAULT_URLS;
+    }
+
+    get endpoint() {
+        const base = (this.url || DEFAULT_URLS[this.api]).replace(/\/+$/, '');
+        return this.api === 'ollama' ? `${base}/api/chat` : `${base}/chat/completions`;
+    }
+
+    // Send messages ([{ role, content }]) and stream the reply, calling onChunk
+    // with each piece of text as it arrives. Resolves to the whole reply.
+    async chat(messages, onChunk, signal) {
+        if (!this.model) {
+            throw new Error('No model configured. Set one in Settings.');
+        }
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+
+        const response = await fetch(this.endpoint, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ model: this.model, messages, stream: true }),
+            signal
+        });
+
+        if (!response.ok) {
+            const body = await response.text().catch(() => '');
+            throw new Error(`${response.status} ${response.statusText}${body ? `: ${body.slice(0, 300)}` : ''}`);
+        }
+
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let output = '';
+        const handleLine = line => {
+            const text = this.parseLine(line);
+            if (text) {
+                output += text;
+                onChunk(text);
+            }
+        };
+
+        for await (const bytes of response.body) {
+            buffer += decoder.decode(bytes, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.forEach(handleLine);
+        }
+        handleLine(buffer + decoder.decode());
+
+        return output;
+    }
+
+    // Text carried by one line of the stream, or '' for keep-alives and end markers
+    parseLine(line) {
+        const trimmed = line.trim();
+        if (!trimmed) return '';
+
+        if (this.api === 'ollama') {
+            const data = JSON.parse(trimmed);
+            if (data.error) {
+                throw new Error(data.error);
+            }
+            return (data.message && data.message.content) || '';
+        }
+
+        if (!trimmed.startsWith('data:')) return '';
+
+        const payload = trimmed.slice(5).trim();
+        if (payload === '[DONE]') return '';
+
+        const data = JSON.parse(payload);
+        if (data.error) {
+            throw new Error(data.error.message || String(data.error));
+        }
+        const choice = data.choices && data.choices[0];
+        return (choice && choice.delta && choice.delta.content) || '';
+    }
+}
+
+module.exports = LlmClient;
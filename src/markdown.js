@@ -0,0 +1,226 @@
+// Plan <-> Markdown conversion.
+//
+// Plans are written with YAML front matter holding the plan fields, and each
+// block's content wrapped verbatim in comment markers carrying its metadata:
+//
+//   ---
+//   format: "prompt-planner/2"
+//   id: "1700000000000"
+//   title: "My plan"
+//   ...
+//   ---
+//
+//   # My plan
+//
+//   ## Block 1 (Completed)
+//
+//   <!-- block {"id":"1700000000001","done":true,"collapsed":false} -->
+//   content, exactly as stored
+//   <!-- /block 1700000000001 -->
+//
+// Front matter values are JSON, which is also valid YAML. Headings outside the
+// markers are only there for people reading the file and are ignored on import.
+// Content lines that look like a closing marker get one extra leading backslash,
+// removed again on import, so block content can never end its block early.
+// Files in the older "## Block N" layout are still read, though lossily.
+const MARKDOWN_FORMAT = 'prompt-planner/2';
+const BLOCK_START = /^<!-- block (\{.*\}) -->$/;
+const BLOCK_END_LIKE = /^\\*<!-- \/block /;
+const BLOCK_END_ESCAPED = /^\\+<!-- \/block /;
+
+class PlanMarkdown {
+    static generate(plan) {
+        const { blocks, ...fields } = plan;
+        const lines = ['---', `format: ${JSON.stringify(MARKDOWN_FORMAT)}`];
+
+        Object.entries(fields).forEach(([key, value]) => {
+            if (value !== undefined) {
+                lines.push(`${key}: ${JSON.stringify(value)}`);
+            }
+        });
+        lines.push('---', '', `# ${plan.title}`, '');
+
+        blocks.forEach((block, index) => {
+            const { content, ...meta } = block;
+            const labels = [
+                block.type && block.type !== 'prompt' ? ` (${block.type})` : '',
+                block.done ? ' (Completed)' : ''
+            ];
+            lines.push(`## Block ${index + 1}${labels.join('')}`, '');
+            lines.push(`<!-- block ${JSON.stringify(meta)} -->`);
+            if (content) {
+                lines.push(PlanMarkdown.escapeContent(content));
+            }
+            lines.push(`<!-- /block ${block.id} -->`, '');
+        });
+
+        return lines.join('\n');
+    }
+
+    static escapeContent(content) {
+        return content.split('\n').map(line => BLOCK_END_LIKE.test(line) ? `\\${line}` : line).join('\n');
+    }
+
+    static unescapeContent(content) {
+        return content.split('\n').map(line => BLOCK_END_ESCAPED.test(line) ? line.slice(1) : line).join('\n');
+    }
+
+    static parse(content, fileName) {
+        const text = content.replace(/\r\n/g, '\n');
+        const frontMatter = text.match(/^---\n([\s\S]*?)\n---(?:\n|$)/);
+
+        if (frontMatter) {
+            return PlanMarkdown.parseWithFrontMatter(frontMatter[1], text.slice(frontMatter[0].length), fileName);
+        }
+        return PlanMarkdown.parseLegacy(text, fileName);
+    }
+
+    static parseFrontMatter(source) {
+        const fields = {};
+
+        source.split('\n').forEach(line => {
+            const match = line.match(/^([\w-]+):\s*(.*)$/);
+            if (!match) return;
+
+            const [, key, raw] = match;
+            try {
+                fields[key] = JSON.parse(raw);
+            } catch (error) {
+                // Hand-written YAML: plain scalars and simple [a, b] lists
+                fields[key] = /^\[.*\]$/.test(raw)
+                    ? raw.slice(1, -1).split(',').map(item => item.trim()).filter(Boolean)
+                    : raw.trim();
+            }
+        });
+
+        return fields;
+    }
+
+    static parseWithFrontMatter(frontMatter, body, fileName) {
+        const { format, ...fields } = PlanMarkdown.parseFrontMatter(frontMatter);
+        const lines = body.split('\n');
+        const blocks = [];
+
+        for (let i = 0; i < lines.length; i++) {
+            const start = lines[i].match(BLOCK_START);
+            if (!start) continue;
+
+            const meta = JSON.parse(start[1]);
+            const end = `<!-- /block ${meta.id} -->`;
+            const contentLines = [];
+
+            i++;
+            while (i < lines.length && lines[i] !== end) {
+                contentLines.push(lines[i]);
+                i++;
+            }
+            if (i === lines.length) {
+                throw new Error(`Block ${meta.id} is missing its closing marker`);
+            }
+
+            blocks.push({
+                ...meta,
+                id: PlanMarkdown.cleanId(meta.id, Date.now().toString() + blocks.length),
+                content: PlanMarkdown.unescapeContent(contentLines.join('\n'))
+            });
+        }
+
+        // Hand-written front matter may hold numbers where text belongs (title: 42)
+        const text = value => (typeof value === 'string' || typeof value === 'number' ? String(value) : '');
+        return {
+            ...fields,
+            id: PlanMarkdown.cleanId(fields.id, Date.now().toString()),
+            title: text(fields.title) || PlanMarkdown.titleFromFileName(fileName),
+            createdAt: fields.createdAt || new Date().toISOString(),
+            tags: Array.isArray(fields.tags) ? fields.tags.map(text).filter(Boolean) : [],
+            folder: text(fields.folder),
+            blocks
+        };
+    }
+
+    // Ids end up in file names and markup, so anything unusual gets a fresh one
+    static cleanId(id, fallback) {
+        return id !== undefined && /^[\w.-]+$/.test(String(id)) ? String(id) : fallback;
+    }
+
+    // The "## Block N" layout written before front matter was introduced
+    static parseLegacy(content, fileName) {
+        const lines = content.split('\n');
+        const title = lines[0]?.replace(/^#\s+/, '') || PlanMarkdown.titleFromFileName(fileName);
+
+        const blocks = [];
+        let currentBlock = null;
+        let inBlock = false;
+        let folder = '';
+        let tags = [];
+
+        lines.forEach((line, index) => {
+            if (index === 0) return; // Skip title line
+
+            const folderMatch = !currentBlock && line.match(/^\*Folder: (.*)\*$/);
+            const tagsMatch = !currentBlock && line.match(/^\*Tags: (.*)\*$/);
+
+            if (folderMatch) {
+                folder = folderMatch[1].trim();
+            } else if (tagsMatch) {
+                tags = tagsMatch[1].split(',').map(tag => tag.trim()).filter(Boolean);
+            } else if (line.startsWith('## Block')) {
+                if (currentBlock && currentBlock.content.trim()) {
+                    blocks.push(currentBlock);
+                }
+
+                const isDone = line.includes('(Completed)');
+                currentBlock = {
+                    id: Date.now().toString() + index,
+                    content: '',
+                    done: isDone,
+                    collapsed: false
+                };
+                inBlock = true;
+            } else if (line === '---') {
+                inBlock = false;
+            } else if (inBlock && currentBlock && line.trim() !== '') {
+                const cleanLine = line.replace(/^~~|~~$/g, '').trim();
+                if (cleanLine !== '*Empty block*') {
+                    currentBlock.content += (currentBlock.content ? '\n' : '') + cleanLine;
+                }
+            }
+        });
+
+        if (currentBlock && currentBlock.content.trim()) {
+            blocks.push(currentBlock);
+        }
+
+        if (blocks.length === 0) {
+            blocks.push({
+                id: Date.now().toString(),
+                content: content,
+                done: false,
+                collapsed: false
+            });
+        }
+
+        return {
+            id: Date.now().toString(),
+            title: title,
+            createdAt: new Date().toISOString(),
+            tags: tags,
+            folder: folder,
+            blocks: blocks
+        };
+    }
+
+    // File name used when exporting a plan
+    static fileName(plan) {
+        return `${plan.title.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_${plan.id}.md`;
+    }
+
+    static titleFromFileName(fileName) {
+        return (fileName || 'Imported plan').replace(/\.(md|txt)$/i, '');
+    }
+}
+
+// Also loaded by the renderer as a plain script
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PlanMarkdown;
+}
@@ -0,0 +1,357 @@
+const http = require('http');
+const readline = require('readline');
+const PlanStore = require('./plan-store');
+const BackupStore = require('./backup-store');
+const SnippetStore = require('./snippet-store');
+const PlanQuery = require('./plan-query');
+const BlockTypes = require('./block-types');
+const Snippets = require('./snippets');
+
+// Model Context Protocol server, so coding agents can fetch the next step and
+// report back. Speaks JSON-RPC 2.0 over stdio (one message per line) or HTTP
+// POST to /mcp on localhost. Every tool call reads the save directory afresh and
+// writes through PlanStore, so a running app updates through its directory watcher.
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+const SERVER_INFO = { name: 'prompt-planner', version: require('../package.json').version };
+const MAX_BODY_SIZE = 1024 * 1024;
+
+const PLAN_PARAM = { type: ['string', 'number'], description: 'Plan id, number from list_plans, or title' };
+const BLOCK_PARAM = { type: ['string', 'number'], description: 'Block id, or block number (1 is the first block)' };
+
+const TOOLS = [
+    {
+        name: 'list_plans',
+        description: 'List the prompt plans with their ids and how many blocks are done.',
+        inputSchema: { type: 'object', properties: {} }
+    },
+    {
+        name: 'read_plan',
+        description: 'Read a plan and all of its blocks. Note blocks are for people and not part of the work.',
+        inputSchema: { type: 'object', properties: { plan: PLAN_PARAM }, required: ['plan'] }
+    },
+    {
+        name: 'next_block',
+        description: 'Get the next step of a plan: the first block that is not done yet.',
+        inputSchema: { type: 'object', properties: { plan: PLAN_PARAM }, required: ['plan'] }
+    },
+    {
+        name: 'mark_block_done',
+        description: 'Mark a block done once its step is finished, or not done again with done: false.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                plan: PLAN_PARAM,
+                block: BLOCK_PARAM,
+                done: { type: 'boolean', description: 'Defaults to true' }
+            },
+            required: ['plan', 'block']
+        }
+    },
+    {
+        name: 'append_to_block',
+        description: 'Attach text to a block. A "result" is shown as the block\'s output; ' +
+            'a "note" is added as a note block right after it.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                plan: PLAN_PARAM,
+                block: BLOCK_PARAM,
+                text: { type: 'string' },
+                kind: { type: 'string', enum: ['result', 'note'], description: 'Defaults to result' }
+            },
+            required: ['plan', 'block', 'text']
+        }
+    }
+];
+
+class McpServer {
+    // getSaveDirectory is called per request, as the app's save location can change
+    constructor(getSaveDirectory) {
+        this.getSaveDirectory = getSaveDirectory;
+        this.clientName = null;
+    }
+
+    static get defaultPort() {
+        return 7345;
+    }
+
+    static rpcError(code, message) {
+        return Object.assign(new Error(message), { code });
+    }
+
+    get store() {
+        return new PlanStore(this.getSaveDirectory());
+    }
+
+    // Response for a JSON-RPC message, or null when none is due (notifications, replies)
+    handleMessage(message) {
+        if (!message || typeof message !== 'object' || typeof message.method !== 'string') {
+            const id = message && message.id !== undefined ? message.id : null;
+            return message && (message.result !== undefined || message.error !== undefined)
+                ? null
+                : { jsonrpc: '2.0', id, error: { code: -32600, message: 'Invalid request' } };
+        }
+
+        const isNotification = message.id === undefined;
+        try {
+            const result = this.handleRequest(message.method, message.params || {});
+            return isNotification ? null : { jsonrpc: '2.0', id: message.id, result };
+        } catch (error) {
+            if (!error.code) {
+                console.error(`Error handling ${message.method}:`, error);
+            }
+            return isNotification
+                ? null
+                : { jsonrpc: '2.0', id: message.id, error: { code: error.code || -32603, message: error.message } };
+        }
+    }
+
+    handleRequest(method, params) {
+        switch (method) {
+            case 'initialize':
+                this.clientName = (params.clientInfo && params.clientInfo.name) || null;
+                return {
+                    protocolVersion: PROTOCOL_VERSIONS.includes(params.protocolVersion)
+                        ? params.protocolVersion
+                        : PROTOCOL_VERSIONS[0],
+                    capabilities: { tools: {} },
+                    serverInfo: SERVER_INFO,
+                    instructions: 'Work through a plan with next_block, then mark_block_done when the step is finished.'
+                };
+            case 'ping':
+                return {};
+            case 'tools/list':
+                return { tools: TOOLS };
+            case 'tools/call':
+                return this.callTool(params.name, params.arguments || {});
+            default:
+                if (method.startsWith('notifications/')) return {};
+                throw McpServer.rpcError(-32601, `Method not found: ${method}`);
+        }
+    }
+
+    // Tool failures are results with isError, so the agent gets to read the message
+    callTool(name, args) {
+        const tools = {
+            list_plans: () => this.listPlans(),
+            read_plan: () => this.readPlan(args),
+            next_block: () => this.nextBlock(args),
+            mark_block_done: () => this.markBlockDone(args),
+            append_to_block: () => this.appendToBlock(args)
+        };
+        if (!tools[name]) {
+            throw McpServer.rpcError(-32602, `Unknown tool: ${name}`);
+        }
+
+        try {
+            const result = tools[name]();
+            const text = typeof result === 'string' ? result : JSON.stringify(result, null, 2);
+            return { content: [{ type: 'text', text }] };
+        } catch (error) {
+            return { content: [{ type: 'text', text: error.message }], isError: true };
+        }
+    }
+
+    loadPlans() {
+        return this.store.loadPlans() || [];
+    }
+
+    // Backed up like the app's own saves; a failed backup does not fail the tool call
+    savePlan(store, plan) {
+        store.updatePlan(plan);
+        try {
+            new BackupStore(this.getSaveDirectory()).backUp();
+        } catch (error) {
+            console.error('Error backing up plans:', error);
+        }
+    }
+
+    expand(text) {
+        const snippets = new SnippetStore(this.getSaveDirectory()).loadSnippets();
+        return Snippets.expand(text, new Map(snippets.map(snippet => [snippet.name, snippet.content])));
+    }
+
+    describeBlock(plan, block) {
+        return {
+            number: plan.blocks.indexOf(block) + 1,
+            id: block.id,
+            type: BlockTypes.typeOf(block),
+            done: Boolean(block.done),
+            content: this.expand(block.content)
+        };
+    }
+
+    listPlans() {
+        return this.loadPlans().map((plan, index) => PlanQuery.summary(plan, index));
+    }
+
+    readPlan({ plan: reference }) {
+        const plan = PlanQuery.findPlan(this.loadPlans(), reference);
+        return {
+            id: plan.id,
+            title: plan.title,
+            blocks: plan.blocks.map(block => this.describeBlock(plan, block))
+        };
+    }
+
+    nextBlock({ plan: reference }) {
+        const plan = PlanQuery.findPlan(this.loadPlans(), reference);
+        const block = PlanQuery.nextBlock(plan);
+        if (!block) {
+            return `All blocks in "${plan.title}" are done.`;
+        }
+
+        const remaining = plan.blocks.filter(b => BlockTypes.isCopied(b) && b.content.trim() && !b.done).length;
+        return { planId: plan.id, remaining, ...this.describeBlock(plan, block) };
+    }
+
+    markBlockDone({ plan: planReference, block: blockReference, done = true }) {
+        const store = this.store;
+        const plan = PlanQuery.findPlan(store.loadPlans() || [], planReference);
+        const block = PlanQuery.findBlock(plan, blockReference);
+
+        if (Boolean(block.done) !== Boolean(done)) {
+            block.done = Boolean(done);
+            this.savePlan(store, plan);
+        }
+        return `Block ${plan.blocks.indexOf(block) + 1} of "${plan.title}" is ${block.done ? 'done' : 'not done'}.`;
+    }
+
+    appendToBlock({ plan: planReference, block: blockReference, text, kind = 'result' }) {
+        if (typeof text !== 'string' || !text.trim()) {
+            throw new Error('text must not be empty');
+        }
+        if (!['result', 'note'].includes(kind)) {
+            throw new Error('kind must be "result" or "note"');
+        }
+
+        const store = this.store;
+        const plan = PlanQuery.findPlan(store.loadPlans() || [], planReference);
+        const block = PlanQuery.findBlock(plan, blockReference);
+        const number = plan.blocks.indexOf(block) + 1;
+
+        if (kind === 'result') {
+            // Same shape as a model run's output, so the app shows it under the block
+            block.output = {
+                text,
+                model: this.clientName || 'MCP client',
+                createdAt: new Date().toISOString(),
+                collapsed: false
+            };
+        } else {
+            plan.blocks.splice(number, 0, {
+                id: this.newBlockId(plan),
+                type: 'note',
+                content: text,
+                done: false,
+                collapsed: false
+            });
+        }
+
+        this.savePlan(store, plan);
+        return kind === 'result'
+            ? `Result attached to block ${number} of "${plan.title}".`
+            : `Note added after block ${number} of "${plan.title}".`;
+    }
+
+    newBlockId(plan) {
+        let id = Date.now();
+        while (plan.blocks.some(block => block.id === String(id))) {
+            id++;
+        }
+        return String(id);
+    }
+
+    serveStdio(input, output) {
+        const lines = readline.createInterface({ input, terminal: false });
+        lines.on('line', line => {
+            if (!line.trim()) return;
+
+            let response;
+            try {
+                response = this.handleMessage(JSON.parse(line));
+            } catch (error) {
+                response = { jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } };
+            }
+            if (response) {
+                output.write(`${JSON.stringify(response)}\n`);
+            }
+        });
+        return lines;
+    }
+
+    // Listens on localhost only; resolves to the endpoint URL
+    listen(port, host = '127.0.0.1') {
+        const server = http.createServer((request, response) => this.handleHttp(request, response));
+
+        return new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, host, () => {
+                server.removeListener('error', reject);
+                this.httpServer = server;
+                resolve(`http://${host}:${server.address().port}/mcp`);
+            });
+        });
+    }
+
+    close() {
+        if (this.httpServer) {
+            this.httpServer.close();
+            this.httpServer = null;
+        }
+    }
+
+    handleHttp(request, response) {
+        const send = (status, body, headers = {}) => {
+            response.writeHead(status, { ...headers, ...(body ? { 'Content-Type': 'application/json' } : {}) });
+            response.end(body ? JSON.stringify(body) : undefined);
+        };
+
+        // Web pages can reach localhost too; only accept requests no page could have sent
+        const origin = request.headers.origin;
+        if (origin && !/^https?:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/.test(origin)) {
+            send(403, { error: 'Forbidden origin' });
+            return;
+        }
+        if (request.url.split('?')[0] !== '/mcp') {
+            send(404, { error: 'Not found' });
+            return;
+        }
+        if (request.method !== 'POST') {
+            send(405, { error: 'Method not allowed' }, { Allow: 'POST' });
+            return;
+        }
+
+        let body = '';
+        request.setEncoding('utf-8');
+        request.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_SIZE) {
+                send(413, { error: 'Request too large' });
+                request.destroy();
+            }
+        });
+        request.on('end', () => {
+            if (response.writableEnded) return;
+
+            let message;
+            try {
+                message = JSON.parse(body);
+            } catch (error) {
+                send(400, { jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
+                return;
+            }
+
+            const responses = (Array.isArray(message) ? message : [message])
+                .map(item => this.handleMessage(item))
+                .filter(Boolean);
+            if (responses.length === 0) {
+                send(202);
+            } else {
+                send(200, Array.isArray(message) ? responses : responses[0]);
+            }
+        });
+    }
+}
+
+module.exports = McpServer;
@@ -0,0 +1,36 @@
+// Template Placeholders - {{name}} tokens in block content.
+// {{> name}} is a snippet include (see snippets.js), not a placeholder.
+class Placeholders {
+    static get pattern() {
+        return /\{\{(?!\s*>)\s*([^{}\n]+?)\s*\}\}/g;
+    }
+
+    // Distinct placeholder names in order of first appearance
+    static find(text) {
+        const names = [];
+        for (const match of (text || '').matchAll(Placeholders.pattern)) {
+            if (!names.includes(match[1])) {
+                names.push(match[1]);
+            }
+        }
+        return names;
+    }
+
+    // Substitute values; placeholders without a value are left untouched
+    static fill(text, values) {
+        return text.replace(Placeholders.pattern, (token, name) => {
+            const value = values[name];
+            return value === undefined || value === '' ? token : value;
+        });
+    }
+
+    // Wrap placeholders in rendered HTML, leaving tags and attributes alone
+    static highlight(html) {
+        return html
+            .split(/(<[^>]*>)/)
+            .map(part => part.startsWith('<')
+                ? part
+                : part.replace(Placeholders.pattern, token => `<span class="placeholder-token">${token}</span>`))
+            .join('');
+    }
+}
@@ -0,0 +1,59 @@
+const BlockTypes = require('./block-types');
+
+// Finding plans and blocks from the references people and agents type: ids,
+// 1-based numbers or plan titles. Shared by the CLI and the MCP server.
+class PlanQuery {
+    // By id, then by number in sidebar order, then by title (ignoring case)
+    static findPlan(plans, reference) {
+        if (reference === undefined || reference === null || reference === '') {
+            throw new Error('Which plan? Give its number, id or title.');
+        }
+
+        const text = String(reference);
+        const plan = plans.find(p => p.id === text) ||
+            (/^\d+$/.test(text) ? plans[Number(text) - 1] : null);
+        if (plan) return plan;
+
+        const matches = plans.filter(p => p.title.toLowerCase() === text.toLowerCase());
+        if (matches.length > 1) {
+            throw new Error(`${matches.length} plans are titled "${text}"; use the plan id instead`);
+        }
+        if (matches.length === 0) {
+            throw new Error(`No plan "${text}"`);
+        }
+        return matches[0];
+    }
+
+    static findBlock(plan, reference) {
+        if (reference === undefined || reference === null || reference === '') {
+            throw new Error('Which block? Give its number or id.');
+        }
+
+        const text = String(reference);
+        const block = plan.blocks.find(b => b.id === text) ||
+            (/^\d+$/.test(text) ? plan.blocks[Number(text) - 1] : null);
+        if (!block) {
+            throw new Error(`"${plan.title}" has no block ${text}`);
+        }
+        return block;
+    }
+
+    // The first block that would be copied and is not done yet, or null
+    static nextBlock(plan) {
+        return plan.blocks.find(block => BlockTypes.isCopied(block) && block.content.trim() && !block.done) || null;
+    }
+
+    static summary(plan, index) {
+        return {
+            number: index + 1,
+            id: plan.id,
+            title: plan.title,
+            folder: plan.folder || '',
+            tags: plan.tags || [],
+            done: plan.blocks.filter(block => block.done).length,
+            blocks: plan.blocks.length
+        };
+    }
+}
+
+module.exports = PlanQuery;
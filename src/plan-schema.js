@@ -0,0 +1,88 @@
+// Shape of the files in a save directory, checked whenever they are read so a
+// damaged or hand-broken file is reported instead of loading as an empty list.
+// The schema version is recorded in index.json and in every backup. Files from a
+// newer version of the app are refused rather than half understood.
+const SCHEMA_VERSION = 1;
+const ID_PATTERN = /^[\w.-]+$/;
+
+function isObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+class PlanSchema {
+    static get version() {
+        return SCHEMA_VERSION;
+    }
+
+    // Ids become file names and appear in markup. Older plans used numbers.
+    static isValidId(id) {
+        return (typeof id === 'string' || typeof id === 'number') && ID_PATTERN.test(String(id));
+    }
+
+    static checkVersion(version) {
+        if (version === undefined) return;
+        if (!Number.isInteger(version)) {
+            throw new Error(`Unknown format version ${JSON.stringify(version)}`);
+        }
+        if (version > SCHEMA_VERSION) {
+            throw new Error(`Written by a newer version of Prompt Planner (format ${version})`);
+        }
+    }
+
+    // Each validator returns its argument, or throws naming the first problem found
+    static validatePlan(plan) {
+        if (!isObject(plan)) {
+            throw new Error('Not a plan');
+        }
+        if (!PlanSchema.isValidId(plan.id)) {
+            throw new Error(`Invalid plan id ${JSON.stringify(plan.id)}`);
+        }
+        if (plan.title !== undefined && typeof plan.title !== 'string') {
+            throw new Error('Title is not text');
+        }
+        if (plan.folder !== undefined && typeof plan.folder !== 'string') {
+            throw new Error('Folder is not text');
+        }
+        if (plan.tags !== undefined && !(Array.isArray(plan.tags) && plan.tags.every(tag => typeof tag === 'string'))) {
+            throw new Error('Tags are not a list of text');
+        }
+        if (!Array.isArray(plan.blocks)) {
+            throw new Error('Blocks are missing');
+        }
+
+        plan.blocks.forEach((block, index) => {
+            if (!isObject(block) || !PlanSchema.isValidId(block.id)) {
+                throw new Error(`Block ${index + 1} is missing a valid id`);
+            }
+            if (block.content !== undefined && typeof block.content !== 'string') {
+                throw new Error(`Block ${index + 1} content is not text`);
+            }
+        });
+        return plan;
+    }
+
+    static validateIndex(index) {
+        if (!isObject(index)) {
+            throw new Error('Not a plan index');
+        }
+        PlanSchema.checkVersion(index.version);
+        if (index.order !== undefined && !Array.isArray(index.order)) {
+            throw new Error('Plan order is not a list');
+        }
+        return index;
+    }
+
+    static validateBackup(backup) {
+        if (!isObject(backup) || !Array.isArray(backup.order) || !Array.isArray(backup.plans)) {
+            throw new Error('Not a backup');
+        }
+        PlanSchema.checkVersion(backup.version);
+        backup.plans.forEach(plan => PlanSchema.validatePlan(plan));
+        return backup;
+    }
+}
+
+// Also loaded by the renderer as a plain script
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PlanSchema;
+}
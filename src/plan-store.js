@@ -0,0 +1,237 @@
+const fs = require('fs');
+const path = require('path');
+const PlanSchema = require('./plan-schema');
+
+// On-disk layout of a save directory:
+//   index.json        { version, order: [planId, ...] } - sidebar ordering
+//   plans/<id>.json   one file per plan
+//   plans.json        legacy single-file format, migrated on first load
+//   snapshots/        per-plan history, see snapshot-store.js
+//   backups/          rotating copies of every plan, see backup-store.js
+//   trash/            deleted plans and blocks, see trash-store.js
+//   .git/             optional history of the plans, see git-store.js
+//
+// A file that does not parse or fails validation is never written over or
+// deleted: it is renamed to <name>.damaged-<timestamp> first.
+const INDEX_FILE = 'index.json';
+const PLANS_DIR = 'plans';
+const LEGACY_FILE = 'plans.json';
+
+class PlanStore {
+    constructor(saveDirectory) {
+        this.saveDirectory = saveDirectory;
+    }
+
+    get indexPath() {
+        return path.join(this.saveDirectory, INDEX_FILE);
+    }
+
+    get plansDirectory() {
+        return path.join(this.saveDirectory, PLANS_DIR);
+    }
+
+    get legacyPath() {
+        return path.join(this.saveDirectory, LEGACY_FILE);
+    }
+
+    planPath(planId) {
+        const id = String(planId);
+        if (!/^[\w.-]+$/.test(id) || id.startsWith('.')) {
+            throw new Error(`Invalid plan id: ${id}`);
+        }
+        return path.join(this.plansDirectory, `${id}.json`);
+    }
+
+    // Write to a temp file next to the target and rename it into place, so a
+    // crash mid-write leaves either the old file or the new one, never half of each
+    static writeFileAtomic(filePath, data) {
+        const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+        let fd = null;
+
+        try {
+            fd = fs.openSync(tempPath, 'w');
+            fs.writeSync(fd, data);
+            fs.fsyncSync(fd);
+            fs.closeSync(fd);
+            fd = null;
+            fs.renameSync(tempPath, filePath);
+        } catch (error) {
+            if (fd !== null) {
+                fs.closeSync(fd);
+            }
+            if (fs.existsSync(tempPath)) {
+                fs.unlinkSync(tempPath);
+            }
+            throw error;
+        }
+    }
+
+    readIndex() {
+        if (!fs.existsSync(this.indexPath)) {
+            return null;
+        }
+        const index = PlanSchema.validateIndex(JSON.parse(fs.readFileSync(this.indexPath, 'utf-8')));
+        return Array.isArray(index.order) ? index : { ...index, order: [] };
+    }
+
+    writeIndex(order) {
+        const data = JSON.stringify({ version: PlanSchema.version, order }, null, 2);
+
+        if (fs.existsSync(this.indexPath) && fs.readFileSync(this.indexPath, 'utf-8') === data) {
+            return;
+        }
+        this.setAsideIfDamaged(this.indexPath, PlanSchema.validateIndex);
+        PlanStore.writeFileAtomic(this.indexPath, data);
+    }
+
+    writePlan(plan) {
+        const filePath = this.planPath(plan.id);
+        this.setAsideIfDamaged(filePath, PlanSchema.validatePlan);
+        PlanStore.writeFileAtomic(filePath, JSON.stringify(plan, null, 2));
+    }
+
+    // Path relative to the save directory, as reported in damaged
+    resolve(file) {
+        return path.join(this.saveDirectory, ...file.split('/'));
+    }
+
+    // Move a damaged file out of the way, keeping it for whoever wants to repair it
+    setAside(file) {
+        const filePath = this.resolve(file);
+        const asidePath = `${filePath}.damaged-${Date.now()}`;
+        fs.renameSync(filePath, asidePath);
+        console.error(`Set aside damaged file ${file} as ${path.basename(asidePath)}`);
+    }
+
+    setAsideIfDamaged(filePath, validate) {
+        if (!fs.existsSync(filePath)) return;
+
+        try {
+            validate(JSON.parse(fs.readFileSync(filePath, 'utf-8')));
+        } catch (error) {
+            this.setAside(path.relative(this.saveDirectory, filePath).split(path.sep).join('/'));
+        }
+    }
+
+    // Write a plan changed outside the app, stamped like the app's own saves so
+    // restoring a backup can tell which copy is newer
+    updatePlan(plan) {
+        plan.updatedAt = new Date().toISOString();
+        this.writePlan(plan);
+    }
+
+    deletePlan(planId) {
+        const filePath = this.planPath(planId);
+        this.setAsideIfDamaged(filePath, PlanSchema.validatePlan);
+        if (fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+        }
+    }
+
+    // One-time conversion of plans.json into per-plan files. The legacy file
+    // is renamed rather than deleted so nothing is lost if migration misbehaves.
+    migrateLegacy() {
+        if (fs.existsSync(this.indexPath) || !fs.existsSync(this.legacyPath)) {
+            return false;
+        }
+
+        const plans = JSON.parse(fs.readFileSync(this.legacyPath, 'utf-8'));
+        if (!Array.isArray(plans)) {
+            throw new Error(`${LEGACY_FILE} does not contain a list of plans`);
+        }
+        plans.forEach(plan => PlanSchema.validatePlan(plan));
+
+        fs.mkdirSync(this.plansDirectory, { recursive: true });
+        plans.forEach(plan => this.writePlan(plan));
+        this.writeIndex(plans.map(plan => plan.id));
+        fs.renameSync(this.legacyPath, `${this.legacyPath}.migrated`);
+
+        console.log(`Migrated ${plans.length} plans from ${LEGACY_FILE}`);
+        return true;
+    }
+
+    // Returns the readable plans in index order, or null when the directory holds none yet
+    loadPlans() {
+        const { plans, damaged } = this.inspect();
+        damaged.forEach(({ file, error }) => console.error(`Skipping damaged file ${file}: ${error}`));
+        return plans;
+    }
+
+    // Reads and validates everything. Returns { plans, damaged: [{ file, error }] };
+    // plans is null when the directory holds none yet. Files missing from the
+    // index (e.g. copied in by hand) are appended.
+    inspect() {
+        const damaged = [];
+        const report = (file, error) => damaged.push({ file, error: error.message });
+
+        try {
+            this.migrateLegacy();
+        } catch (error) {
+            report(LEGACY_FILE, error);
+        }
+
+        let index = null;
+        try {
+            index = this.readIndex();
+        } catch (error) {
+            report(INDEX_FILE, error);
+        }
+        if (!index && !fs.existsSync(this.plansDirectory)) {
+            return { plans: null, damaged };
+        }
+
+        const plansById = new Map();
+        if (fs.existsSync(this.plansDirectory)) {
+            fs.readdirSync(this.plansDirectory)
+                .filter(name => name.endsWith('.json'))
+                .forEach(name => {
+                    try {
+                        const plan = JSON.parse(fs.readFileSync(path.join(this.plansDirectory, name), 'utf-8'));
+                        plansById.set(String(PlanSchema.validatePlan(plan).id), plan);
+                    } catch (error) {
+                        report(`${PLANS_DIR}/${name}`, error);
+                    }
+                });
+        }
+
+        const plans = [];
+        (index ? index.order : []).forEach(id => {
+            if (plansById.has(String(id))) {
+                plans.push(plansById.get(String(id)));
+                plansById.delete(String(id));
+            }
+        });
+        plansById.forEach(plan => plans.push(plan));
+
+        return { plans, damaged };
+    }
+
+    // Watch the index and plan files for changes made outside this process.
+    // Returns a function that stops watching.
+    watch(onChange) {
+        fs.mkdirSync(this.plansDirectory, { recursive: true });
+
+        const watchers = [this.saveDirectory, this.plansDirectory].map(directory => {
+            const watcher = fs.watch(directory, (eventType, fileName) => {
+                if (fileName && fileName.endsWith('.json')) {
+                    onChange(path.join(directory, fileName));
+                }
+            });
+            watcher.on('error', error => console.error(`Error watching ${directory}:`, error));
+            return watcher;
+        });
+
+        return () => watchers.forEach(watcher => watcher.close());
+    }
+
+    // Write only what changed: the given plans, removals, and the ordering
+    savePlans({ plans = [], order = [], deleted = [] }) {
+        fs.mkdirSync(this.plansDirectory, { recursive: true });
+
+        plans.forEach(plan => this.writePlan(plan));
+        deleted.forEach(planId => this.deletePlan(planId));
+        this.writeIndex(order);
+    }
+}
+
+module.exports = PlanStore;
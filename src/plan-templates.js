@@ -0,0 +1,100 @@
+// Plan Templates - reusable plan structures. A template keeps each block's type,
+// text and code language; done, collapsed and model output are left behind so
+// every plan made from it starts fresh. {{placeholders}} are filled in on copy.
+class PlanTemplates {
+    static get builtIns() {
+        return [
+            {
+                id: 'builtin-bug-fix',
+                name: 'Bug fix',
+                description: 'Reproduce, find the cause, fix it and guard against it coming back',
+                builtIn: true,
+                blocks: [
+                    { type: 'note', content: 'Bug report: {{issue link}}' },
+                    { content: 'There is a bug: {{bug description}}\n\nSteps to reproduce:\n{{steps to reproduce}}\n\nRead the relevant code and explain the root cause before changing anything.' },
+                    { content: 'Write a failing test that reproduces the bug.' },
+                    { content: 'Fix the root cause with the smallest change that makes the test pass. Do not refactor unrelated code.' },
+                    { type: 'checklist', content: '- [ ] New test fails before the fix\n- [ ] Full test suite passes\n- [ ] Similar code paths checked for the same bug' }
+                ]
+            },
+            {
+                id: 'builtin-feature',
+                name: 'Feature',
+                description: 'Plan the change, build it in steps and finish with tests and docs',
+                builtIn: true,
+                blocks: [
+                    { content: 'We are adding a feature: {{feature description}}\n\nExplore the codebase and propose a plan: which files change, new modules if any, and open questions. Do not write code yet.' },
+                    { content: 'Implement the first step of the plan. Follow the existing conventions of the surrounding code.' },
+                    { content: 'Implement the remaining steps.' },
+                    { content: 'Add tests covering the new behavior, including edge cases and error handling.' },
+                    { content: 'Update the documentation and summarize the change for a pull request description.' }
+                ]
+            },
+            {
+                id: 'builtin-refactor',
+                name: 'Refactor',
+                description: 'Restructure code without changing its behavior',
+                builtIn: true,
+                blocks: [
+                    { content: 'I want to refactor {{code to refactor}} because {{reason}}.\n\nDescribe how it works today and which callers depend on it.' },
+                    { content: 'Make sure the current behavior is covered by tests. Add tests where it is not, and run them.' },
+                    { content: 'Propose the new structure as a series of small steps, each leaving the code working.' },
+                    { content: 'Carry out the next step, then run the tests.' },
+                    { type: 'checklist', content: '- [ ] Tests pass after every step\n- [ ] No behavior changes\n- [ ] Dead code removed' }
+                ]
+            },
+            {
+                id: 'builtin-code-review',
+                name: 'Code review',
+                description: 'Review a change for correctness, design and tests',
+                builtIn: true,
+                blocks: [
+                    { content: 'Review the changes in {{branch or diff}}. Start with a summary of what the change does.' },
+                    { content: 'Look for bugs: edge cases, error handling, concurrency and security problems. List each with the file and line.' },
+                    { content: 'Comment on the design: naming, structure and consistency with the rest of the codebase.' },
+                    { content: 'Check the tests. Which behavior is untested? Suggest the missing test cases.' },
+                    { type: 'note', content: 'Review notes:\n' }
+                ]
+            }
+        ];
+    }
+
+    static fromPlan(plan, name, description = '') {
+        return {
+            id: Date.now().toString(),
+            name,
+            description,
+            tags: [...(plan.tags || [])],
+            createdAt: new Date().toISOString(),
+            blocks: plan.blocks.map(block => PlanTemplates.templateBlock(block))
+        };
+    }
+
+    static templateBlock(block) {
+        const templateBlock = { content: BlockTypes.uncheckAll(block.content) };
+        if (block.type) {
+            templateBlock.type = block.type;
+        }
+        if (block.language) {
+            templateBlock.language = block.language;
+        }
+        return templateBlock;
+    }
+
+    static toPlan(template) {
+        const now = Date.now().toString();
+        return {
+            id: now,
+            title: template.name,
+            createdAt: new Date().toISOString(),
+            tags: [...(template.tags || [])],
+            folder: '',
+            blocks: template.blocks.map((block, i) => ({
+                ...PlanTemplates.templateBlock(block),
+                id: now + i,
+                done: false,
+                collapsed: false
+            }))
+        };
+    }
+}
@@ -0,0 +1,100 @@
+// HTML Sanitizer - marked passes raw HTML in Markdown straight through, and plan
+// files can come from anywhere. Preview HTML is cut down to the tags and
+// attributes Markdown produces before it goes anywhere near innerHTML.
+class HtmlSanitizer {
+    static get allowedTags() {
+        return new Set([
+            'a', 'abbr', 'b', 'blockquote', 'br', 'code', 'dd', 'del', 'details', 'div', 'dl', 'dt',
+            'em', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'input', 'ins', 'kbd', 'li',
+            'mark', 'ol', 'p', 'pre', 's', 'samp', 'small', 'span', 'strong', 'sub', 'summary', 'sup',
+            'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul'
+        ]);
+    }
+
+    // Removed along with everything inside; any other unknown tag is unwrapped
+    static get droppedTags() {
+        return new Set([
+            'applet', 'base', 'button', 'embed', 'form', 'frame', 'frameset', 'iframe', 'link', 'math',
+            'meta', 'noscript', 'object', 'script', 'select', 'style', 'svg', 'template', 'textarea', 'title'
+        ]);
+    }
+
+    static get allowedAttributes() {
+        return {
+            '*': ['title'],
+            a: ['href'],
+            img: ['src', 'alt', 'width', 'height'],
+            input: ['type', 'checked', 'disabled'],
+            ol: ['start'],
+            td: ['align', 'colspan', 'rowspan'],
+            th: ['align', 'colspan', 'rowspan'],
+            code: ['class'],
+            details: ['open']
+        };
+    }
+
+    static sanitize(html) {
+        // Template content is inert: nothing in it runs or loads while we work on it
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        HtmlSanitizer.cleanChildren(template.content);
+        return template.innerHTML;
+    }
+
+    static cleanChildren(parent) {
+        Array.from(parent.childNodes).forEach(node => {
+            if (node.nodeType === Node.COMMENT_NODE) {
+                node.remove();
+            } else if (node.nodeType === Node.ELEMENT_NODE) {
+                HtmlSanitizer.cleanElement(node);
+            }
+        });
+    }
+
+    static cleanElement(element) {
+        const tag = element.localName;
+        if (HtmlSanitizer.droppedTags.has(tag)) {
+            element.remove();
+            return;
+        }
+
+        HtmlSanitizer.cleanChildren(element);
+        if (!HtmlSanitizer.allowedTags.has(tag)) {
+            element.replaceWith(...element.childNodes);
+            return;
+        }
+
+        const allowed = [...HtmlSanitizer.allowedAttributes['*'], ...(HtmlSanitizer.allowedAttributes[tag] || [])];
+        Array.from(element.attributes).forEach(({ name, value }) => {
+            if (!allowed.includes(name) || !HtmlSanitizer.isSafeAttribute(tag, name, value)) {
+                element.removeAttribute(name);
+            }
+        });
+
+        // The only inputs Markdown makes are task list checkboxes
+        if (tag === 'input' && element.getAttribute('type') !== 'checkbox') {
+            element.remove();
+        }
+    }
+
+    static isSafeAttribute(tag, name, value) {
+        const trimmed = value.trim();
+        switch (name) {
+            case 'href':
+                return HtmlSanitizer.isSafeUrl(trimmed) || trimmed.startsWith('#');
+            case 'src':
+                return HtmlSanitizer.isSafeUrl(trimmed) || /^data:image\/(png|gif|jpe?g|webp);/i.test(trimmed);
+            case 'class':
+                // Code block languages, e.g. language-js
+                return /^language-[\w+#-]+$/.test(trimmed);
+            default:
+                return true;
+        }
+    }
+
+    // http(s) and mailto links, or relative ones without a scheme
+    static isSafeUrl(url) {
+        const scheme = url.match(/^([^/?#]*?):/);
+        return !scheme || ['http', 'https', 'mailto'].includes(scheme[1].toLowerCase());
+    }
+}
@@ -0,0 +1,78 @@
+// Plan Search - full-text matching over plan titles and block content
+class PlanSearch {
+    // filter: 'all', 'active' (blocks not done) or 'done'
+    static search(plans, query, filter = 'all') {
+        const needle = query.trim().toLowerCase();
+        return plans
+            .map(plan => PlanSearch.matchPlan(plan, needle, filter))
+            .filter(Boolean);
+    }
+
+    static isActive(query, filter) {
+        return query.trim() !== '' || filter !== 'all';
+    }
+
+    static matchPlan(plan, needle, filter) {
+        const blocks = plan.blocks.filter(block =>
+            filter === 'all' || (filter === 'done') === Boolean(block.done)
+        );
+        if (filter !== 'all' && blocks.length === 0) return null;
+
+        const titleCount = needle ? PlanSearch.countMatches(plan.title, needle) : 0;
+        const blockMatches = blocks
+            .map(block => ({ block, count: needle ? PlanSearch.countMatches(block.content, needle) : 0 }))
+            .filter(match => !needle || match.count > 0);
+
+        if (needle && titleCount === 0 && blockMatches.length === 0) return null;
+
+        const firstMatch = blockMatches[0] || null;
+        return {
+            plan,
+            matchCount: titleCount + blockMatches.reduce((sum, match) => sum + match.count, 0),
+            blockCount: blockMatches.length,
+            blockId: firstMatch ? firstMatch.block.id : null,
+            snippet: firstMatch && needle ? PlanSearch.snippet(firstMatch.block.content, needle) : ''
+        };
+    }
+
+    static countMatches(text, needle) {
+        const haystack = (text || '').toLowerCase();
+        let count = 0;
+        let index = haystack.indexOf(needle);
+        while (index !== -1) {
+            count++;
+            index = haystack.indexOf(needle, index + needle.length);
+        }
+        return count;
+    }
+
+    // Escaped excerpt around the first match, with every match in it wrapped in <mark>
+    static snippet(text, needle, radius = 40) {
+        const index = text.toLowerCase().indexOf(needle);
+        const start = Math.max(0, index - radius);
+        const end = Math.min(text.length, index + needle.length + radius);
+        const excerpt = text.slice(start, end).replace(/\s+/g, ' ');
+
+        const lowerExcerpt = excerpt.toLowerCase();
+        let html = '';
+        let position = 0;
+        let matchIndex = lowerExcerpt.indexOf(needle);
+        while (matchIndex !== -1) {
+            html += PlanSearch.escapeHtml(excerpt.slice(position, matchIndex));
+            html += `<mark>${PlanSearch.escapeHtml(excerpt.slice(matchIndex, matchIndex + needle.length))}</mark>`;
+            position = matchIndex + needle.length;
+            matchIndex = lowerExcerpt.indexOf(needle, position);
+        }
+        html += PlanSearch.escapeHtml(excerpt.slice(position));
+
+        return `${start > 0 ? '…' : ''}${html}${end < text.length ? '…' : ''}`;
+    }
+
+    static escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
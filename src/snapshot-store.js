@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+const PlanStore = require('./plan-store');
+
+// Timestamped copies of plans, kept next to the plan data:
+//   snapshots/<planId>/<snapshotId>.json   { id, planId, createdAt, reason, plan }
+// reason is 'auto' (scheduled), 'manual' (taken by the user) or 'restore'
+// (taken just before a snapshot was restored). Only automatic snapshots are pruned.
+const SNAPSHOTS_DIR = 'snapshots';
+const MAX_AUTO_SNAPSHOTS = 50;
+
+class SnapshotStore {
+    constructor(saveDirectory) {
+        this.saveDirectory = saveDirectory;
+        this.planStore = new PlanStore(saveDirectory);
+    }
+
+    snapshotDirectory(planId) {
+        // planPath validates the id; reuse its rules for the directory name
+        const planFileName = path.basename(this.planStore.planPath(planId), '.json');
+        return path.join(this.saveDirectory, SNAPSHOTS_DIR, planFileName);
+    }
+
+    snapshotPath(planId, snapshotId) {
+        if (!/^\d+$/.test(String(snapshotId))) {
+            throw new Error(`Invalid snapshot id: ${snapshotId}`);
+        }
+        return path.join(this.snapshotDirectory(planId), `${snapshotId}.json`);
+    }
+
+    readSnapshot(planId, snapshotId) {
+        return JSON.parse(fs.readFileSync(this.snapshotPath(planId, snapshotId), 'utf-8'));
+    }
+
+    // Newest first. Each entry carries the snapshot metadata plus the block count.
+    listSnapshots(planId) {
+        const directory = this.snapshotDirectory(planId);
+        if (!fs.existsSync(directory)) {
+            return [];
+        }
+
+        return fs.readdirSync(directory)
+            .filter(name => /^\d+\.json$/.test(name))
+            .map(name => {
+                try {
+                    const snapshot = this.readSnapshot(planId, path.basename(name, '.json'));
+                    return {
+                        id: snapshot.id,
+                        createdAt: snapshot.createdAt,
+                        reason: snapshot.reason,
+                        title: snapshot.plan.title,
+                        blockCount: snapshot.plan.blocks.length
+                    };
+                } catch (error) {
+                    console.error(`Skipping unreadable snapshot ${name}:`, error);
+                    return null;
+                }
+            })
+            .filter(Boolean)
+            .sort((a, b) => Number(b.id) - Number(a.id));
+    }
+
+    // Returns the new snapshot's metadata, or null when skipIfUnchanged is set
+    // and the plan matches its latest snapshot
+    createSnapshot(plan, reason = 'manual', skipIfUnchanged = false) {
+        const directory = this.snapshotDirectory(plan.id);
+        fs.mkdirSync(directory, { recursive: true });
+
+        const existing = this.listSnapshots(plan.id);
+        if (skipIfUnchanged && existing.length > 0) {
+            const latest = this.readSnapshot(plan.id, existing[0].id);
+            if (JSON.stringify(latest.plan) === JSON.stringify(plan)) {
+                return null;
+            }
+        }
+
+        // Ids are millisecond timestamps; bump past the newest to stay unique
+        const id = Math.max(Date.now(), existing.length > 0 ? Number(existing[0].id) + 1 : 0);
+        const snapshot = {
+            id: String(id),
+            planId: plan.id,
+            createdAt: new Date(id).toISOString(),
+            reason,
+            plan
+        };
+        PlanStore.writeFileAtomic(this.snapshotPath(plan.id, snapshot.id), JSON.stringify(snapshot, null, 2));
+
+        this.pruneSnapshots(plan.id);
+
+        return {
+            id: snapshot.id,
+            createdAt: snapshot.createdAt,
+            reason,
+            title: plan.title,
+            blockCount: plan.blocks.length
+        };
+    }
+
+    pruneSnapshots(planId) {
+        this.listSnapshots(planId)
+            .filter(snapshot => snapshot.reason === 'auto')
+            .slice(MAX_AUTO_SNAPSHOTS)
+            .forEach(snapshot => {
+                fs.unlinkSync(this.snapshotPath(planId, snapshot.id));
+            });
+    }
+}
+
+module.exports = SnapshotStore;
@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+const PlanStore = require('./plan-store');
+
+// Shared text that blocks include with {{> name}}:
+//   snippets/<name>.md   the snippet text, exactly as stored
+// The file name is the snippet name, so snippets can also be edited by hand.
+const SNIPPETS_DIR = 'snippets';
+
+class SnippetStore {
+    constructor(saveDirectory) {
+        this.saveDirectory = saveDirectory;
+    }
+
+    get snippetsDirectory() {
+        return path.join(this.saveDirectory, SNIPPETS_DIR);
+    }
+
+    snippetPath(name) {
+        if (!/^[\w-]+$/.test(String(name))) {
+            throw new Error(`Invalid snippet name: ${name}`);
+        }
+        return path.join(this.snippetsDirectory, `${name}.md`);
+    }
+
+    // Sorted by name: [{ name, content, updatedAt }]
+    loadSnippets() {
+        if (!fs.existsSync(this.snippetsDirectory)) {
+            return [];
+        }
+
+        return fs.readdirSync(this.snippetsDirectory)
+            .filter(name => /^[\w-]+\.md$/.test(name))
+            .map(fileName => {
+                const filePath = path.join(this.snippetsDirectory, fileName);
+                try {
+                    return {
+                        name: path.basename(fileName, '.md'),
+                        content: fs.readFileSync(filePath, 'utf-8'),
+                        updatedAt: fs.statSync(filePath).mtime.toISOString()
+                    };
+                } catch (error) {
+                    console.error(`Skipping unreadable snippet ${fileName}:`, error);
+                    return null;
+                }
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    saveSnippet(name, content) {
+        const filePath = this.snippetPath(name);
+        fs.mkdirSync(this.snippetsDirectory, { recursive: true });
+        PlanStore.writeFileAtomic(filePath, content);
+    }
+
+    deleteSnippet(name) {
+        const filePath = this.snippetPath(name);
+        if (fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+        }
+    }
+
+    renameSnippet(oldName, newName) {
+        const oldPath = this.snippetPath(oldName);
+        const newPath = this.snippetPath(newName);
+        if (fs.existsSync(newPath)) {
+            throw new Error(`A snippet named "${newName}" already exists`);
+        }
+        fs.renameSync(oldPath, newPath);
+    }
+}
+
+module.exports = SnippetStore;
@@ -0,0 +1,59 @@
+// Snippets - shared text included in blocks with {{> name}}
+class Snippets {
+    static get pattern() {
+        return /\{\{\s*>\s*([\w-]+)\s*\}\}/g;
+    }
+
+    static isValidName(name) {
+        return /^[\w-]+$/.test(name);
+    }
+
+    static include(name) {
+        return `{{> ${name}}}`;
+    }
+
+    // Distinct snippet names in order of first appearance
+    static find(text) {
+        const names = [];
+        for (const match of (text || '').matchAll(Snippets.pattern)) {
+            if (!names.includes(match[1])) {
+                names.push(match[1]);
+            }
+        }
+        return names;
+    }
+
+    // Replace includes with the snippet text, following includes inside snippets.
+    // Unknown names and includes that would loop are left as written.
+    static expand(text, snippets, including = []) {
+        return text.replace(Snippets.pattern, (token, name) => {
+            if (!snippets.has(name) || including.includes(name)) return token;
+            return Snippets.expand(snippets.get(name), snippets, [...including, name]);
+        });
+    }
+
+    static rename(text, oldName, newName) {
+        return text.replace(Snippets.pattern, (token, name) => name === oldName ? Snippets.include(newName) : token);
+    }
+
+    // Blocks including each snippet: name -> [{ plan, block, index }]
+    static usage(plans) {
+        const usage = new Map();
+        plans.forEach(plan => {
+            plan.blocks.forEach((block, index) => {
+                Snippets.find(block.content).forEach(name => {
+                    if (!usage.has(name)) {
+                        usage.set(name, []);
+                    }
+                    usage.get(name).push({ plan, block, index });
+                });
+            });
+        });
+        return usage;
+    }
+}
+
+// Also loaded by the command-line tool
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Snippets;
+}
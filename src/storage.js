@@ -1,26 +1,31 @@
-const { ipcRenderer } = require('electron');
-
+// Storage Manager - the renderer's side of persistence. Files are read and written
+// by the main process through the API preload.js exposes; settings live in localStorage.
 class StorageManager {
     constructor() {
+        this.api = window.plannerApi;
         this.saveDirectory = null;
+        this.savedPlans = new Map(); // planId -> JSON last written to disk
+        this.savedOrder = [];
+        this.heldPlans = new Set(); // plans in conflict with disk, not saved until resolved
+        this.damaged = []; // unreadable files in the save directory; nothing is saved until resolved
+        this.saveInFlight = null;
     }
 
     async initSaveDirectory() {
-        try {
-            this.saveDirectory = await ipcRenderer.invoke('get-save-directory');
-            console.log('Save directory:', this.saveDirectory);
-        } catch (error) {
-            console.error('Error getting save directory:', error);
-            this.saveDirectory = await ipcRenderer.invoke('get-default-save-directory');
-        }
+        this.saveDirectory = await this.api.getSaveDirectory();
+        console.log('Save directory:', this.saveDirectory);
         return this.saveDirectory;
     }
 
     async loadPlans() {
         try {
-            const result = await ipcRenderer.invoke('load-plans', this.saveDirectory);
+            const result = await this.api.loadPlans();
+            if (result.success) {
+                this.damaged = result.damaged;
+            }
 
             if (result.success && result.plans) {
+                this.markSaved(result.plans);
                 return result.plans;
             } else if (!result.success) {
                 console.error('Error loading plans:', result.error);
@@ -41,13 +46,159 @@ class StorageManager {
         }
     }
 
+    // Read the save directory without touching the saved-state bookkeeping
+    async readPlansFromDisk() {
+        // Let our own write finish first so it is not mistaken for someone else's
+        if (this.saveInFlight) {
+            await this.saveInFlight.catch(() => {});
+        }
+
+        const result = await this.api.loadPlans();
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        this.damaged = result.damaged;
+        return result.plans;
+    }
+
+    // Restore damaged files from backups, or set them aside ('restore' / 'set-aside').
+    // Resolves to the files restored; call readPlansFromDisk afterwards.
+    async recoverPlans(action) {
+        const result = await this.api.recoverPlans(action);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        return result.restored;
+    }
+
+    async openDamagedFile(file) {
+        const result = await this.api.openDamagedFile(file);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+    }
+
+    // Remember what is on disk so the next save only sends what changed
+    markSaved(plans) {
+        this.savedPlans = new Map(plans.map(plan => [plan.id, JSON.stringify(plan)]));
+        this.savedOrder = plans.map(plan => plan.id);
+    }
+
+    markPlanSaved(plan) {
+        this.savedPlans.set(plan.id, JSON.stringify(plan));
+    }
+
+    forgetPlan(planId) {
+        this.savedPlans.delete(planId);
+    }
+
+    holdPlan(planId) {
+        this.heldPlans.add(planId);
+    }
+
+    releasePlan(planId) {
+        this.heldPlans.delete(planId);
+    }
+
+    // Sort plans on disk into what can be reloaded silently and what clashes
+    // with unsaved local edits. Plans that match what we last wrote are skipped,
+    // as are files that already match memory (our own writes landing).
+    diffExternalPlans(localPlans, diskPlans) {
+        const localById = new Map(localPlans.map(plan => [plan.id, plan]));
+        const diskIds = new Set(diskPlans.map(plan => plan.id));
+        const changes = { updated: [], added: [], removed: [], conflicts: [] };
+
+        diskPlans.forEach(diskPlan => {
+            const diskJson = JSON.stringify(diskPlan);
+            const savedJson = this.savedPlans.get(diskPlan.id);
+            const localPlan = localById.get(diskPlan.id);
+
+            if (diskJson === savedJson) return;
+
+            if (!localPlan) {
+                // Unknown plan is new on disk; a known one was deleted here and that wins
+                if (savedJson === undefined) {
+                    changes.added.push(diskPlan);
+                }
+                return;
+            }
+
+            const localJson = JSON.stringify(localPlan);
+            if (localJson === diskJson) {
+                this.savedPlans.set(diskPlan.id, diskJson);
+            } else if (savedJson === undefined || localJson !== savedJson) {
+                changes.conflicts.push({ local: localPlan, disk: diskPlan });
+            } else {
+                changes.updated.push(diskPlan);
+            }
+        });
+
+        this.savedPlans.forEach((savedJson, planId) => {
+            const localPlan = localById.get(planId);
+            if (!diskIds.has(planId) && localPlan && JSON.stringify(localPlan) === savedJson) {
+                changes.removed.push(planId);
+            }
+        });
+
+        return changes;
+    }
+
+    onExternalChange(callback) {
+        this.api.onSaveDirectoryChanged(directory => {
+            if (directory === this.saveDirectory) {
+                callback();
+            }
+        });
+    }
+
+    async watchSaveDirectory() {
+        const result = await this.api.watchSaveDirectory();
+        if (!result.success) {
+            console.error('Error watching save directory:', result.error);
+        }
+    }
+
+    // Forget what was written, so the next save writes every plan (e.g. to a new directory)
+    resetSaveState() {
+        this.savedPlans = new Map();
+        this.savedOrder = [];
+    }
+
     async savePlans(plans) {
+        if (this.damaged.length > 0) {
+            return { success: false, error: 'The save directory has damaged files' };
+        }
+
         try {
-            const result = await ipcRenderer.invoke('save-plans', plans, this.saveDirectory);
+            const serialized = new Map(plans.map(plan => [plan.id, JSON.stringify(plan)]));
+            const order = plans.map(plan => plan.id);
+            const changed = plans.filter(plan =>
+                !this.heldPlans.has(plan.id) && this.savedPlans.get(plan.id) !== serialized.get(plan.id)
+            );
+            const deleted = [...this.savedPlans.keys()].filter(id => !serialized.has(id));
+
+            // Stamp edited plans so restoring a backup can tell which copy is newer
+            const updatedAt = new Date().toISOString();
+            changed.forEach(plan => {
+                plan.updatedAt = updatedAt;
+                serialized.set(plan.id, JSON.stringify(plan));
+            });
+            const orderChanged = order.join('\n') !== this.savedOrder.join('\n');
+
+            if (changed.length === 0 && deleted.length === 0 && !orderChanged) {
+                return { success: true };
+            }
+
+            this.saveInFlight = this.api.savePlans({ plans: changed, order, deleted });
+            const result = await this.saveInFlight;
 
             if (!result.success) {
                 throw new Error(result.error);
             }
+
+            changed.forEach(plan => this.savedPlans.set(plan.id, serialized.get(plan.id)));
+            deleted.forEach(id => this.savedPlans.delete(id));
+            this.savedOrder = order;
             return { success: true };
         } catch (error) {
             console.error('Failed to save plans:', error);
@@ -55,13 +206,123 @@ class StorageManager {
         }
     }
 
+    // Snippets
+    async loadSnippets() {
+        const result = await this.api.loadSnippets();
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        return result.snippets;
+    }
+
+    async saveSnippet(name, content) {
+        const result = await this.api.saveSnippet(name, content);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+    }
+
+    async renameSnippet(oldName, newName) {
+        const result = await this.api.renameSnippet(oldName, newName);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+    }
+
+    async deleteSnippet(name) {
+        const result = await this.api.deleteSnippet(name);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+    }
+
+    // Templates
+    async loadTemplates() {
+        const result = await this.api.loadTemplates();
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        return result.templates;
+    }
+
+    async saveTemplate(template) {
+        const result = await this.api.saveTemplate(template);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+    }
+
+    async deleteTemplate(templateId) {
+        const result = await this.api.deleteTemplate(templateId);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+    }
+
+    // Trash
+    async loadTrash() {
+        const result = await this.api.loadTrash();
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        return result.items;
+    }
+
+    async saveTrashItem(item) {
+        const result = await this.api.saveTrashItem(item);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+    }
+
+    async deleteTrashItem(itemId) {
+        const result = await this.api.deleteTrashItem(itemId);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+    }
+
+    async purgeTrash(days) {
+        const result = await this.api.purgeTrash(days);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        return result.purged;
+    }
+
+    // Snapshots
+    async createSnapshot(plan, reason = 'manual', skipIfUnchanged = false) {
+        const result = await this.api.createSnapshot(plan, reason, skipIfUnchanged);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        return result.snapshot;
+    }
+
+    async listSnapshots(planId) {
+        const result = await this.api.listSnapshots(String(planId));
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        return result.snapshots;
+    }
+
+    async loadSnapshot(planId, snapshotId) {
+        const result = await this.api.loadSnapshot(String(planId), String(snapshotId));
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        return result.snapshot;
+    }
+
     async changeSaveDirectory() {
         try {
-            const newDirectory = await ipcRenderer.invoke('choose-directory');
+            const newDirectory = await this.api.chooseSaveDirectory();
 
             if (newDirectory) {
                 this.saveDirectory = newDirectory;
-                await ipcRenderer.invoke('set-save-directory', newDirectory);
+                this.resetSaveState();
+                await this.watchSaveDirectory();
                 return newDirectory;
             }
             return null;
@@ -73,9 +334,10 @@ class StorageManager {
 
     async resetSaveDirectory() {
         try {
-            const defaultDirectory = await ipcRenderer.invoke('get-default-save-directory');
+            const defaultDirectory = await this.api.resetSaveDirectory();
             this.saveDirectory = defaultDirectory;
-            await ipcRenderer.invoke('set-save-directory', defaultDirectory);
+            this.resetSaveState();
+            await this.watchSaveDirectory();
             return defaultDirectory;
         } catch (error) {
             console.error('Error resetting save directory:', error);
@@ -95,7 +357,7 @@ class StorageManager {
             const url = URL.createObjectURL(blob);
             const a = document.createElement('a');
             a.href = url;
-            a.download = `${this.sanitizeFileName(plan.title)}_${plan.id}.md`;
+            a.download = PlanMarkdown.fileName(plan);
             document.body.appendChild(a);
             a.click();
             document.body.removeChild(a);
@@ -105,10 +367,12 @@ class StorageManager {
         return true;
     }
 
+    // callback(importedPlans, names of the files that could not be imported)
     importPlans(files, callback) {
         if (!files || files.length === 0) return;
 
         const importedPlans = [];
+        const failedFiles = [];
         let filesProcessed = 0;
 
         Array.from(files).forEach(file => {
@@ -118,11 +382,13 @@ class StorageManager {
                 const plan = this.parseMarkdownToPlan(content, file.name);
                 if (plan) {
                     importedPlans.push(plan);
+                } else {
+                    failedFiles.push(file.name);
                 }
 
                 filesProcessed++;
                 if (filesProcessed === files.length) {
-                    callback(importedPlans);
+                    callback(importedPlans, failedFiles);
                 }
             };
             reader.readAsText(file);
@@ -130,95 +396,152 @@ class StorageManager {
     }
 
     generateMarkdownForPlan(plan) {
-        let content = `# ${plan.title}\n\n`;
-        content += `*Created: ${new Date(plan.createdAt).toLocaleDateString()}*\n\n`;
-        content += `*Blocks: ${plan.blocks.length} (${plan.blocks.filter(b => !b.done).length} active)*\n\n`;
-        content += `---\n\n`;
-
-        plan.blocks.forEach((block, index) => {
-            const status = block.done ? '~~' : '';
-            const statusEnd = block.done ? '~~' : '';
-
-            content += `## Block ${index + 1} ${block.done ? '(Completed)' : ''}\n\n`;
-            content += `${status}${block.content || '*Empty block*'}${statusEnd}\n\n`;
-            content += `---\n\n`;
-        });
-
-        return content;
+        return PlanMarkdown.generate(plan);
     }
 
+    // Checked like a plan file, so nothing is saved that would not load again
     parseMarkdownToPlan(content, fileName) {
         try {
-            const lines = content.split('\n');
-            const title = lines[0]?.replace(/^#\s+/, '') || fileName.replace(/\.(md|txt)$/i, '');
-
-            const blocks = [];
-            let currentBlock = null;
-            let inBlock = false;
-
-            lines.forEach((line, index) => {
-                if (index === 0) return; // Skip title line
-
-                if (line.startsWith('## Block')) {
-                    if (currentBlock && currentBlock.content.trim()) {
-                        blocks.push(currentBlock);
-                    }
-
-                    const isDone = line.includes('(Completed)');
-                    currentBlock = {
-                        id: Date.now().toString() + index,
-                        content: '',
-                        done: isDone,
-                        collapsed: false
-                    };
-                    inBlock = true;
-                } else if (line === '---') {
-                    inBlock = false;
-                } else if (inBlock && currentBlock && line.trim() !== '') {
-                    const cleanLine = line.replace(/^~~|~~$/g, '').trim();
-                    if (cleanLine !== '*Empty block*') {
-                        currentBlock.content += (currentBlock.content ? '\n' : '') + cleanLine;
-                    }
-                }
-            });
+            return PlanSchema.validatePlan(PlanMarkdown.parse(content, fileName));
+        } catch (error) {
+            console.error('Error parsing markdown:', error);
+            return null;
+        }
+    }
 
-            if (currentBlock && currentBlock.content.trim()) {
-                blocks.push(currentBlock);
-            }
+    // Workspace backup
+    async exportWorkspace(plans) {
+        const archive = WorkspaceArchive.create(plans, this.loadAllSettings());
+        const fileName = `prompt-planner-backup-${new Date().toISOString().slice(0, 10)}.json`;
+        const result = await this.api.exportWorkspace(archive, fileName);
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        return result.canceled ? null : result.filePath;
+    }
+
+    // Resolves to the parsed archive, or null if the user cancelled the dialog
+    async openWorkspaceArchive() {
+        const result = await this.api.openWorkspaceArchive();
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        return result.canceled ? null : WorkspaceArchive.parse(result.content);
+    }
+
+    planWorkspaceRestore(plans, archive, strategy) {
+        return WorkspaceArchive.planRestore(plans, archive, strategy);
+    }
+
+    // Model runs. Requests go through the main process, which holds the API key.
+    async getLlmSettings() {
+        const result = await this.api.getLlmSettings();
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        return { ...result.settings, defaultUrls: result.defaultUrls };
+    }
 
-            if (blocks.length === 0) {
-                blocks.push({
-                    id: Date.now().toString(),
-                    content: content,
-                    done: false,
-                    collapsed: false
-                });
+    async saveLlmSettings(settings) {
+        const result = await this.api.saveLlmSettings(settings);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+    }
+
+    // Agent access: { settings: { enabled, port }, running, url, error }
+    async getMcpSettings() {
+        const result = await this.api.getMcpSettings();
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        return result;
+    }
+
+    // Restarts the server; resolves to { running, url, error }
+    async saveMcpSettings(settings) {
+        const result = await this.api.saveMcpSettings(settings);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        return result;
+    }
+
+    // Resolves to { settings, version, error }; error says why git cannot be used
+    async getGitSettings() {
+        const result = await this.api.getGitSettings();
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        return result;
+    }
+
+    async saveGitSettings(settings) {
+        const result = await this.api.saveGitSettings(settings);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+    }
+
+    async listPlanCommits(planId) {
+        const result = await this.api.listPlanCommits(String(planId));
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        return result.commits;
+    }
+
+    // Resolves to { plan, parent }: the plan at the commit and before it
+    async loadPlanCommit(planId, hash) {
+        const result = await this.api.loadPlanCommit(String(planId), hash);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        return { plan: result.plan, parent: result.parent };
+    }
+
+    async notePlanRevert(title, shortHash) {
+        const result = await this.api.notePlanRevert(title, shortHash);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+    }
+
+    // Resolves to { output, model } or { canceled: true }; onChunk receives text as it streams
+    async runPrompt(runId, messages, onChunk) {
+        const unsubscribe = this.api.onRunPromptChunk((id, chunk) => {
+            if (id === runId) {
+                onChunk(chunk);
             }
+        });
 
-            return {
-                id: Date.now().toString(),
-                title: title,
-                createdAt: new Date().toISOString(),
-                blocks: blocks
-            };
-        } catch (error) {
-            console.error('Error parsing markdown:', error);
-            return null;
+        try {
+            const result = await this.api.runPrompt(runId, messages);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            return result;
+        } finally {
+            unsubscribe();
         }
     }
 
-    sanitizeFileName(fileName) {
-        return fileName.replace(/[^a-z0-9]/gi, '_').toLowerCase();
+    cancelPrompt(runId) {
+        return this.api.cancelPrompt(runId);
     }
 
     // Settings storage (localStorage)
     loadSettings() {
         const fontSize = localStorage.getItem('promptManagerFontSize');
         const darkMode = localStorage.getItem('promptManagerDarkMode');
+        const tokenizer = localStorage.getItem('promptManagerTokenizer');
 
         return {
             fontSize: fontSize ? parseInt(fontSize) : 14,
-            darkMode: darkMode === 'true'
+            darkMode: darkMode === 'true',
+            tokenizer: tokenizer || 'heuristic'
         };
     }
 
@@ -226,6 +549,107 @@ class StorageManager {
         localStorage.setItem('promptManagerFontSize', fontSize.toString());
         localStorage.setItem('promptManagerDarkMode', darkMode.toString());
     }
-}
 
-module.exports = StorageManager;
+    saveTokenizer(name) {
+        localStorage.setItem('promptManagerTokenizer', name);
+    }
+
+    loadCollapsedFolders() {
+        try {
+            return JSON.parse(localStorage.getItem('promptManagerCollapsedFolders')) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    saveCollapsedFolders(folders) {
+        localStorage.setItem('promptManagerCollapsedFolders', JSON.stringify(folders));
+    }
+
+    // Open tabs per editor pane: { panes: [{ tabs: [planId], planId }], activePane }
+    loadOpenTabs() {
+        try {
+            const state = JSON.parse(localStorage.getItem('promptManagerOpenTabs'));
+            return state && Array.isArray(state.panes) && state.panes.length > 0 ? state : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    saveOpenTabs(state) {
+        localStorage.setItem('promptManagerOpenTabs', JSON.stringify(state));
+    }
+
+    // Shortcut overrides by command id; defaults live in keybindings.js
+    loadKeybindings() {
+        try {
+            return JSON.parse(localStorage.getItem('promptManagerKeybindings')) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    saveKeybindings(overrides) {
+        localStorage.setItem('promptManagerKeybindings', JSON.stringify(overrides));
+    }
+
+    loadSnippetsCollapsed() {
+        return localStorage.getItem('promptManagerSnippetsCollapsed') === 'true';
+    }
+
+    saveSnippetsCollapsed(collapsed) {
+        localStorage.setItem('promptManagerSnippetsCollapsed', collapsed.toString());
+    }
+
+    // The split-block tip is shown once, the first time a plan is created
+    loadSplitTipSeen() {
+        return localStorage.getItem('promptManagerSplitTipSeen') === 'true';
+    }
+
+    saveSplitTipSeen() {
+        localStorage.setItem('promptManagerSplitTipSeen', 'true');
+    }
+
+    // Days deleted plans and blocks stay in the trash
+    loadTrashDays() {
+        const days = parseInt(localStorage.getItem('promptManagerTrashDays'));
+        return days >= 1 ? days : 30;
+    }
+
+    saveTrashDays(days) {
+        localStorage.setItem('promptManagerTrashDays', days.toString());
+    }
+
+    // User-defined copy presets; the built-in ones live in copy-format.js
+    loadCopyPresets() {
+        try {
+            return JSON.parse(localStorage.getItem('promptManagerCopyPresets')) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    saveCopyPresets(presets) {
+        localStorage.setItem('promptManagerCopyPresets', JSON.stringify(presets));
+    }
+
+    // Every stored setting, for workspace backups
+    loadAllSettings() {
+        const settings = {};
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key.startsWith('promptManager')) {
+                settings[key] = localStorage.getItem(key);
+            }
+        }
+        return settings;
+    }
+
+    restoreAllSettings(settings) {
+        Object.entries(settings).forEach(([key, value]) => {
+            if (key.startsWith('promptManager') && typeof value === 'string') {
+                localStorage.setItem(key, value);
+            }
+        });
+    }
+}
@@ -0,0 +1,329 @@
+// Syntax Highlighter - colours block source for the editor (see block-editor.js).
+// The output only wraps the original text in <span class="hl-..."> elements; it
+// never adds or drops a character, so it lines up exactly with the textarea it
+// sits under. Markdown is highlighted line by line, fenced code by language.
+function quotedString(quote) {
+    const q = quote.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return quote.length === 3
+        ? `${q}[\\s\\S]*?(?:${q}|$)`
+        : `${q}(?:\\\\[\\s\\S]|[^${q}\\\\\\n])*${q}?`;
+}
+
+const C_COMMENTS = { lineComment: '\\/\\/.*', blockComment: ['/*', '*/'] };
+const HASH_COMMENTS = { lineComment: '(?<![\\w$])#.*' };
+const C_STRINGS = [quotedString('"'), quotedString("'")];
+
+// keywords and literals are space-separated words; patterns are extra
+// [className, regex source] pairs tried before plain identifiers
+const HIGHLIGHT_LANGUAGES = {
+    javascript: {
+        aliases: ['js', 'jsx', 'mjs', 'cjs', 'node'],
+        keywords: 'async await break case catch class const continue debugger default delete do else export extends finally for from function get if import in instanceof let new of return set static super switch throw try typeof var void while with yield',
+        literals: 'true false null undefined NaN Infinity this',
+        ...C_COMMENTS,
+        strings: [...C_STRINGS, '`(?:\\\\[\\s\\S]|[^`\\\\])*`?']
+    },
+    typescript: {
+        aliases: ['ts', 'tsx'],
+        keywords: 'abstract any as async await boolean break case catch class const continue declare default delete do else enum export extends finally for from function get if implements import in infer instanceof interface is keyof let namespace never new number of private protected public readonly return set static string super switch symbol throw try type typeof unknown var void while with yield',
+        literals: 'true false null undefined NaN Infinity this',
+        ...C_COMMENTS,
+        strings: [...C_STRINGS, '`(?:\\\\[\\s\\S]|[^`\\\\])*`?']
+    },
+    python: {
+        aliases: ['py', 'python3'],
+        keywords: 'and as assert async await break case class continue def del elif else except finally for from global if import in is lambda match nonlocal not or pass raise return try while with yield',
+        literals: 'True False None self cls',
+        ...HASH_COMMENTS,
+        strings: [quotedString('"""'), quotedString("'''"), ...C_STRINGS],
+        patterns: [['meta', '@[\\w.]+']]
+    },
+    shell: {
+        aliases: ['sh', 'bash', 'zsh', 'console', 'shellscript'],
+        keywords: 'if then else elif fi for while until do done case esac in function return local export readonly declare unset source exit',
+        literals: 'true false',
+        ...HASH_COMMENTS,
+        strings: C_STRINGS,
+        patterns: [['variable', '\\$(?:\\{[^}\\n]*\\}?|[\\w@#?$!*-])']]
+    },
+    json: {
+        aliases: ['jsonc', 'json5'],
+        keywords: '',
+        literals: 'true false null',
+        ...C_COMMENTS,
+        strings: [],
+        patterns: [['property', '"(?:\\\\.|[^"\\\\\\n])*"(?=\\s*:)'], ['string', quotedString('"')]]
+    },
+    css: {
+        aliases: ['scss', 'less'],
+        keywords: 'important',
+        literals: '',
+        blockComment: ['/*', '*/'],
+        strings: C_STRINGS,
+        patterns: [['keyword', '@[\\w-]+'], ['number', '#[\\da-fA-F]{3,8}\\b'], ['property', '[\\w-]+(?=\\s*:[^:])']]
+    },
+    sql: {
+        aliases: ['mysql', 'postgres', 'postgresql', 'sqlite'],
+        ignoreCase: true,
+        keywords: 'add alter and as asc begin between by case check commit constraint create cross default delete desc distinct drop else end exists foreign from full group having if in index inner insert into is join key left like limit not offset on or order outer primary references returning right rollback select set table then union unique update using values view when where with',
+        literals: 'true false null',
+        lineComment: '--.*',
+        blockComment: ['/*', '*/'],
+        strings: C_STRINGS
+    },
+    go: {
+        aliases: ['golang'],
+        keywords: 'break case chan const continue default defer else fallthrough for func go goto if import interface map package range return select struct switch type var',
+        literals: 'true false nil iota',
+        ...C_COMMENTS,
+        strings: [...C_STRINGS, '`[^`]*`?']
+    },
+    rust: {
+        aliases: ['rs'],
+        keywords: 'as async await break const continue crate dyn else enum extern fn for if impl in let loop match mod move mut pub ref return static struct super trait type unsafe use where while',
+        literals: 'true false self Self None Some Ok Err',
+        ...C_COMMENTS,
+        strings: [quotedString('"')],
+        patterns: [['meta', '#!?\\[[^\\]\\n]*\\]?'], ['function', '\\b[a-z_]\\w*!']]
+    },
+    java: {
+        aliases: ['kotlin', 'kt', 'scala'],
+        keywords: 'abstract assert break case catch class const continue default do else enum extends final finally for fun if implements import instanceof interface new package private protected public return static super switch synchronized throw throws try val var void volatile when while',
+        literals: 'true false null this',
+        ...C_COMMENTS,
+        strings: C_STRINGS,
+        patterns: [['meta', '@\\w+']]
+    },
+    c: {
+        aliases: ['h', 'cpp', 'c++', 'cc', 'hpp', 'cs', 'csharp', 'objc', 'swift'],
+        keywords: 'auto break case catch char class const constexpr continue default delete do double else enum explicit extern float for friend func goto guard if import inline int let long namespace new operator private protected public return short signed sizeof static struct switch template throw try typedef typename union unsigned using var virtual void volatile while',
+        literals: 'true false NULL nullptr nil null this self',
+        ...C_COMMENTS,
+        strings: C_STRINGS,
+        patterns: [['meta', '^\\s*#\\s*\\w+']]
+    },
+    ruby: {
+        aliases: ['rb'],
+        keywords: 'alias and begin break case class def defined do else elsif end ensure for if in module next not or redo rescue retry return then undef unless until when while yield',
+        literals: 'true false nil self',
+        ...HASH_COMMENTS,
+        strings: C_STRINGS,
+        patterns: [['variable', '@@?\\w+'], ['literal', ':\\w+']]
+    },
+    php: {
+        aliases: [],
+        keywords: 'abstract array as break case catch class const continue declare default do echo else elseif extends final finally fn for foreach function global if implements include interface match namespace new private protected public require return static switch throw trait try use var while yield',
+        literals: 'true false null',
+        ...C_COMMENTS,
+        strings: C_STRINGS,
+        patterns: [['variable', '\\$\\w+'], ['comment', '#.*']]
+    },
+    yaml: {
+        aliases: ['yml'],
+        keywords: '',
+        literals: 'true false null yes no on off',
+        ...HASH_COMMENTS,
+        strings: C_STRINGS,
+        patterns: [['property', '^\\s*(?:- )?[\\w.-]+(?=\\s*:(?:\\s|$))'], ['meta', '^(?:---|\\.\\.\\.)\\s*$']]
+    },
+    html: {
+        aliases: ['xml', 'svg', 'vue', 'htm'],
+        keywords: '',
+        literals: '',
+        blockComment: ['<!--', '-->'],
+        strings: [],
+        patterns: [
+            ['tag', '<\\/?[\\w:-]+|\\/?>'],
+            ['attr', '\\b[\\w:-]+(?==)'],
+            ['string', '"[^"]*"|\'[^\']*\'']
+        ]
+    }
+};
+
+const HIGHLIGHT_ALIASES = new Map();
+Object.entries(HIGHLIGHT_LANGUAGES).forEach(([name, spec]) => {
+    [name, ...spec.aliases].forEach(alias => HIGHLIGHT_ALIASES.set(alias, name));
+});
+
+const HIGHLIGHT_TOKENIZERS = new Map(); // language name -> { regex, classes, keywords, literals }
+
+class SyntaxHighlighter {
+    static span(className, text) {
+        return text ? `<span class="hl-${className}">${PlanSearch.escapeHtml(text)}</span>` : '';
+    }
+
+    // Canonical language name for a fence info string or block language, or null
+    static resolveLanguage(language) {
+        return HIGHLIGHT_ALIASES.get(String(language || '').trim().toLowerCase()) || null;
+    }
+
+    // Block source is Markdown unless the block is a code block
+    static highlight(text, language = null) {
+        return language === null ? SyntaxHighlighter.markdown(text) : SyntaxHighlighter.code(text, language);
+    }
+
+    static markdown(text) {
+        const output = [];
+        let fence = null; // Open fenced code block: { marker, language, lines }
+
+        text.split('\n').forEach(line => {
+            if (fence) {
+                const closing = line.match(/^ {0,3}(`{3,}|~{3,})\s*$/);
+                if (closing && closing[1][0] === fence.marker[0] && closing[1].length >= fence.marker.length) {
+                    if (fence.lines.length > 0) {
+                        output.push(SyntaxHighlighter.code(fence.lines.join('\n'), fence.language));
+                    }
+                    output.push(SyntaxHighlighter.span('fence', line));
+                    fence = null;
+                } else {
+                    fence.lines.push(line);
+                }
+                return;
+            }
+
+            const opening = line.match(/^( {0,3})(`{3,}|~{3,})([^`]*)$/);
+            if (opening) {
+                fence = { marker: opening[2], language: opening[3].trim().split(/\s/)[0], lines: [] };
+                output.push(PlanSearch.escapeHtml(opening[1]) +
+                    SyntaxHighlighter.span('fence', opening[2]) +
+                    SyntaxHighlighter.span('fence-info', opening[3]));
+                return;
+            }
+
+            output.push(SyntaxHighlighter.markdownLine(line));
+        });
+
+        // An unclosed fence runs to the end of the block
+        if (fence && fence.lines.length > 0) {
+            output.push(SyntaxHighlighter.code(fence.lines.join('\n'), fence.language));
+        }
+        return output.join('\n');
+    }
+
+    static markdownLine(line) {
+        const span = SyntaxHighlighter.span;
+
+        if (/^ {0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            return span('rule', line);
+        }
+
+        const heading = line.match(/^( {0,3}#{1,6})(\s.*|)$/);
+        if (heading) {
+            return `<span class="hl-heading">${PlanSearch.escapeHtml(heading[1])}${SyntaxHighlighter.inline(heading[2])}</span>`;
+        }
+
+        const quote = line.match(/^( {0,3}>[>\s]*)(.*)$/);
+        if (quote) {
+            return span('quote', quote[1]) + `<span class="hl-quote-text">${SyntaxHighlighter.inline(quote[2])}</span>`;
+        }
+
+        const item = line.match(/^(\s*)([-*+]|\d+[.)])(\s+)(\[[ xX]\](?=\s|$))?(.*)$/);
+        if (item) {
+            return PlanSearch.escapeHtml(item[1]) +
+                span('list', item[2]) +
+                PlanSearch.escapeHtml(item[3]) +
+                span(item[4] && item[4][1] !== ' ' ? 'task-done' : 'task', item[4] || '') +
+                SyntaxHighlighter.inline(item[5]);
+        }
+
+        return SyntaxHighlighter.inline(line);
+    }
+
+    // Inline code, snippet includes, placeholders, links and emphasis
+    static inline(text) {
+        const pattern = /(`+)[^`]+?\1(?!`)|\{\{[^{}\n]*\}\}|!?\[[^\]\n]*\]\([^)\s]*\)|<https?:\/\/[^>\s]+>|https?:\/\/[^\s<>()]+|(\*\*|__)(?=\S)(?:(?!\2).)+?\2|(?<![\w*])\*(?=[^\s*])[^*\n]+?\*(?!\*)|(?<![\w_])_(?=[^\s_])[^_\n]+?_(?![\w_])|~~(?=\S)[^~\n]+?~~/g;
+
+        let html = '';
+        let last = 0;
+        for (const match of text.matchAll(pattern)) {
+            const token = match[0];
+            let className;
+            if (token.startsWith('`')) {
+                className = 'code';
+            } else if (token.startsWith('{{')) {
+                className = /^\{\{\s*>/.test(token) ? 'snippet' : 'placeholder';
+            } else if (token.startsWith('[') || token.startsWith('![') || token.startsWith('<') || token.startsWith('http')) {
+                className = 'link';
+            } else if (token.startsWith('~~')) {
+                className = 'strike';
+            } else {
+                className = token.length > 3 && token[0] === token[1] ? 'strong' : 'emphasis';
+            }
+
+            html += PlanSearch.escapeHtml(text.slice(last, match.index)) + SyntaxHighlighter.span(className, token);
+            last = match.index + token.length;
+        }
+        return html + PlanSearch.escapeHtml(text.slice(last));
+    }
+
+    // Code in a known language is tokenized; anything else is only escaped
+    static code(text, language) {
+        const tokenizer = SyntaxHighlighter.tokenizer(SyntaxHighlighter.resolveLanguage(language));
+        if (!tokenizer) {
+            return PlanSearch.escapeHtml(text);
+        }
+
+        const { regex, classes, keywords, literals, ignoreCase } = tokenizer;
+        let html = '';
+        let last = 0;
+        regex.lastIndex = 0;
+
+        for (const match of text.matchAll(regex)) {
+            const token = match[0];
+            let className = classes[match.slice(1).findIndex(group => group !== undefined)];
+
+            if (className === 'identifier') {
+                const word = ignoreCase ? token.toLowerCase() : token;
+                if (keywords.has(word)) {
+                    className = 'keyword';
+                } else if (literals.has(word)) {
+                    className = 'literal';
+                } else if (/^\s*\(/.test(text.slice(match.index + token.length))) {
+                    className = 'function';
+                } else {
+                    className = null;
+                }
+            }
+
+            html += PlanSearch.escapeHtml(text.slice(last, match.index)) +
+                (className ? SyntaxHighlighter.span(className, token) : PlanSearch.escapeHtml(token));
+            last = match.index + token.length;
+        }
+        return html + PlanSearch.escapeHtml(text.slice(last));
+    }
+
+    // One regex per language, each alternative a capture group named in classes
+    static tokenizer(name) {
+        if (!name) return null;
+        if (HIGHLIGHT_TOKENIZERS.has(name)) {
+            return HIGHLIGHT_TOKENIZERS.get(name);
+        }
+
+        const spec = HIGHLIGHT_LANGUAGES[name];
+        const escape = source => source.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const alternatives = [];
+
+        if (spec.blockComment) {
+            const [start, end] = spec.blockComment.map(escape);
+            alternatives.push(['comment', `${start}[\\s\\S]*?(?:${end}|$)`]);
+        }
+        if (spec.lineComment) {
+            alternatives.push(['comment', spec.lineComment]);
+        }
+        (spec.strings || []).forEach(source => alternatives.push(['string', source]));
+        (spec.patterns || []).forEach(pattern => alternatives.push(pattern));
+        alternatives.push(['number', '\\b(?:0[xX][\\da-fA-F]+|\\d[\\d_]*(?:\\.\\d+)?(?:[eE][+-]?\\d+)?)\\b']);
+        alternatives.push(['identifier', '[A-Za-z_$][\\w$]*']);
+
+        const words = list => new Set(list ? list.split(' ') : []);
+        const tokenizer = {
+            regex: new RegExp(alternatives.map(([, source]) => `(${source})`).join('|'), 'gm'),
+            classes: alternatives.map(([className]) => className),
+            keywords: words(spec.keywords),
+            literals: words(spec.ignoreCase ? (spec.literals || '').toLowerCase() : spec.literals),
+            ignoreCase: Boolean(spec.ignoreCase)
+        };
+        HIGHLIGHT_TOKENIZERS.set(name, tokenizer);
+        return tokenizer;
+    }
+}
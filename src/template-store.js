@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+const PlanStore = require('./plan-store');
+
+// Saved plan templates:
+//   templates/<id>.json   { id, name, description, tags, createdAt, blocks: [{ type, content, language }] }
+// Built-in starters live in plan-templates.js and are never written here.
+const TEMPLATES_DIR = 'templates';
+
+class TemplateStore {
+    constructor(saveDirectory) {
+        this.saveDirectory = saveDirectory;
+    }
+
+    get templatesDirectory() {
+        return path.join(this.saveDirectory, TEMPLATES_DIR);
+    }
+
+    static isValidId(templateId) {
+        const id = String(templateId);
+        return /^[\w.-]+$/.test(id) && !id.startsWith('.');
+    }
+
+    templatePath(templateId) {
+        if (!TemplateStore.isValidId(templateId)) {
+            throw new Error(`Invalid template id: ${templateId}`);
+        }
+        return path.join(this.templatesDirectory, `${templateId}.json`);
+    }
+
+    // Template files can come from anywhere; the id ends up in markup
+    static validateTemplate(template) {
+        if (!template || typeof template !== 'object' || typeof template.id !== 'string' || !TemplateStore.isValidId(template.id)) {
+            throw new Error(`Invalid template id ${JSON.stringify(template && template.id)}`);
+        }
+        if (typeof template.name !== 'string') {
+            throw new Error('Template has no name');
+        }
+        if (template.description !== undefined && typeof template.description !== 'string') {
+            throw new Error('Template description must be text');
+        }
+        if (template.tags !== undefined && !(Array.isArray(template.tags) && template.tags.every(tag => typeof tag === 'string'))) {
+            throw new Error('Template tags must be a list of text');
+        }
+        if (!Array.isArray(template.blocks) || !template.blocks.every(block => block && typeof block === 'object' && typeof block.content === 'string')) {
+            throw new Error('Template blocks must each have text content');
+        }
+        return template;
+    }
+
+    // Sorted by name
+    loadTemplates() {
+        if (!fs.existsSync(this.templatesDirectory)) {
+            return [];
+        }
+
+        return fs.readdirSync(this.templatesDirectory)
+            .filter(name => name.endsWith('.json'))
+            .map(fileName => {
+                try {
+                    return TemplateStore.validateTemplate(JSON.parse(fs.readFileSync(path.join(this.templatesDirectory, fileName), 'utf-8')));
+                } catch (error) {
+                    console.error(`Skipping unreadable template ${fileName}:`, error);
+                    return null;
+                }
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    saveTemplate(template) {
+        const filePath = this.templatePath(TemplateStore.validateTemplate(template).id);
+        fs.mkdirSync(this.templatesDirectory, { recursive: true });
+        PlanStore.writeFileAtomic(filePath, JSON.stringify(template, null, 2));
+    }
+
+    deleteTemplate(templateId) {
+        const filePath = this.templatePath(templateId);
+        if (fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+        }
+    }
+}
+
+module.exports = TemplateStore;
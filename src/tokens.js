@@ -0,0 +1,71 @@
+// Token Counter - offline token estimates and context budgets.
+// Tokenizers are registered by name, so a real one (e.g. a BPE vocabulary)
+// can be dropped in with TokenCounter.register without touching the callers.
+const TOKENIZERS = new Map();
+
+class TokenCounter {
+    static register(name, label, count) {
+        TOKENIZERS.set(name, { name, label, count });
+    }
+
+    static get tokenizers() {
+        return [...TOKENIZERS.values()];
+    }
+
+    static count(text, tokenizerName = 'heuristic') {
+        if (!text) return 0;
+        const tokenizer = TOKENIZERS.get(tokenizerName) || TOKENIZERS.get('heuristic');
+        return tokenizer.count(text);
+    }
+
+    // Context sizes of common models, in tokens
+    static get profiles() {
+        return [
+            { id: 'small-4k', name: 'Small model', contextSize: 4096 },
+            { id: 'llama3-8k', name: 'Llama 3', contextSize: 8192 },
+            { id: 'mistral-32k', name: 'Mistral', contextSize: 32768 },
+            { id: 'gpt-4o', name: 'GPT-4o', contextSize: 128000 },
+            { id: 'claude', name: 'Claude', contextSize: 200000 },
+            { id: 'gemini', name: 'Gemini 1.5 Pro', contextSize: 1000000 }
+        ];
+    }
+
+    static getProfile(profileId) {
+        return TokenCounter.profiles.find(profile => profile.id === profileId) || null;
+    }
+
+    // 'ok', 'warning' from 80% of the budget, or 'over'
+    static budgetStatus(tokens, contextSize) {
+        if (!contextSize) return 'ok';
+        if (tokens > contextSize) return 'over';
+        return tokens >= contextSize * 0.8 ? 'warning' : 'ok';
+    }
+
+    static format(tokens) {
+        if (tokens >= 1000000) return `${+(tokens / 1000000).toFixed(1)}M`;
+        if (tokens >= 10000) return `${Math.round(tokens / 1000)}k`;
+        if (tokens >= 1000) return `${+(tokens / 1000).toFixed(1)}k`;
+        return String(tokens);
+    }
+}
+
+// Approximates BPE tokenizers on English text and code: short words are one
+// token, long words and numbers split into chunks, punctuation and non-ASCII
+// characters count one each, and a single space rides along with the next word.
+TokenCounter.register('heuristic', 'Word-based estimate', text => {
+    let tokens = 0;
+    for (const [part] of text.matchAll(/[A-Za-z]+|\d+|\n+|[^\S\n]+|[^]/gu)) {
+        if (/^[A-Za-z]/.test(part)) {
+            tokens += Math.ceil(part.length / 6);
+        } else if (/^\d/.test(part)) {
+            tokens += Math.ceil(part.length / 3);
+        } else if (/^\s/.test(part)) {
+            tokens += part.startsWith('\n') || part.length > 1 ? 1 : 0;
+        } else {
+            tokens += 1;
+        }
+    }
+    return tokens;
+});
+
+TokenCounter.register('chars', 'Characters ÷ 4', text => Math.ceil(text.length / 4));
@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+const PlanStore = require('./plan-store');
+const PlanSchema = require('./plan-schema');
+
+// Deleted plans and blocks, kept until restored or purged:
+//   trash/<id>.json   { id, kind: 'plan', deletedAt, plan, index }
+//                     { id, kind: 'block', deletedAt, block, planId, planTitle, blockIndex }
+// index and blockIndex record where the item sat, so it can be put back there.
+const TRASH_DIR = 'trash';
+const DAY = 24 * 60 * 60 * 1000;
+
+class TrashStore {
+    constructor(saveDirectory) {
+        this.saveDirectory = saveDirectory;
+    }
+
+    get trashDirectory() {
+        return path.join(this.saveDirectory, TRASH_DIR);
+    }
+
+    itemPath(itemId) {
+        const id = String(itemId);
+        if (!/^[\w.-]+$/.test(id) || id.startsWith('.')) {
+            throw new Error(`Invalid trash item id: ${id}`);
+        }
+        return path.join(this.trashDirectory, `${id}.json`);
+    }
+
+    static validateItem(item) {
+        if (!item || typeof item !== 'object' || !PlanSchema.isValidId(item.id) || typeof item.deletedAt !== 'string') {
+            throw new Error('Not a trash item');
+        }
+        if (item.kind === 'plan') {
+            PlanSchema.validatePlan(item.plan);
+        } else if (item.kind === 'block') {
+            PlanSchema.validatePlan({ id: item.planId, blocks: [item.block] });
+        } else {
+            throw new Error(`Unknown trash item kind ${JSON.stringify(item.kind)}`);
+        }
+        return item;
+    }
+
+    // Newest first
+    loadTrash() {
+        if (!fs.existsSync(this.trashDirectory)) {
+            return [];
+        }
+
+        return fs.readdirSync(this.trashDirectory)
+            .filter(name => name.endsWith('.json'))
+            .map(fileName => {
+                try {
+                    return TrashStore.validateItem(JSON.parse(fs.readFileSync(path.join(this.trashDirectory, fileName), 'utf-8')));
+                } catch (error) {
+                    console.error(`Skipping unreadable trash item ${fileName}:`, error);
+                    return null;
+                }
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+    }
+
+    saveItem(item) {
+        const filePath = this.itemPath(TrashStore.validateItem(item).id);
+        fs.mkdirSync(this.trashDirectory, { recursive: true });
+        PlanStore.writeFileAtomic(filePath, JSON.stringify(item, null, 2));
+    }
+
+    deleteItem(itemId) {
+        const filePath = this.itemPath(itemId);
+        if (fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+        }
+    }
+
+    // Delete items trashed more than the given number of days ago. Returns their ids.
+    purge(days) {
+        const cutoff = Date.now() - days * DAY;
+        return this.loadTrash()
+            .filter(item => Date.parse(item.deletedAt) < cutoff)
+            .map(item => {
+                this.deleteItem(item.id);
+                return item.id;
+            });
+    }
+}
+
+module.exports = TrashStore;
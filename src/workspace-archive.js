@@ -0,0 +1,119 @@
+// Workspace Archive - a single-file backup of every plan plus the app settings:
+//   { format, version, exportedAt, settings: { key: value }, order: [planId], plans: [plan] }
+// Restoring compares the archive against the current plans with one of these strategies:
+//   'replace'  the archive becomes the whole workspace
+//   'merge'    plans are matched by id; the more recently updated copy wins
+//   'copy'     every archived plan is added alongside the current ones under a new id
+const ARCHIVE_FORMAT = 'prompt-planner-workspace';
+const ARCHIVE_VERSION = 1;
+
+class WorkspaceArchive {
+    static create(plans, settings) {
+        return JSON.stringify({
+            format: ARCHIVE_FORMAT,
+            version: ARCHIVE_VERSION,
+            exportedAt: new Date().toISOString(),
+            settings,
+            order: plans.map(plan => plan.id),
+            plans
+        }, null, 2);
+    }
+
+    static parse(text) {
+        let archive;
+        try {
+            archive = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not a workspace backup');
+        }
+
+        if (!archive || archive.format !== ARCHIVE_FORMAT || !Array.isArray(archive.plans)) {
+            throw new Error('The file is not a workspace backup');
+        }
+        if (archive.version > ARCHIVE_VERSION) {
+            throw new Error('The backup was made by a newer version of the app');
+        }
+
+        archive.plans.forEach(plan => {
+            if (!plan || plan.id === undefined || !Array.isArray(plan.blocks)) {
+                throw new Error('The backup contains a malformed plan');
+            }
+            plan.id = String(plan.id);
+        });
+
+        return { ...archive, settings: archive.settings || {} };
+    }
+
+    // Timestamp used to decide which copy of a plan is newer
+    static modifiedTime(plan) {
+        return Date.parse(plan.updatedAt || plan.createdAt) || 0;
+    }
+
+    // Work out what a restore would do without touching anything.
+    // Returns { plans, added, updated, skipped, removed } where plans is the
+    // resulting workspace and the other lists hold the affected plans.
+    static planRestore(currentPlans, archive, strategy) {
+        const currentById = new Map(currentPlans.map(plan => [plan.id, plan]));
+        const archiveById = new Map(archive.plans.map(plan => [plan.id, plan]));
+        const result = { plans: [], added: [], updated: [], skipped: [], removed: [] };
+
+        if (strategy === 'copy') {
+            const usedIds = new Set(currentById.keys());
+            const base = Date.now();
+            const copies = archive.plans.map((plan, index) => {
+                let id = `${base}${index}`;
+                while (usedIds.has(id)) {
+                    id += '0';
+                }
+                usedIds.add(id);
+                return { ...plan, id };
+            });
+
+            result.added = copies;
+            result.plans = [...copies, ...currentPlans];
+            return result;
+        }
+
+        if (strategy === 'replace') {
+            archive.plans.forEach(plan => {
+                const current = currentById.get(plan.id);
+                if (!current) {
+                    result.added.push(plan);
+                } else if (JSON.stringify(current) === JSON.stringify(plan)) {
+                    result.skipped.push(plan);
+                } else {
+                    result.updated.push(plan);
+                }
+            });
+            result.removed = currentPlans.filter(plan => !archiveById.has(plan.id));
+            result.plans = [...archive.plans];
+            return result;
+        }
+
+        if (strategy === 'merge') {
+            result.plans = currentPlans.map(current => {
+                const plan = archiveById.get(current.id);
+                if (!plan) return current;
+
+                if (JSON.stringify(current) !== JSON.stringify(plan) &&
+                    WorkspaceArchive.modifiedTime(plan) > WorkspaceArchive.modifiedTime(current)) {
+                    result.updated.push(plan);
+                    return plan;
+                }
+                result.skipped.push(plan);
+                return current;
+            });
+
+            result.added = archive.plans.filter(plan => !currentById.has(plan.id));
+            result.plans = [...result.added, ...result.plans];
+            return result;
+        }
+
+        throw new Error(`Unknown restore strategy: ${strategy}`);
+    }
+}
+
+// Also loaded by the renderer as a plain script
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WorkspaceArchive;
+}
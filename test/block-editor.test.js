@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const BlockEditor = require('../src/block-editor');
+
+// Apply an edit to a value, marking the selection with [ and ] (or | for a caret)
+function run(edit, value) {
+    if (!edit) return null;
+    const text = value.slice(0, edit.from) + edit.insert + value.slice(edit.to);
+    return edit.selectionStart === edit.selectionEnd
+        ? `${text.slice(0, edit.selectionStart)}|${text.slice(edit.selectionStart)}`
+        : `${text.slice(0, edit.selectionStart)}[${text.slice(edit.selectionStart, edit.selectionEnd)}]${text.slice(edit.selectionEnd)}`;
+}
+
+test('brackets and quotes are paired around the caret', () => {
+    assert.equal(run(BlockEditor.pairEdit('ab ', 3, 3, '('), 'ab '), 'ab (|)');
+    assert.equal(run(BlockEditor.pairEdit('', 0, 0, '"'), ''), '"|"');
+    assert.equal(run(BlockEditor.pairEdit('', 0, 0, '{'), ''), '{|}');
+});
+
+test('a selection is wrapped', () => {
+    assert.equal(run(BlockEditor.pairEdit('say hi', 4, 6, '`'), 'say hi'), 'say `[hi]`');
+});
+
+test('typing a closer steps over the one already there', () => {
+    assert.equal(run(BlockEditor.pairEdit('()', 1, 1, ')'), '()'), '()|');
+    assert.equal(run(BlockEditor.pairEdit('""', 1, 1, '"'), '""'), '""|');
+});
+
+test('no pair before a word, after a word for quotes, or after the same quote', () => {
+    assert.equal(BlockEditor.pairEdit('word', 0, 0, '('), null);
+    assert.equal(BlockEditor.pairEdit('don', 3, 3, "'"), null);
+    assert.equal(BlockEditor.pairEdit('``', 2, 2, '`'), null);
+    assert.equal(BlockEditor.pairEdit('a', 1, 1, 'x'), null);
+});
+
+test('backspace between an empty pair removes both halves', () => {
+    assert.equal(run(BlockEditor.deletePairEdit('f()', 2, 2), 'f()'), 'f|');
+    assert.equal(BlockEditor.deletePairEdit('f(x)', 3, 3), null);
+    assert.equal(BlockEditor.deletePairEdit('()', 0, 0), null);
+});
+
+test('tab inserts spaces up to the next indent stop', () => {
+    assert.equal(run(BlockEditor.indentEdit('ab', 1, 1, '    '), 'ab'), 'a   |b');
+    assert.equal(run(BlockEditor.indentEdit('ab', 0, 0, '  '), 'ab'), '  |ab');
+});
+
+test('tab indents a whole list item and every line of a selection', () => {
+    assert.equal(run(BlockEditor.indentEdit('- a', 3, 3, '  '), '- a'), '  - a|');
+    assert.equal(run(BlockEditor.indentEdit('a\nb\nc', 0, 3, '  '), 'a\nb\nc'), '  [a\n  b]\nc');
+    assert.equal(run(BlockEditor.indentEdit('a\n\nb', 0, 4, '  '), 'a\n\nb'), '  [a\n\n  b]');
+});
+
+test('shift+tab outdents and does nothing on unindented lines', () => {
+    assert.equal(run(BlockEditor.indentEdit('    a\n  b', 0, 9, '    ', true), '    a\n  b'), '[a\nb]');
+    assert.equal(run(BlockEditor.indentEdit('\tx', 2, 2, '    ', true), '\tx'), 'x|');
+    assert.equal(BlockEditor.indentEdit('a', 1, 1, '  ', true), null);
+});
+
+test('enter continues lists and keeps indentation', () => {
+    assert.equal(run(BlockEditor.newlineEdit('- a', 3, 3), '- a'), '- a\n- |');
+    assert.equal(run(BlockEditor.newlineEdit('9. x', 4, 4), '9. x'), '9. x\n10. |');
+    assert.equal(run(BlockEditor.newlineEdit('  - [x] done', 12, 12), '  - [x] done'), '  - [x] done\n  - [ ] |');
+    assert.equal(run(BlockEditor.newlineEdit('  x', 3, 3), '  x'), '  x\n  |');
+});
+
+test('enter on an empty list item ends the list', () => {
+    assert.equal(run(BlockEditor.newlineEdit('a\n- ', 4, 4), 'a\n- '), 'a\n|');
+});
+
+test('enter on a plain line is left to the textarea', () => {
+    assert.equal(BlockEditor.newlineEdit('x', 1, 1), null);
+});
+
+test('the indent unit follows the editor mode', () => {
+    assert.equal(BlockEditor.indentUnit('code'), '    ');
+    assert.equal(BlockEditor.indentUnit('markdown'), '  ');
+});
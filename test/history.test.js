@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const HistoryManager = require('../src/history');
+
+function planCommand(after, extra = {}) {
+    return { type: 'plan', planId: 'p1', label: 'Edit block', before: { title: 'before' }, after, ...extra };
+}
+
+test('undo and redo move commands between the stacks', () => {
+    const history = new HistoryManager();
+    history.record(planCommand({ title: 'one' }));
+    history.record(planCommand({ title: 'two' }));
+
+    assert.equal(history.undo().after.title, 'two');
+    assert.equal(history.undo().after.title, 'one');
+    assert.equal(history.undo(), null);
+
+    assert.equal(history.redo().after.title, 'one');
+    assert.equal(history.redo().after.title, 'two');
+    assert.equal(history.redo(), null);
+});
+
+test('recording a new command clears the redo stack', () => {
+    const history = new HistoryManager();
+    history.record(planCommand({ title: 'one' }));
+    history.undo();
+    history.record(planCommand({ title: 'two' }));
+
+    assert.equal(history.redo(), null);
+});
+
+test('a typing burst with one coalesceKey undoes in a single step', () => {
+    const history = new HistoryManager();
+    const first = history.record(planCommand({ content: 'a' }, { coalesceKey: 'text:p1:b1' }));
+    const second = history.record(planCommand({ content: 'ab' }, { coalesceKey: 'text:p1:b1' }));
+
+    assert.equal(second, first);
+    assert.equal(history.undoStack.length, 1);
+    assert.equal(history.undo().after.content, 'ab');
+    assert.equal(history.undo(), null);
+});
+
+test('edits are not merged across keys, outside the window or after an undo', () => {
+    const history = new HistoryManager(200, 1000);
+    history.record(planCommand({ content: 'a' }, { coalesceKey: 'text:p1:b1' }));
+    history.record(planCommand({ content: 'x' }, { coalesceKey: 'text:p1:b2' }));
+    assert.equal(history.undoStack.length, 2);
+
+    history.undoStack[1].timestamp -= 1000;
+    history.record(planCommand({ content: 'xy' }, { coalesceKey: 'text:p1:b2' }));
+    assert.equal(history.undoStack.length, 3);
+
+    history.undo();
+    history.redo();
+    history.record(planCommand({ content: 'xyz' }, { coalesceKey: 'text:p1:b2' }));
+    assert.equal(history.undoStack.length, 4);
+});
+
+test('the oldest command is dropped past the limit', () => {
+    const history = new HistoryManager(2);
+    ['one', 'two', 'three'].forEach(title => history.record(planCommand({ title })));
+
+    assert.deepEqual(history.undoStack.map(command => command.after.title), ['two', 'three']);
+});
+
+test('forgetPlan drops every step touching the plan', () => {
+    const history = new HistoryManager();
+    history.record(planCommand({ title: 'one' }));
+    history.record({ type: 'move-block', planId: 'p2', sourcePlanId: 'p1', label: 'Move block' });
+    history.record({ type: 'plan', planId: 'p3', label: 'Edit block' });
+    history.undo();
+
+    history.forgetPlan('p1');
+    assert.deepEqual(history.undoStack, []);
+    assert.equal(history.redo().planId, 'p3');
+});
+
+test('clone makes a deep copy', () => {
+    const plan = { id: 'p1', blocks: [{ id: 'b1', content: 'x' }] };
+    const copy = HistoryManager.clone(plan);
+    copy.blocks[0].content = 'y';
+
+    assert.equal(plan.blocks[0].content, 'x');
+});
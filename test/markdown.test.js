@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PlanMarkdown = require('../src/markdown');
+const PlanSchema = require('../src/plan-schema');
+
+function roundTrip(plan) {
+    return PlanMarkdown.parse(PlanMarkdown.generate(plan), PlanMarkdown.fileName(plan));
+}
+
+const plan = {
+    id: '1700000000000',
+    title: 'Release: "v2" notes',
+    createdAt: '2024-01-01T00:00:00.000Z',
+    tags: ['release', 'docs'],
+    folder: 'Work/Q1',
+    placeholderValues: { version: '2.0' },
+    blocks: [
+        { id: 'b1', content: '# Heading\n\n- [ ] item\n\n---\n\n```js\nconst a = 1;\n```', done: false, collapsed: false },
+        { id: 'b2', content: '', done: true, collapsed: true },
+        { id: 'b3', content: '  leading spaces\n\ntrailing newline\n', done: false, collapsed: false, type: 'note' },
+        { id: 'b4', content: 'print(1)', done: false, collapsed: false, type: 'code', language: 'python' }
+    ]
+};
+
+test('a plan survives export and import unchanged', () => {
+    assert.deepEqual(roundTrip(plan), plan);
+});
+
+test('content holding a closing marker does not end its block early', () => {
+    const tricky = {
+        ...plan,
+        blocks: [
+            { id: 'b4', content: 'x\n<!-- /block b4 -->\ny', done: false, collapsed: false },
+            { id: 'b5', content: '\\<!-- /block b5 -->\n\\\\<!-- /block b4 -->', done: false, collapsed: false },
+            { id: 'b6', content: '<!-- block {"id":"b7"} -->\n<!-- /block b6 -->', done: false, collapsed: false }
+        ]
+    };
+
+    assert.deepEqual(roundTrip(tricky), tricky);
+});
+
+test('hand-written front matter is coerced into a valid plan', () => {
+    const markdown = [
+        '---',
+        'title: 42',
+        'tags: [1, 2, "three", null]',
+        'folder: {"nested": true}',
+        '---',
+        '',
+        '<!-- block {"id":"b1","done":false,"collapsed":false} -->',
+        'x',
+        '<!-- /block b1 -->',
+        ''
+    ].join('\n');
+    const imported = PlanMarkdown.parse(markdown, 'hand.md');
+
+    assert.equal(imported.title, '42');
+    assert.deepEqual(imported.tags, ['1', '2', 'three']);
+    assert.equal(imported.folder, '');
+    assert.equal(PlanSchema.validatePlan(imported), imported);
+});
+
+test('a block without its closing marker is an error', () => {
+    const markdown = PlanMarkdown.generate(plan).replace('<!-- /block b4 -->', '');
+
+    assert.throws(() => PlanMarkdown.parse(markdown, 'broken.md'), /b4 is missing its closing marker/);
+});
+
+test('the older "## Block N" layout is still read', () => {
+    const imported = PlanMarkdown.parse('# Legacy\n\n*Tags: a, b*\n\n## Block 1 (Completed)\n\nFirst\n\n---\n\n## Block 2\n\nSecond\n', 'legacy.md');
+
+    assert.equal(imported.title, 'Legacy');
+    assert.deepEqual(imported.tags, ['a', 'b']);
+    assert.deepEqual(imported.blocks.map(block => [block.content, block.done]), [['First', true], ['Second', false]]);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PlanSchema = require('../src/plan-schema');
+
+const plan = () => ({
+    id: '1700000000000',
+    title: 'Plan',
+    tags: ['a'],
+    folder: '',
+    blocks: [{ id: 'b1', content: 'x', done: false, collapsed: false }]
+});
+
+test('a well-formed plan is returned as it is', () => {
+    const valid = plan();
+    assert.equal(PlanSchema.validatePlan(valid), valid);
+    assert.ok(PlanSchema.validatePlan({ ...plan(), id: 1700000000000, blocks: [{ id: 1 }] }));
+});
+
+test('ids must be safe as file names and in markup', () => {
+    assert.ok(PlanSchema.isValidId('abc-1.2_3'));
+    assert.ok(PlanSchema.isValidId(42));
+    ['', '../x', 'a b', 'a"b', '<b>', null, undefined, {}].forEach(id => {
+        assert.equal(PlanSchema.isValidId(id), false, JSON.stringify(id));
+    });
+});
+
+test('a broken plan is refused, naming the problem', () => {
+    const cases = [
+        [null, /Not a plan/],
+        [[], /Not a plan/],
+        [{ ...plan(), id: '../escape' }, /Invalid plan id/],
+        [{ ...plan(), title: 3 }, /Title is not text/],
+        [{ ...plan(), folder: [] }, /Folder is not text/],
+        [{ ...plan(), tags: 'a,b' }, /Tags are not a list of text/],
+        [{ ...plan(), tags: [1] }, /Tags are not a list of text/],
+        [{ ...plan(), blocks: undefined }, /Blocks are missing/],
+        [{ ...plan(), blocks: [{ content: 'x' }] }, /Block 1 is missing a valid id/],
+        [{ ...plan(), blocks: [{ id: 'b1' }, { id: 'b2', content: 5 }] }, /Block 2 content is not text/]
+    ];
+
+    cases.forEach(([value, message]) => {
+        assert.throws(() => PlanSchema.validatePlan(value), message);
+    });
+});
+
+test('files from a newer version are refused', () => {
+    assert.ok(PlanSchema.validateIndex({ order: [] }));
+    assert.ok(PlanSchema.validateIndex({ version: PlanSchema.version, order: ['1'] }));
+    assert.throws(() => PlanSchema.validateIndex({ version: PlanSchema.version + 1 }), /newer version/);
+    assert.throws(() => PlanSchema.validateIndex({ version: '1' }), /Unknown format version/);
+    assert.throws(() => PlanSchema.validateIndex({ order: {} }), /Plan order is not a list/);
+});
+
+test('backups are checked plan by plan', () => {
+    const backup = { version: PlanSchema.version, createdAt: '2024-01-01T00:00:00.000Z', order: ['1700000000000'], plans: [plan()] };
+    assert.equal(PlanSchema.validateBackup(backup), backup);
+
+    assert.throws(() => PlanSchema.validateBackup({ order: [] }), /Not a backup/);
+    assert.throws(() => PlanSchema.validateBackup({ ...backup, plans: [{ ...plan(), blocks: null }] }), /Blocks are missing/);
+});